@@ -0,0 +1,290 @@
+/**
+ * Claims Data Exporter - ClaimWizard Adapter
+ * Endpoint paths and response shapes for app.claimwizard.com.
+ * See adapters/registry.js for the adapter interface.
+ */
+
+const CLAIMWIZARD_ACTIVITY_QUERY = 'sc_u=0&sc_e=0&sc_c=0&sc_pub=0&sc_prv=0&sc_s=0&sc_cus=0&sc_t=0';
+
+// Folders deeper than this aren't walked
+const CLAIMWIZARD_MAX_FOLDER_DEPTH = 5;
+
+registerPlatformAdapter({
+  id: 'claimwizard',
+  name: 'ClaimWizard',
+  hosts: ['claimwizard.com'],
+  origin: 'https://app.claimwizard.com',
+
+  /**
+   * Run a search the same way the ClaimWizard search box does.
+   * Returns the matching claims (possibly empty).
+   */
+  async searchClaims(criteria) {
+    const formData = new URLSearchParams();
+    formData.append('criteria', criteria);
+    formData.append('type', '');
+
+    const searchResults = await fetchWithRetry(`${this.origin}/api/search/`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+        'X-Requested-With': 'XMLHttpRequest',
+        'Accept': 'application/json, text/javascript, */*; q=0.01'
+      },
+      body: formData.toString(),
+      credentials: 'include'
+    }, 'Search');
+
+    const searchData = await searchResults.json();
+    return Array.isArray(searchData?.Claims) ? searchData.Claims : [];
+  },
+
+  lookupFields: {
+    claimUuid: ['uuid'],
+    policyNumber: ['policyNumber', 'policy', 'policyNo'],
+    insuredName: ['insuredName', 'insured', 'clientName', 'name', 'fullName']
+  },
+
+  personalData: {
+    contacts(fullDetails) {
+      const propcontacts = fullDetails.propcontacts || {};
+      return [propcontacts.c, ...(Array.isArray(propcontacts.cc) ? propcontacts.cc : [])].filter(Boolean);
+    },
+    contactsLabel: 'fullClaimData.propcontacts',
+    names: ['insuredName', 'insured', 'clientName', 'name', 'fullName'],
+    addresses: ['lossAddress', 'propertyAddress', 'address']
+  },
+
+  claimRef(searchResult) {
+    return { claimId: searchResult.id, claimUuid: searchResult.uuid };
+  },
+
+  fetchClaim(ref) {
+    return fetchApi(`/api/claim/${ref.claimUuid}`);
+  },
+
+  mapClaim(fullDetails) {
+    const mapped = {};
+
+    if (fullDetails.propcontacts) {
+      const contacts = [];
+
+      if (fullDetails.propcontacts.c) {
+        const primary = fullDetails.propcontacts.c;
+        contacts.push({
+          id: primary.id,
+          uuid: primary.uuid,
+          firstName: primary.firstName || '',
+          lastName: primary.lastName || '',
+          email: primary.email || '',
+          phone: primary.preferredPhone?.number || primary.phone?.number || '',
+          address: primary.address,
+          isPrimary: true
+        });
+      }
+
+      if (fullDetails.propcontacts.cc && Array.isArray(fullDetails.propcontacts.cc)) {
+        fullDetails.propcontacts.cc.forEach(contact => {
+          contacts.push({
+            id: contact.id,
+            uuid: contact.uuid || contact.uniqueID,
+            firstName: contact.firstName || contact.name?.firstName || '',
+            lastName: contact.lastName || contact.name?.lastName || '',
+            email: contact.email || '',
+            phone: contact.preferredPhone?.number || '',
+            address: contact.physicalAddress,
+            isPrimary: false
+          });
+        });
+      }
+
+      mapped.contacts = contacts;
+    }
+
+    if (fullDetails.personnel) mapped.personnel = fullDetails.personnel;
+    if (fullDetails.phases) mapped.phases = fullDetails.phases;
+
+    return mapped;
+  },
+
+  sections: {
+    insurance: {
+      fetch: ref => fetchApi(`/api/claim/${ref.claimId}/insurance`),
+      map: value => value?.data?.insurance ? { insurance: value.data.insurance } : null
+    },
+    mortgages: {
+      fetch: ref => fetchApi(`/api/claim/${ref.claimId}/mortgages/`),
+      map: value => Array.isArray(value) ? { mortgages: value } : null
+    },
+    externalPersonnel: {
+      fetch: ref => fetchApi(`/api/claim/${ref.claimId}/personnel/external/1?ip=1`),
+      map: value => Array.isArray(value) ? { externalPersonnel: value } : null
+    },
+    actionItems: {
+      fetch: ref => fetchApi(`/api/actions/1/${ref.claimUuid}`),
+      map: value => Array.isArray(value) ? { actionItems: value } : null
+    },
+    ledger: {
+      fetch: ref => fetchApi(`/api/claim/${ref.claimId}/ledger`),
+      map: value => value?.ledger ? {
+        ledger: value.ledger,
+        ledgerNotes: value.notes || [],
+        ledgerInvoices: value.invoices || []
+      } : null
+    },
+    notes: {
+      fetch: ref => fetchApi(`/api/claim/${ref.claimId}/notes`),
+      map: value => Array.isArray(value) ? { notes: value } : null
+    }
+  },
+
+  async listFiles(ref) {
+    const files = await fetchClaimWizardFiles(ref.claimId);
+
+    return files.map(file => ({
+      title: file.title,
+      filename: file.filename,
+      key: file.key,
+      folder: false,
+      size: file.size,
+      fileDate: file.fileDate,
+      description: file.description,
+      folderPath: file.folderPath || [],
+      downloadUrl: `${this.origin}/api/claim/${ref.claimUuid}/file/${file.key}/?_vw=inline`
+    }));
+  },
+
+  async fetchActivity(ref) {
+    const response = await fetchApi(`/api/claim/${ref.claimUuid}/activity?${CLAIMWIZARD_ACTIVITY_QUERY}`);
+    const activity = response?.data?.activity;
+    return Array.isArray(activity) ? activity : null;
+  },
+
+  /**
+   * Map a stored ClaimWizard record into the neutral model (claim-model.js)
+   */
+  normalize(claim) {
+    const raw = claim.fullClaimData || {};
+    const search = claim.claimDetails || {};
+
+    return {
+      status: normalizeText(pickValue(raw, ['status', 'claimStatus', 'phase']) ?? pickValue(search, ['status', 'statusName'])),
+      loss: {
+        date: normalizeDate(pickValue(raw, ['dateOfLoss', 'lossDate', 'loss.date']) ?? pickValue(search, ['dateOfLoss', 'lossDate'])),
+        type: normalizeText(pickValue(raw, ['claimType', 'lossType', 'type']) ?? pickValue(search, ['claimType', 'type'])),
+        cause: normalizeText(pickValue(raw, ['causeOfLoss', 'lossCause', 'peril'])),
+        description: normalizeText(pickValue(raw, ['lossDescription', 'descriptionOfLoss', 'description'])),
+        address: normalizeAddress(pickValue(raw, ['lossAddress', 'propertyAddress', 'property.address', 'address']))
+      },
+      parties: [
+        ...(claim.contacts || []).map(contact => normalizeParty(contact.isPrimary ? 'insured' : 'contact', contact)),
+        ...normalizeList(claim.personnel).map(person => normalizeParty('staff', person, {
+          title: normalizeText(pickValue(person, ['role', 'title', 'position']))
+        })),
+        ...normalizeList(claim.externalPersonnel).map(person => normalizeParty('external', person, {
+          title: normalizeText(pickValue(person, ['role', 'title', 'type']))
+        })),
+        ...normalizeList(claim.mortgages).map(mortgage => normalizeParty('mortgagee', mortgage, {
+          company: normalizeText(pickValue(mortgage, ['company', 'companyName', 'name', 'lender'])),
+          loanNumber: normalizeText(pickValue(mortgage, ['loanNumber', 'loan', 'accountNumber']))
+        }))
+      ],
+      policies: normalizeList(claim.insurance).map(policy => ({
+        carrier: normalizeText(pickValue(policy, ['carrier', 'company', 'insuranceCompany', 'companyName'])),
+        policyNumber: normalizeText(pickValue(policy, ['policyNumber', 'policy', 'policyNo'])),
+        claimNumber: normalizeText(pickValue(policy, ['claimNumber', 'carrierClaimNumber', 'claimNo'])),
+        effectiveDate: normalizeDate(pickValue(policy, ['effectiveDate', 'policyStart', 'startDate'])),
+        expirationDate: normalizeDate(pickValue(policy, ['expirationDate', 'policyEnd', 'endDate'])),
+        coverages: normalizeList(pickValue(policy, ['coverages', 'coverage'])).map(coverage => ({
+          name: normalizeText(pickValue(coverage, ['name', 'type', 'coverage'])),
+          limit: normalizeAmount(pickValue(coverage, ['limit', 'amount'])),
+          deductible: normalizeAmount(pickValue(coverage, ['deductible']))
+        }))
+      })),
+      transactions: [
+        ...claimWizardLedgerEntries(claim.ledger).map(entry => ({
+          date: normalizeDate(pickValue(entry, ['date', 'transactionDate', 'createdAt'])),
+          kind: 'ledger',
+          category: normalizeText(pickValue(entry, ['category', 'type', 'account'])),
+          description: normalizeText(pickValue(entry, ['description', 'memo', 'note'])),
+          amount: normalizeAmount(pickValue(entry, ['amount', 'total', 'value'])),
+          reference: normalizeText(pickValue(entry, ['checkNumber', 'reference', 'id']))
+        })),
+        ...normalizeList(claim.ledgerInvoices).map(invoice => ({
+          date: normalizeDate(pickValue(invoice, ['date', 'invoiceDate', 'createdAt'])),
+          kind: 'invoice',
+          category: normalizeText(pickValue(invoice, ['category', 'type'])),
+          description: normalizeText(pickValue(invoice, ['description', 'memo'])),
+          amount: normalizeAmount(pickValue(invoice, ['amount', 'total'])),
+          reference: normalizeText(pickValue(invoice, ['invoiceNumber', 'number', 'id']))
+        }))
+      ],
+      tasks: normalizeList(claim.actionItems).map(item => ({
+        title: normalizeText(pickValue(item, ['title', 'name', 'description', 'text'])),
+        dueDate: normalizeDate(pickValue(item, ['dueDate', 'due', 'date'])),
+        completed: normalizeBoolean(pickValue(item, ['completed', 'isComplete', 'done', 'status.completed'])),
+        assignedTo: normalizeText(pickValue(item, ['assignedTo', 'assignee', 'user']))
+      })),
+      documents: normalizeList(claim.files).map(file => ({
+        key: file.key,
+        name: file.filename || null,
+        title: file.title || null,
+        folderPath: file.folderPath || [],
+        size: file.size ?? null,
+        date: normalizeDate(file.fileDate),
+        description: normalizeText(file.description),
+        stored: file.stored ?? null
+      })),
+      timeline: [
+        ...normalizeList(claim.notes).map(note => ({
+          date: normalizeDate(pickValue(note, ['date', 'createdAt', 'created', 'timestamp'])),
+          kind: 'note',
+          author: normalizeText(pickValue(note, ['author', 'user', 'createdBy'])),
+          text: normalizeText(pickValue(note, ['note', 'text', 'body', 'content']))
+        })),
+        ...normalizeList(claim.activity).map(event => ({
+          date: normalizeDate(pickValue(event, ['date', 'createdAt', 'timestamp', 'time'])),
+          kind: 'activity',
+          author: normalizeText(pickValue(event, ['user', 'author', 'createdBy'])),
+          text: normalizeText(pickValue(event, ['description', 'text', 'message', 'action']))
+        }))
+      ]
+    };
+  }
+});
+
+/**
+ * The ledger is either a list of entries or an object holding one
+ */
+function claimWizardLedgerEntries(ledger) {
+  if (Array.isArray(ledger)) return ledger;
+  if (!ledger || typeof ledger !== 'object') return [];
+  return pickValue(ledger, ['entries', 'items', 'transactions', 'payments']) || [];
+}
+
+/**
+ * Fetch files recursively (including folders).
+ * Each returned file carries folderPath: the folder titles leading to it.
+ * Errors propagate so a failed listing shows up in sectionErrors.files.
+ */
+async function fetchClaimWizardFiles(claimId, folderKey = null, depth = 0, folderPath = []) {
+  if (depth > CLAIMWIZARD_MAX_FOLDER_DEPTH) return [];
+
+  const treePath = folderKey ? `tree/${folderKey}` : 'tree';
+  const filesResponse = await fetchApi(`/api/claim/${claimId}/files/${treePath}?th=n`);
+
+  if (!Array.isArray(filesResponse)) return [];
+
+  const allFiles = [];
+  for (const item of filesResponse) {
+    if (item.folder && item.hasChildren && item.key && item.key !== 'ATTACHMENTS') {
+      const folderName = item.title || item.filename || item.key;
+      const folderFiles = await fetchClaimWizardFiles(claimId, item.key, depth + 1, [...folderPath, folderName]);
+      allFiles.push(...folderFiles);
+    } else if (!item.folder && item.filename) {
+      allFiles.push({ ...item, folderPath });
+    }
+  }
+
+  return allFiles;
+}
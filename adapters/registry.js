@@ -0,0 +1,122 @@
+/**
+ * Claims Data Exporter - Platform Adapters
+ * Everything platform-specific (URLs, endpoint paths, response shapes) lives
+ * in an adapter. The export pipeline only talks to the adapter interface, so
+ * supporting another claims system means adding one file under adapters/
+ * plus its host in manifest.json.
+ *
+ * Adapter interface:
+ *   id                        - saved with the export job, e.g. 'claimwizard'
+ *   name                      - shown in the popup
+ *   hosts                     - hostnames handled (subdomains included)
+ *   origin                    - base URL that fetchApi() paths are relative to
+ *   searchClaims(criteria)    - search results for a file number or search term
+ *   lookupFields              - { keyType: [field names] } on a search result
+ *                               holding each LOOKUP_KEYS value, used to pick
+ *                               the right match when a CSV identifies claims
+ *                               by something other than the file number
+ *   claimRef(searchResult)    - { claimId, claimUuid } used by the calls below
+ *   fetchClaim(ref)           - the raw claim record
+ *   mapClaim(raw)             - common fields taken from the raw record
+ *                               (contacts, personnel, phases)
+ *   sections                  - { name: { fetch(ref), map(value) } }; map
+ *                               returns the common fields to merge, or null.
+ *                               Names come from EXPORT_SECTIONS
+ *   listFiles(ref)            - files in the common shape, with downloadUrl
+ *                               and folderPath
+ *   fetchActivity(ref)        - the activity log array, or null
+ *   normalize(claim)          - a stored claim in the neutral model of
+ *                               claim-model.js (normalized downloads, the
+ *                               claim browser and the search index)
+ *   personalData              - where the homeowner's personal data sits in
+ *                               the platform's payloads, for redacted
+ *                               downloads (export-redaction.js):
+ *                               { contacts(raw) - contact records in the raw
+ *                                 record, contactsLabel - their path,
+ *                                 names, addresses - field names on the raw
+ *                                 record and search result }
+ *
+ * Common claim record: fileNumber, claimId, claimUuid, claimDetails (search
+ * result), fullClaimData (raw record), contacts, personnel, phases, insurance,
+ * mortgages, externalPersonnel, actionItems, ledger, ledgerNotes,
+ * ledgerInvoices, files, notes, activity.
+ *
+ * Loaded by the service worker (exports), the content script (checking
+ * proxied requests) and the popup (platform detection, normalized downloads).
+ */
+
+const PLATFORM_ADAPTERS = [];
+
+// Data categories the user can pick for an export: the adapter's sections,
+// plus files (listFiles) and activity (fetchActivity). The claim record itself
+// (contacts, personnel, phases) is always fetched.
+const EXPORT_SECTIONS = [
+  { id: 'insurance', label: 'Insurance' },
+  { id: 'mortgages', label: 'Mortgages' },
+  { id: 'externalPersonnel', label: 'External personnel' },
+  { id: 'actionItems', label: 'Action items' },
+  { id: 'ledger', label: 'Ledger' },
+  { id: 'notes', label: 'Notes' },
+  { id: 'files', label: 'Files' },
+  { id: 'activity', label: 'Activity' }
+];
+
+/**
+ * The section ids a job fetches. Jobs saved before sections could be
+ * picked fetch all of them.
+ */
+function jobSections(job) {
+  return Array.isArray(job.sections) ? job.sections : EXPORT_SECTIONS.map(section => section.id);
+}
+
+/**
+ * True if the job leaves out some sections
+ */
+function isSectionSubset(sections) {
+  return EXPORT_SECTIONS.some(section => !sections.includes(section.id));
+}
+
+// Identifiers a CSV can name its claims by. Each is looked up through
+// searchClaims; the file number is the platform's own key and the default.
+const LOOKUP_KEYS = [
+  { id: 'fileNumber', label: 'File / claim number' },
+  { id: 'claimUuid', label: 'Claim UUID' },
+  { id: 'policyNumber', label: 'Policy number' },
+  { id: 'insuredName', label: 'Insured name' }
+];
+
+function registerPlatformAdapter(adapter) {
+  PLATFORM_ADAPTERS.push(adapter);
+}
+
+function adapterById(id) {
+  return PLATFORM_ADAPTERS.find(adapter => adapter.id === id) || null;
+}
+
+/**
+ * The adapter for a hostname, e.g. app.claimwizard.com, or null
+ */
+function adapterForHost(hostname) {
+  const host = String(hostname || '').toLowerCase();
+  return PLATFORM_ADAPTERS.find(adapter =>
+    adapter.hosts.some(h => host === h || host.endsWith(`.${h}`))
+  ) || null;
+}
+
+/**
+ * The adapter for a full URL, or null if it isn't a supported platform
+ */
+function adapterForUrl(url) {
+  try {
+    return adapterForHost(new URL(url).hostname);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Match patterns for the adapter's hosts, for chrome.tabs.query()
+ */
+function adapterHostPatterns(adapter) {
+  return adapter.hosts.flatMap(host => [`*://${host}/*`, `*://*.${host}/*`]);
+}
@@ -1,19 +1,408 @@
 /**
  * Background Service Worker
- * Minimal service worker for Chrome Extension
+ * Runs scheduled automatic backups (see backup-schedule.js).
+ *
+ * Also hosts the export engine (export-engine.js), which the popup sends
+ * its exports to.
+ *
+ * A scheduled backup reuses the normal export pipeline: an alarm fires and
+ * the engine runs a discovery or CSV export, sending its requests from a
+ * tab on the claims platform (opened in the background if none is open).
+ * The engine reports the end of the job through storage (exportComplete /
+ * exportError), which is picked up here even if the worker was stopped and
+ * the job resumed in the meantime. The finished export is then built here
+ * and saved to Downloads.
+ *
+ * Each backup is a job of its own in the job list, marked scheduled. Once
+ * a backup is saved, the earlier finished backup jobs are deleted so their
+ * claims don't pile up in storage.
  */
 
+importScripts(
+  'adapters/registry.js',
+  'adapters/claimwizard.js',
+  'rate-limiter.js',
+  'fetch-proxy.js',
+  'http-client.js',
+  'zip-writer.js',
+  'export-crypto.js',
+  'claim-store.js',
+  'job-store.js',
+  'claim-model.js',
+  'search-index.js',
+  'claim-discovery.js',
+  'csv-parser.js',
+  'export-engine.js',
+  'schema-validator.js',
+  'export-builder.js',
+  'export-tables.js',
+  'blob-store.js',
+  'export-stream.js',
+  'backup-schedule.js'
+);
+
 console.log('🔧 Claims Data Exporter background service worker loaded');
 
+// Checks on a running backup, in case its export stopped making progress
+const BACKUP_WATCHDOG_ALARM = 'scheduledBackupWatchdog';
+const BACKUP_WATCHDOG_MINUTES = 5;
+
+// A running backup with no progress for this long has stopped
+const BACKUP_STALE_MS = 10 * 60 * 1000;
+
+// Finishing a run is serialized: the export's response, the storage change
+// and the watchdog can all report the same end
+let backupUpdates = Promise.resolve();
+
+function serializeBackupUpdate(task) {
+  const run = backupUpdates.then(task);
+  backupUpdates = run.catch(() => {});
+  return run;
+}
+
 // Handle installation
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     console.log('🎉 Claims Data Exporter installed');
-    
+
     // Set default settings
     chrome.storage.local.set({
       testMode: false
     });
   }
+
+  scheduleNextBackup();
+});
+
+chrome.runtime.onStartup.addListener(scheduleNextBackup);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BACKUP_ALARM) {
+    runScheduledBackup({ manual: false });
+  } else if (alarm.name === BACKUP_WATCHDOG_ALARM) {
+    checkScheduledRun();
+  }
+});
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'runBackupNow') {
+    runScheduledBackup({ manual: true })
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+
+  if (changes.backupSchedule) {
+    scheduleNextBackup();
+  }
+
+  // exportComplete holds the id of the job that finished
+  if (changes.exportComplete && changes.exportComplete.newValue) {
+    loadExportJob(changes.exportComplete.newValue)
+      .then(job => finishScheduledRun({ success: true }, job));
+  }
+
+  if (changes.exportError && changes.exportError.newValue) {
+    finishScheduledRun({ success: false, error: changes.exportError.newValue });
+  }
+
+  // A backup job removed before it finished was cancelled
+  for (const [key, change] of Object.entries(changes)) {
+    const job = change.oldValue;
+    if (key.startsWith('exportJob_') && !change.newValue && job && job.scheduled && job.state !== 'complete') {
+      finishScheduledRun({ success: false, error: 'The export was cancelled' }, job);
+    }
+  }
 });
 
+/**
+ * Set the alarm for the next scheduled backup, or clear it when disabled
+ */
+async function scheduleNextBackup() {
+  const schedule = await loadBackupSchedule();
+
+  if (!schedule.enabled) {
+    await chrome.alarms.clear(BACKUP_ALARM);
+    return;
+  }
+
+  const when = nextScheduledRun(schedule);
+  await chrome.alarms.create(BACKUP_ALARM, { when });
+  console.log(`⏰ Next scheduled backup: ${new Date(when).toLocaleString()}`);
+}
+
+async function loadBackupSchedule() {
+  const { backupSchedule } = await storageGet(['backupSchedule']);
+  return { ...DEFAULT_BACKUP_SCHEDULE, ...backupSchedule };
+}
+
+/**
+ * Start a backup export. Skipped (and recorded as such) if another export
+ * is already running.
+ *
+ * @param {object} options - { manual } - manual runs come from "Run backup now"
+ */
+async function runScheduledBackup({ manual }) {
+  const schedule = await loadBackupSchedule();
+  if (!manual) await scheduleNextBackup();
+
+  const startedAt = Date.now();
+  const busy = await exportInProgress();
+  if (busy) {
+    await recordBackupRun({ startedAt, finishedAt: startedAt, manual, status: 'skipped', error: busy });
+    if (manual) throw new Error(busy);
+    return;
+  }
+
+  if (schedule.source === 'csv' && !schedule.csvText) {
+    await failBackup({ startedAt, manual }, 'No CSV saved for scheduled backups');
+    return;
+  }
+
+  await storageSet({ scheduledRun: { startedAt, manual } });
+  await chrome.alarms.create(BACKUP_WATCHDOG_ALARM, { periodInMinutes: BACKUP_WATCHDOG_MINUTES });
+  await storageRemove(['exportComplete', 'exportProgress', 'exportError']);
+
+  const options = {
+    name: `${manual ? 'Backup' : 'Scheduled backup'}, ${new Date(startedAt).toLocaleString()}`,
+    scheduled: true,
+    testMode: false,
+    includeFiles: !!schedule.includeFiles,
+    incremental: !!schedule.incremental,
+    throttle: schedule.throttle,
+    platform: schedule.platform
+  };
+
+  // Not awaited: the storage listener above picks up the end of the job
+  if (schedule.source === 'csv') {
+    processCsvAndFetchData(schedule.csvText, options);
+  } else {
+    processDiscoveryAndFetchData({}, options);
+  }
+
+  console.log('💾 Scheduled backup started');
+}
+
+/**
+ * Why a new backup can't start right now, or null if it can. Paused jobs
+ * don't stand in the way; the backup runs as a job of its own.
+ */
+async function exportInProgress() {
+  const { scheduledRun } = await storageGet(['scheduledRun']);
+
+  if (scheduledRun) {
+    return 'The previous backup was still running';
+  }
+
+  // A running job this worker isn't working on yet is about to be resumed
+  if (exportEngineBusy() || await runningExportJob()) {
+    return 'An export was already running';
+  }
+
+  return null;
+}
+
+/**
+ * Is this the job the run started? Backups are the only jobs marked
+ * scheduled, and the run's job starts after the run does.
+ */
+function isScheduledRunJob(job, scheduledRun) {
+  return !!job.scheduled && (job.startedAt || 0) >= scheduledRun.startedAt;
+}
+
+/**
+ * The job a running backup started, or null if it hasn't got one yet
+ */
+async function scheduledRunJob(scheduledRun) {
+  const jobs = await loadExportJobs();
+  return jobs.find(job => isScheduledRunJob(job, scheduledRun)) || null;
+}
+
+/**
+ * Watchdog: end a run whose export stopped making progress
+ */
+async function checkScheduledRun() {
+  const { scheduledRun, exportComplete, exportProgress } =
+    await storageGet(['scheduledRun', 'exportComplete', 'exportProgress']);
+
+  if (!scheduledRun) {
+    await chrome.alarms.clear(BACKUP_WATCHDOG_ALARM);
+    return;
+  }
+
+  if (exportComplete) {
+    await finishScheduledRun({ success: true }, await loadExportJob(exportComplete));
+    return;
+  }
+
+  // A paused backup is saved once the user resumes it and it finishes
+  const job = await scheduledRunJob(scheduledRun);
+  if (job && job.state === 'paused') return;
+
+  const lastActivity = Math.max(scheduledRun.startedAt, exportProgress ? exportProgress.timestamp : 0);
+  if (Date.now() - lastActivity > BACKUP_STALE_MS) {
+    await finishScheduledRun({ success: false, error: 'The export stopped responding' });
+  }
+}
+
+/**
+ * End the running backup: save the export on success, then record the
+ * run and notify
+ *
+ * @param {object} [job] - the job the news is about; news about any other
+ *   job than the backup's is ignored
+ */
+function finishScheduledRun({ success, error }, job = null) {
+  return serializeBackupUpdate(async () => {
+    const { scheduledRun } = await storageGet(['scheduledRun']);
+    if (!scheduledRun) return;
+    if (job && !isScheduledRunJob(job, scheduledRun)) return;
+
+    await storageRemove(['scheduledRun']);
+    await chrome.alarms.clear(BACKUP_WATCHDOG_ALARM);
+
+    try {
+      if (!success) {
+        await failBackup(scheduledRun, error);
+        return;
+      }
+
+      const schedule = await loadBackupSchedule();
+      const exportJob = job || await scheduledRunJob(scheduledRun);
+      if (!exportJob) {
+        throw new Error('The backup\'s export job is missing');
+      }
+      const format = EXPORT_FORMATS[schedule.includeFiles ? 'zip' : schedule.format] || EXPORT_FORMATS.json;
+
+      let truncated = [];
+      const blob = await format.build(exportJob, false, { onTruncated: tables => { truncated = tables; } });
+      const filename = `${BACKUP_FOLDER}/${exportFilename(exportJob, false, format.extension)}`;
+      await saveDownload(blob, filename);
+
+      // Claims without a single exact search match were left out too
+      const failedCount = Object.keys(exportJob.failures || {}).length +
+        Object.keys(jobUnmatched(exportJob)).length;
+      await recordBackupRun({
+        startedAt: scheduledRun.startedAt,
+        finishedAt: Date.now(),
+        manual: scheduledRun.manual,
+        status: 'success',
+        claimCount: exportJob.completedCount,
+        failedCount,
+        filename
+      });
+
+      await pruneScheduledJobs(exportJob);
+
+      const cutOff = truncated.length > 0
+        ? ` Excel's row limit cut off ${truncated.map(t => t.name).join(', ')} - back up as CSV tables to keep every row.`
+        : '';
+      notify('Backup complete', (failedCount > 0
+        ? `${exportJob.completedCount} claims saved to ${filename}. ${failedCount} had errors - open the extension to retry or match them.`
+        : `${exportJob.completedCount} claims saved to ${filename}.`) + cutOff);
+    } catch (saveError) {
+      console.error('Saving scheduled backup failed:', saveError);
+      await failBackup(scheduledRun, `Saving the backup failed: ${saveError.message}`);
+    }
+  });
+}
+
+/**
+ * Delete the finished backup jobs before this one; they are saved in
+ * Downloads. The latest stays, so it can be browsed or retried.
+ */
+async function pruneScheduledJobs(latest) {
+  const jobs = await loadExportJobs();
+  for (const job of jobs) {
+    if (job.scheduled && job.state === 'complete' && job.id !== latest.id) {
+      await deleteExportJob(job);
+    }
+  }
+}
+
+async function failBackup(run, error) {
+  await recordBackupRun({
+    startedAt: run.startedAt,
+    finishedAt: Date.now(),
+    manual: !!run.manual,
+    status: 'failed',
+    error
+  });
+  notify('Backup failed', error);
+}
+
+async function recordBackupRun(entry) {
+  const { backupHistory } = await storageGet(['backupHistory']);
+  const history = [entry, ...(backupHistory || [])].slice(0, BACKUP_HISTORY_LIMIT);
+  await storageSet({ backupHistory: history });
+}
+
+function notify(title, message) {
+  chrome.notifications.create(`backup-${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: title,
+    message: message
+  });
+}
+
+/**
+ * Save a Blob to Downloads without a prompt. The Blob goes through the blob
+ * store to the offscreen document, which makes the URL chrome.downloads
+ * fetches from.
+ */
+async function saveDownload(blob, filename) {
+  const key = `download-${Date.now()}`;
+  await putBlob(key, blob);
+
+  try {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'createBlobUrl', key });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No download URL');
+    }
+
+    const downloadId = await chrome.downloads.download({
+      url: response.url,
+      filename: filename,
+      conflictAction: 'uniquify',
+      saveAs: false
+    });
+    await waitForDownload(downloadId);
+  } finally {
+    await chrome.offscreen.closeDocument().catch(() => {});
+    await deleteBlob(key);
+  }
+}
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+
+  await chrome.offscreen.createDocument({
+    url: 'offscreen.html',
+    reasons: ['BLOBS'],
+    justification: 'Create download URLs for scheduled backups'
+  });
+}
+
+function waitForDownload(downloadId) {
+  return new Promise((resolve, reject) => {
+    const listener = (delta) => {
+      if (delta.id !== downloadId || !delta.state) return;
+
+      if (delta.state.current === 'complete') {
+        chrome.downloads.onChanged.removeListener(listener);
+        resolve();
+      } else if (delta.state.current === 'interrupted') {
+        chrome.downloads.onChanged.removeListener(listener);
+        reject(new Error(delta.error ? delta.error.current : 'Download interrupted'));
+      }
+    };
+    chrome.downloads.onChanged.addListener(listener);
+  });
+}
@@ -0,0 +1,67 @@
+/**
+ * Claims Data Exporter - Backup Schedule
+ * Settings and timing for scheduled automatic backups. The service worker
+ * (background.js) runs them; the popup edits the schedule and shows the
+ * run history.
+ *
+ * Storage:
+ *   backupSchedule  - { enabled, frequency, weekday, time, source, csvText,
+ *                       csvName, format, includeFiles, incremental, throttle,
+ *                       platform }
+ *   scheduledRun    - the backup in progress, if any
+ *   backupHistory   - finished runs, newest first
+ */
+
+const BACKUP_ALARM = 'scheduledBackup';
+
+// Runs kept in backupHistory
+const BACKUP_HISTORY_LIMIT = 20;
+
+// Subfolder of Downloads that scheduled backups are saved to
+const BACKUP_FOLDER = 'claims-backups';
+
+const BACKUP_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DEFAULT_BACKUP_SCHEDULE = {
+  enabled: false,
+  frequency: 'daily',
+  weekday: 1,
+  time: '02:00',
+  source: 'discovery',
+  csvText: null,
+  csvName: null,
+  format: 'json',
+  includeFiles: false,
+  incremental: true,
+  throttle: { profile: 'gentle' },
+  platform: 'claimwizard'
+};
+
+/**
+ * When the schedule next fires after `now` (local time), as a timestamp
+ */
+function nextScheduledRun(schedule, now = Date.now()) {
+  const [hours, minutes] = String(schedule.time || DEFAULT_BACKUP_SCHEDULE.time).split(':').map(Number);
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+
+  if (schedule.frequency === 'weekly') {
+    const daysAhead = (Number(schedule.weekday) - next.getDay() + 7) % 7;
+    next.setDate(next.getDate() + daysAhead);
+    if (next.getTime() <= now) next.setDate(next.getDate() + 7);
+  } else if (next.getTime() <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+
+  return next.getTime();
+}
+
+/**
+ * e.g. "Every Monday at 02:00"
+ */
+function describeSchedule(schedule) {
+  const day = schedule.frequency === 'weekly'
+    ? `Every ${BACKUP_WEEKDAYS[schedule.weekday]}`
+    : 'Every day';
+  return `${day} at ${schedule.time}`;
+}
@@ -0,0 +1,69 @@
+/**
+ * Claims Data Exporter - Blob Store
+ * A small IndexedDB store for handing large Blobs between extension
+ * contexts. The service worker can build a download but can't make a URL
+ * for it, and messages can't carry Blobs, so the file is parked here and
+ * the offscreen document turns it into an object URL.
+ *
+ * It also keeps file system handles (the output folder of export-stream.js),
+ * which can't go into chrome.storage either.
+ *
+ * Loaded by the service worker, the offscreen document and the popup.
+ */
+
+const BLOB_STORE_DB = 'claims-data-exporter';
+const BLOB_STORE_VERSION = 2;
+const BLOB_STORE_NAME = 'blobs';
+const HANDLE_STORE_NAME = 'handles';
+
+function openBlobStore() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(BLOB_STORE_DB, BLOB_STORE_VERSION);
+    // Version 1 only had the blobs store
+    request.onupgradeneeded = () => {
+      for (const name of [BLOB_STORE_NAME, HANDLE_STORE_NAME]) {
+        if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against a store (blobs by default) and resolve with its result
+ */
+async function blobStoreRequest(mode, makeRequest, storeName = BLOB_STORE_NAME) {
+  const db = await openBlobStore();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function putBlob(key, blob) {
+  return blobStoreRequest('readwrite', store => store.put(blob, key));
+}
+
+function getBlob(key) {
+  return blobStoreRequest('readonly', store => store.get(key));
+}
+
+function deleteBlob(key) {
+  return blobStoreRequest('readwrite', store => store.delete(key));
+}
+
+function putHandle(key, handle) {
+  return blobStoreRequest('readwrite', store => store.put(handle, key), HANDLE_STORE_NAME);
+}
+
+function getHandle(key) {
+  return blobStoreRequest('readonly', store => store.get(key), HANDLE_STORE_NAME);
+}
@@ -0,0 +1,176 @@
+/**
+ * Claims Data Exporter - Claim Discovery
+ * Builds the list of claims to export straight from the platform's search
+ * endpoint, so no "All Claims" CSV has to be exported and uploaded first.
+ *
+ * The search box only returns a limited number of matches per query, so
+ * discovery sweeps short search terms (0-9, a-z) and refines any term whose
+ * results look truncated by extending it one character on either side. Every
+ * claim is found through some term, and duplicates are merged by claim UUID.
+ */
+
+const DISCOVERY_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// A search returning at least this many claims is assumed to be cut off and
+// gets refined into longer terms
+const DISCOVERY_REFINE_THRESHOLD = 50;
+
+// Don't refine past this length, and don't run more than this many searches
+const DISCOVERY_MAX_TERM_LENGTH = 4;
+const DISCOVERY_MAX_SEARCHES = 2000;
+
+// Field names the search results may use for each property we filter on
+const DISCOVERY_FIELDS = {
+  fileNumber: ['fileNumber', 'file_number', 'fileNo', 'FileNumber', 'number'],
+  status: ['status', 'claimStatus', 'statusName', 'phase', 'phaseName'],
+  type: ['claimType', 'type', 'typeName', 'lossType'],
+  lossDate: ['dateOfLoss', 'lossDate', 'loss_date', 'DateOfLoss'],
+  createdDate: ['createdAt', 'created', 'dateCreated', 'created_at', 'DateCreated']
+};
+
+/**
+ * Enumerate claims through search and apply the user's filters.
+ *
+ * @param {object} filters
+ * @param {string} [filters.query] - optional search text to start from
+ * @param {string} [filters.status] - comma-separated statuses to keep
+ * @param {string} [filters.type] - comma-separated claim types to keep
+ * @param {string} [filters.dateField] - 'loss' or 'created'
+ * @param {string} [filters.dateFrom] - YYYY-MM-DD, inclusive
+ * @param {string} [filters.dateTo] - YYYY-MM-DD, inclusive
+ * @param {object} [options]
+ * @param {number} [options.limit] - stop once this many matching claims are found
+ * @param {function} [options.onProgress] - called with (found, searches)
+ * @returns {Promise<Array>} claims shaped like parseClaimsCsv() claims, plus searchResult
+ */
+async function discoverClaims(filters = {}, options = {}) {
+  const limit = options.limit || Infinity;
+  const found = new Map();
+  const tried = new Set();
+  const queue = filters.query ? [filters.query.trim().toLowerCase()] : [...DISCOVERY_ALPHABET];
+  let searches = 0;
+  let matching = 0;
+
+  while (queue.length > 0 && matching < limit) {
+    const term = queue.shift();
+    if (tried.has(term)) continue;
+    tried.add(term);
+
+    if (searches >= DISCOVERY_MAX_SEARCHES) {
+      console.warn(`Discovery stopped after ${DISCOVERY_MAX_SEARCHES} searches; some claims may be missing`);
+      break;
+    }
+
+    const results = await currentAdapter().searchClaims(term);
+    searches++;
+
+    for (const claimInfo of results) {
+      const id = claimInfo.uuid || claimInfo.id;
+      if (id == null || found.has(id)) continue;
+      found.set(id, claimInfo);
+      if (matchesDiscoveryFilters(claimInfo, filters)) matching++;
+    }
+
+    if (results.length >= DISCOVERY_REFINE_THRESHOLD && term.length < DISCOVERY_MAX_TERM_LENGTH) {
+      for (const ch of DISCOVERY_ALPHABET) {
+        queue.push(term + ch, ch + term);
+      }
+    }
+
+    if (options.onProgress) options.onProgress(matching, searches);
+
+    // Same pacing as a person typing into the search box
+    await sleep(300 + Math.random() * 400);
+  }
+
+  let skippedNoNumber = 0;
+  const claims = [];
+
+  for (const claimInfo of found.values()) {
+    if (!matchesDiscoveryFilters(claimInfo, filters)) continue;
+
+    const fileNumber = pickDiscoveryField(claimInfo, 'fileNumber');
+    if (!fileNumber) {
+      skippedNoNumber++;
+      continue;
+    }
+
+    claims.push({
+      fileNumber: String(fileNumber),
+      rowIndex: claims.length,
+      searchResult: claimInfo
+    });
+  }
+
+  if (skippedNoNumber > 0) {
+    console.log(`Skipped ${skippedNoNumber} search results without a file number`);
+  }
+
+  claims.sort((a, b) => a.fileNumber.localeCompare(b.fileNumber, undefined, { numeric: true }));
+  claims.forEach((c, i) => { c.rowIndex = i; });
+
+  return claims.slice(0, limit);
+}
+
+/**
+ * Do the filters leave out any claims? Without them discovery finds every
+ * claim it can.
+ */
+function hasDiscoveryFilters(filters) {
+  return !!String(filters.query || '').trim() ||
+    splitFilterList(filters.status).length > 0 ||
+    splitFilterList(filters.type).length > 0 ||
+    !!(filters.dateFrom || filters.dateTo);
+}
+
+/**
+ * Does a search result pass the status / type / date filters?
+ * Claims missing a field that is being filtered on are left out.
+ */
+function matchesDiscoveryFilters(claimInfo, filters) {
+  const statuses = splitFilterList(filters.status);
+  if (statuses.length > 0) {
+    const status = String(pickDiscoveryField(claimInfo, 'status') || '').toLowerCase();
+    if (!statuses.includes(status)) return false;
+  }
+
+  const types = splitFilterList(filters.type);
+  if (types.length > 0) {
+    const type = String(pickDiscoveryField(claimInfo, 'type') || '').toLowerCase();
+    if (!types.includes(type)) return false;
+  }
+
+  if (filters.dateFrom || filters.dateTo) {
+    const field = filters.dateField === 'created' ? 'createdDate' : 'lossDate';
+    const value = pickDiscoveryField(claimInfo, field);
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) return false;
+
+    const day = date.toISOString().slice(0, 10);
+    if (filters.dateFrom && day < filters.dateFrom) return false;
+    if (filters.dateTo && day > filters.dateTo) return false;
+  }
+
+  return true;
+}
+
+/**
+ * First non-empty value among the known names for a field
+ */
+function pickDiscoveryField(claimInfo, field) {
+  for (const name of DISCOVERY_FIELDS[field]) {
+    const value = claimInfo[name];
+    if (value !== undefined && value !== null && value !== '') {
+      // Some fields come back as { id, name } objects
+      return typeof value === 'object' ? (value.name || value.title || value.label) : value;
+    }
+  }
+  return null;
+}
+
+function splitFilterList(value) {
+  return String(value || '')
+    .split(',')
+    .map(v => v.trim().toLowerCase())
+    .filter(Boolean);
+}
@@ -0,0 +1,168 @@
+/**
+ * Claims Data Exporter - Normalized Claim Model
+ * A platform-neutral view of a stored claim, so downstream scripts don't
+ * depend on any one platform's field names. Each adapter maps its raw
+ * records into this model with normalize(claim); the helpers below do the
+ * value clean-up every adapter needs.
+ *
+ * Model (missing values are null, missing lists are empty):
+ *   fileNumber, claimId, claimUuid, status
+ *   loss:         { date, type, cause, description, address }
+ *   parties:      [{ role, firstName, lastName, company, email, phone, address, isPrimary }]
+ *   policies:     [{ carrier, policyNumber, claimNumber, effectiveDate, expirationDate, coverages }]
+ *   transactions: [{ date, kind, category, description, amount, reference }]
+ *   tasks:        [{ title, dueDate, completed, assignedTo }]
+ *   documents:    [{ key, name, title, folderPath, size, date, description, stored }]
+ *   timeline:     [{ date, kind, author, text }] - oldest first
+ *   raw:          the original record (only when raw payloads are included)
+ *
+ * Addresses are { line1, line2, city, state, postalCode }; dates are
+ * YYYY-MM-DD or full ISO timestamps; amounts are numbers.
+ */
+
+// Bump when the model's shape changes
+const CLAIM_MODEL_VERSION = '1.0.0';
+
+// Bookkeeping fields carried over from the stored record as-is
+const CLAIM_MODEL_PASSTHROUGH = ['changeStatus', 'error', 'sectionErrors'];
+
+/**
+ * Normalize one stored claim with its platform's adapter.
+ *
+ * @param {object} claim - a stored claim record
+ * @param {object} adapter - the platform adapter the claim came from
+ * @param {object} [options]
+ * @param {boolean} [options.includeRaw] - keep the original record under raw
+ */
+function normalizeClaimRecord(claim, adapter, options = {}) {
+  const normalized = {
+    fileNumber: claim.fileNumber,
+    claimId: claim.claimId ?? null,
+    claimUuid: claim.claimUuid ?? null,
+    status: null,
+    loss: { date: null, type: null, cause: null, description: null, address: null },
+    parties: [],
+    policies: [],
+    transactions: [],
+    tasks: [],
+    documents: [],
+    timeline: []
+  };
+
+  // A claim that failed outright has nothing to map
+  if (!claim.error) {
+    Object.assign(normalized, adapter.normalize(claim));
+  }
+  normalized.timeline.sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+
+  for (const key of CLAIM_MODEL_PASSTHROUGH) {
+    if (claim[key] !== undefined) normalized[key] = claim[key];
+  }
+
+  if (options.includeRaw) {
+    normalized.raw = claim;
+  }
+
+  return normalized;
+}
+
+/**
+ * First non-empty value among dotted paths, e.g. pickValue(raw, ['status.name', 'status'])
+ */
+function pickValue(source, paths) {
+  if (!source || typeof source !== 'object') return null;
+
+  for (const path of paths) {
+    const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+}
+
+/**
+ * Sections come back as an array, a single object, or nothing
+ */
+function normalizeList(value) {
+  if (Array.isArray(value)) return value.filter(item => item != null);
+  return value && typeof value === 'object' ? [value] : [];
+}
+
+/**
+ * Name-like values sometimes come back as { id, name } objects
+ */
+function normalizeText(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'object') return normalizeText(value.name ?? value.title ?? value.label ?? null);
+  return String(value).trim() || null;
+}
+
+/**
+ * YYYY-MM-DD for date-only values, full ISO timestamp otherwise, null if unparseable
+ */
+function normalizeDate(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Numbers as numbers; strings like "$1,250.00" or "(75.00)" parsed
+ */
+function normalizeAmount(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+function normalizeBoolean(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'string') return ['1', 'true', 'yes', 'y'].includes(value.toLowerCase());
+  return Boolean(value);
+}
+
+/**
+ * Addresses come as objects with platform-specific keys, or as plain text
+ */
+function normalizeAddress(value) {
+  if (value == null || value === '') return null;
+
+  if (typeof value !== 'object') {
+    return { line1: String(value), line2: null, city: null, state: null, postalCode: null };
+  }
+
+  const address = {
+    line1: normalizeText(pickValue(value, ['line1', 'address1', 'street', 'street1', 'address'])),
+    line2: normalizeText(pickValue(value, ['line2', 'address2', 'street2', 'unit'])),
+    city: normalizeText(pickValue(value, ['city', 'town'])),
+    state: normalizeText(pickValue(value, ['state', 'stateCode', 'province', 'region'])),
+    postalCode: normalizeText(pickValue(value, ['postalCode', 'zip', 'zipCode', 'postcode']))
+  };
+
+  return Object.values(address).some(v => v !== null) ? address : null;
+}
+
+/**
+ * A party from any person-like record
+ */
+function normalizeParty(role, person, extra = {}) {
+  const source = person?.person && typeof person.person === 'object' ? { ...person, ...person.person } : (person || {});
+
+  return {
+    role: role,
+    firstName: normalizeText(pickValue(source, ['firstName', 'first_name', 'name.firstName', 'fname'])),
+    lastName: normalizeText(pickValue(source, ['lastName', 'last_name', 'name.lastName', 'lname'])),
+    company: normalizeText(pickValue(source, ['company', 'companyName', 'organization', 'business'])),
+    email: normalizeText(pickValue(source, ['email', 'emailAddress', 'preferredEmail.address'])),
+    phone: normalizeText(pickValue(source, ['phone.number', 'preferredPhone.number', 'phone', 'phoneNumber'])),
+    address: normalizeAddress(pickValue(source, ['address', 'physicalAddress', 'mailingAddress'])),
+    isPrimary: Boolean(source.isPrimary),
+    ...extra
+  };
+}
@@ -0,0 +1,519 @@
+/**
+ * Claims Data Exporter - Claim Store
+ * Shared helpers for the chrome.storage.local layout used by export jobs.
+ *
+ * Layout, per job (<id> is the job id, see job-store.js):
+ *   exportJob_<id>                       - job info (file numbers, counts, options)
+ *   exportCsvRows_<id>                   - the CSV row of each claim, by index (CSV jobs)
+ *   exportInput_<id>                     - each claim's CSV row number, and the rows
+ *                                          that weren't exported (CSV jobs)
+ *   exportLookupIssues_<id>              - the searches with no single exact match,
+ *                                          with what they found (lookup jobs)
+ *   exportedClaim_<id>_<i>               - one fetched claim record per index
+ *   exportedSearch_<id>_<i>              - search document for claim <i> (search-index.js)
+ *   exportedFiles_<id>_<i>               - per-file completion for claim <i>
+ *   exportedFile_<id>_<i>_<key>_<chunk>  - base64 file bytes, split into chunks
+ * and per baseline (<baselineId>, one per source of incremental jobs, see
+ * baselineLineage in export-engine.js):
+ *   exportBaseline_<baselineId>               - fingerprints from the last
+ *                                               incremental run of the source
+ *   baselineClaim_<baselineId>_<fileNumber>   - claim records from that run
+ *
+ * The job from before there could be several (LEGACY_JOB_ID) keeps its
+ * keys without the <id> part, and so does the baseline from before there
+ * could be several (LEGACY_BASELINE_ID).
+ *
+ * Everything but the job info and the progress entries is read and written
+ * through loadRecords / saveRecords, which gzip the larger records and seal
+ * the values when the job encrypts at rest (export-crypto.js).
+ *
+ * Keys of claims past their job's total, of a job that's gone, or baseline
+ * records the baseline no longer lists are orphaned: nothing reads them
+ * again. summarizeStorage finds them and removeOrphanedData deletes them.
+ *
+ * Loaded by the service worker (writes), the popup (reads/cleanup) and the
+ * content script (base64 helpers).
+ */
+
+// How many claims to load from storage at once during download
+const LOAD_BATCH_SIZE = 100;
+
+// Raw bytes per stored file chunk. Keeps each storage value well under
+// the extension messaging limits even for very large attachments.
+const FILE_CHUNK_BYTES = 4 * 1024 * 1024;
+
+// Records whose JSON is at least this long are stored gzipped. Claims with
+// notes and activity shrink to a fraction; small ones aren't worth it.
+const PACK_MIN_CHARS = 2048;
+const PACKED_RECORD_VERSION = 1;
+
+// Id of the job migrated from the single-job layout (see job-store.js)
+const LEGACY_JOB_ID = 'legacy';
+
+// A job's keys, by what they hold: the first group is the job id (none for
+// the legacy job), the second the claim index
+const JOB_KEY_GROUPS = [
+  { group: 'claims', pattern: /^exportedClaim_(?:(j[0-9a-z]+)_)?(\d+)$/ },
+  { group: 'search', pattern: /^exportedSearch_(?:(j[0-9a-z]+)_)?(\d+)$/ },
+  { group: 'files', pattern: /^exportedFiles?_(?:(j[0-9a-z]+)_)?(\d+)(?:_|$)/ },
+  { group: 'details', pattern: /^exportJob_([0-9a-z]+)$/ },
+  { group: 'details', pattern: /^export(?:CsvRows|Input|LookupIssues)(?:_(j[0-9a-z]+))?$/ }
+];
+
+// Id of the baseline migrated from the single-baseline layout. It goes to
+// the first source whose incremental job finds no baseline of its own.
+const LEGACY_BASELINE_ID = 'legacy';
+
+// Hex digits of the lineage hash in a baseline id ('b' and the digits)
+const BASELINE_ID_HEX_DIGITS = 12;
+
+// Baseline keys: the first group is the baseline id (none for the legacy one)
+const BASELINE_KEY_PATTERN = /^exportBaseline(?:_(b[0-9a-f]{12}))?$/;
+const BASELINE_CLAIM_KEY_PATTERN = /^baselineClaim_(?:(b[0-9a-f]{12})_)?(.+)$/;
+
+// Keys removed per storage call when cleaning up
+const REMOVE_BATCH_SIZE = 500;
+
+/**
+ * name_<jobId>, or just name for the legacy job
+ */
+function jobScopedKey(name, jobId) {
+  return jobId === LEGACY_JOB_ID ? name : `${name}_${jobId}`;
+}
+
+function claimStorageKey(jobId, index) {
+  return `${jobScopedKey('exportedClaim', jobId)}_${index}`;
+}
+
+function searchDocumentKey(jobId, index) {
+  return `${jobScopedKey('exportedSearch', jobId)}_${index}`;
+}
+
+function fileProgressKey(jobId, claimIndex) {
+  return `${jobScopedKey('exportedFiles', jobId)}_${claimIndex}`;
+}
+
+function fileChunkKey(jobId, claimIndex, fileKey, chunk) {
+  return `${jobScopedKey('exportedFile', jobId)}_${claimIndex}_${fileKey}_${chunk}`;
+}
+
+function jobCsvRowsKey(jobId) {
+  return jobScopedKey('exportCsvRows', jobId);
+}
+
+function jobInputKey(jobId) {
+  return jobScopedKey('exportInput', jobId);
+}
+
+function jobLookupIssuesKey(jobId) {
+  return jobScopedKey('exportLookupIssues', jobId);
+}
+
+function baselineKey(baselineId) {
+  return baselineId === LEGACY_BASELINE_ID ? 'exportBaseline' : `exportBaseline_${baselineId}`;
+}
+
+function baselineClaimKey(baselineId, fileNumber) {
+  return baselineId === LEGACY_BASELINE_ID
+    ? `baselineClaim_${fileNumber}`
+    : `baselineClaim_${baselineId}_${fileNumber}`;
+}
+
+function storageGet(keys) {
+  return new Promise(resolve => chrome.storage.local.get(keys, resolve));
+}
+
+function storageSet(items) {
+  return new Promise(resolve => chrome.storage.local.set(items, resolve));
+}
+
+function storageRemove(keys) {
+  return new Promise(resolve => chrome.storage.local.remove(keys, resolve));
+}
+
+function storageBytesInUse(keys) {
+  return new Promise(resolve => chrome.storage.local.getBytesInUse(keys, resolve));
+}
+
+/**
+ * Every key in chrome.storage.local. Older Chrome versions without
+ * getKeys have to read the values too.
+ */
+async function listStorageKeys() {
+  if (chrome.storage.local.getKeys) return chrome.storage.local.getKeys();
+  return Object.keys(await storageGet(null));
+}
+
+/**
+ * storageGet for values of a job that may be sealed or packed: opens and
+ * unpacks each one. Throws if the job encrypts at rest and hasn't been
+ * unlocked.
+ */
+async function loadRecords(keys, jobId) {
+  const stored = await storageGet(keys);
+  for (const key of Object.keys(stored)) {
+    stored[key] = await unpackRecord(await openRecord(stored[key], key, jobId));
+  }
+  return stored;
+}
+
+/**
+ * storageSet for values of a job: packs the larger ones and seals each one
+ * when the job encrypts at rest
+ */
+async function saveRecords(items, jobId) {
+  const sealed = {};
+  for (const [key, value] of Object.entries(items)) {
+    sealed[key] = await sealRecord(await packRecord(value), key, jobId);
+  }
+  return storageSet(sealed);
+}
+
+/**
+ * A record as stored: { packed, data } with data the base64 of its gzipped
+ * JSON, or the value itself if it's small or not an object (file chunks
+ * are base64 already)
+ */
+async function packRecord(value) {
+  if (!value || typeof value !== 'object') return value;
+
+  const json = JSON.stringify(value);
+  if (json.length < PACK_MIN_CHARS) return value;
+
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  return { packed: PACKED_RECORD_VERSION, data: bytesToBase64(bytes) };
+}
+
+async function unpackRecord(value) {
+  if (!value || typeof value !== 'object' || value.packed !== PACKED_RECORD_VERSION) return value;
+
+  const stream = new Blob([base64ToBytes(value.data)]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return JSON.parse(await new Response(stream).text());
+}
+
+/**
+ * Walk a job's stored claims 0..count-1 in batches of LOAD_BATCH_SIZE.
+ * The callback receives an array of { index, claim } for each batch; only one
+ * batch is held in memory at a time.
+ */
+async function forEachClaimBatch(jobId, count, callback) {
+  for (let batchStart = 0; batchStart < count; batchStart += LOAD_BATCH_SIZE) {
+    const batchEnd = Math.min(batchStart + LOAD_BATCH_SIZE, count);
+    const keys = [];
+    for (let i = batchStart; i < batchEnd; i++) {
+      keys.push(claimStorageKey(jobId, i));
+    }
+
+    const batchData = await loadRecords(keys, jobId);
+
+    const batch = [];
+    for (let i = batchStart; i < batchEnd; i++) {
+      const claim = batchData[claimStorageKey(jobId, i)];
+      if (claim) batch.push({ index: i, claim });
+    }
+
+    await callback(batch);
+
+    // Let the browser breathe between batches
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+/**
+ * Which files of a claim have already been stored.
+ * Returns a map of file key -> { chunks, size }.
+ */
+async function getStoredFileProgress(jobId, claimIndex) {
+  const key = fileProgressKey(jobId, claimIndex);
+  const result = await storageGet([key]);
+  return result[key] || {};
+}
+
+/**
+ * Persist one file's bytes for a claim, then mark it complete.
+ * The progress entry is written last, so a crash mid-file leaves the file
+ * marked as not done and it gets downloaded again on resume.
+ */
+async function saveClaimFile(jobId, claimIndex, fileKey, bytes) {
+  const chunks = Math.max(1, Math.ceil(bytes.length / FILE_CHUNK_BYTES));
+
+  for (let c = 0; c < chunks; c++) {
+    const slice = bytes.subarray(c * FILE_CHUNK_BYTES, (c + 1) * FILE_CHUNK_BYTES);
+    await saveRecords({ [fileChunkKey(jobId, claimIndex, fileKey, c)]: bytesToBase64(slice) }, jobId);
+  }
+
+  const progress = await getStoredFileProgress(jobId, claimIndex);
+  progress[fileKey] = { chunks, size: bytes.length };
+  await storageSet({ [fileProgressKey(jobId, claimIndex)]: progress });
+}
+
+/**
+ * Load one stored file back as a Blob, computing its CRC-32 on the way
+ * so the ZIP writer doesn't have to read it a second time.
+ * Returns null if the file was never stored.
+ */
+async function readStoredFile(jobId, claimIndex, fileKey, progress) {
+  const entry = progress[fileKey];
+  if (!entry) return null;
+
+  const parts = [];
+  let crc = 0;
+  for (let c = 0; c < entry.chunks; c++) {
+    const key = fileChunkKey(jobId, claimIndex, fileKey, c);
+    const result = await loadRecords([key], jobId);
+    if (result[key] == null) return null;
+
+    const bytes = base64ToBytes(result[key]);
+    crc = crc32(bytes, crc);
+    parts.push(new Blob([bytes]));
+  }
+
+  return { blob: new Blob(parts), crc, size: entry.size };
+}
+
+/**
+ * Remove every claim record and stored file belonging to a job ({ id, total }).
+ * The job info itself is left to the caller (see deleteExportJob).
+ */
+async function removeJobData(job) {
+  const { id, total } = job;
+
+  for (let batchStart = 0; batchStart < total; batchStart += LOAD_BATCH_SIZE) {
+    const batchEnd = Math.min(batchStart + LOAD_BATCH_SIZE, total);
+    const progressKeys = [];
+    for (let i = batchStart; i < batchEnd; i++) {
+      progressKeys.push(fileProgressKey(id, i));
+    }
+
+    const progressData = await storageGet(progressKeys);
+    const keysToRemove = [...progressKeys];
+
+    for (let i = batchStart; i < batchEnd; i++) {
+      keysToRemove.push(claimStorageKey(id, i), searchDocumentKey(id, i));
+      const progress = progressData[fileProgressKey(id, i)] || {};
+      for (const [fileKey, entry] of Object.entries(progress)) {
+        for (let c = 0; c < entry.chunks; c++) {
+          keysToRemove.push(fileChunkKey(id, i, fileKey, c));
+        }
+      }
+    }
+
+    await storageRemove(keysToRemove);
+  }
+
+  await storageRemove([jobCsvRowsKey(id), jobInputKey(id), jobLookupIssuesKey(id)]);
+  await lockAtRest(id);
+}
+
+/**
+ * Who a storage key belongs to for the storage panel: { group, jobId } for
+ * the 'claims', 'search', 'files' and 'details' (job info, CSV rows) of a
+ * job in jobs, or { group } for 'baseline', 'orphaned' and 'other' (the
+ * job list, progress, settings and schedules).
+ *
+ * @param {object} baselines - each baseline's fingerprints by baseline id
+ */
+function storageKeyOwner(key, jobs, baselines) {
+  for (const { group, pattern } of JOB_KEY_GROUPS) {
+    const match = pattern.exec(key);
+    if (!match) continue;
+
+    const job = jobs[match[1] || LEGACY_JOB_ID];
+    const inJob = job && (match[2] === undefined || Number(match[2]) < job.total);
+    return inJob ? { group, jobId: job.id } : { group: 'orphaned' };
+  }
+
+  if (BASELINE_KEY_PATTERN.test(key)) return { group: 'baseline' };
+  const baselineClaim = BASELINE_CLAIM_KEY_PATTERN.exec(key);
+  if (baselineClaim) {
+    const claims = baselines[baselineClaim[1] || LEGACY_BASELINE_ID] || {};
+    return { group: Object.hasOwn(claims, baselineClaim[2]) ? 'baseline' : 'orphaned' };
+  }
+  return { group: 'other' };
+}
+
+/**
+ * How much of chrome.storage.local each job and everything else uses:
+ * {
+ *   total,                                       - bytes in use
+ *   jobs: { [id]: { bytes, claims, search, files, details } },
+ *   baseline, orphaned, other,                   - { keys, bytes } like
+ *                                                  each job's groups
+ *   orphanedKeys
+ * }
+ *
+ * @param {object[]} jobs - every job (see loadExportJobs)
+ */
+async function summarizeStorage(jobs) {
+  const keys = await listStorageKeys();
+  const baselines = await loadBaselineClaims(keys);
+  const jobsById = Object.fromEntries(jobs.map(job => [job.id, job]));
+
+  const groups = { baseline: [], orphaned: [], other: [] };
+  const jobGroups = Object.fromEntries(jobs.map(job => [job.id, { claims: [], search: [], files: [], details: [] }]));
+  for (const key of keys) {
+    const { group, jobId } = storageKeyOwner(key, jobsById, baselines);
+    (jobId ? jobGroups[jobId] : groups)[group].push(key);
+  }
+
+  const measure = async (groupKeys) => ({
+    keys: groupKeys.length,
+    bytes: groupKeys.length > 0 ? await storageBytesInUse(groupKeys) : 0
+  });
+
+  const usage = { total: await storageBytesInUse(null), jobs: {}, orphanedKeys: groups.orphaned };
+  for (const [group, groupKeys] of Object.entries(groups)) {
+    usage[group] = await measure(groupKeys);
+  }
+  for (const [jobId, byGroup] of Object.entries(jobGroups)) {
+    const jobUsage = { bytes: 0 };
+    for (const [group, groupKeys] of Object.entries(byGroup)) {
+      jobUsage[group] = await measure(groupKeys);
+      jobUsage.bytes += jobUsage[group].bytes;
+    }
+    usage.jobs[jobId] = jobUsage;
+  }
+  return usage;
+}
+
+/**
+ * Delete the orphaned keys (see summarizeStorage). Returns how many there
+ * were. Not while a job is running: its keys may not be listed yet.
+ */
+async function removeOrphanedData(jobs) {
+  const { orphanedKeys } = await summarizeStorage(jobs);
+  for (let start = 0; start < orphanedKeys.length; start += REMOVE_BATCH_SIZE) {
+    await storageRemove(orphanedKeys.slice(start, start + REMOVE_BATCH_SIZE));
+  }
+  return orphanedKeys.length;
+}
+
+/**
+ * The job's CSV rows by claim index (empty for jobs that didn't come from
+ * a CSV). Kept out of the job info, which is rewritten after every claim.
+ */
+async function loadJobCsvRows(jobId) {
+  const key = jobCsvRowsKey(jobId);
+  const stored = await loadRecords([key], jobId);
+  return stored[key] || [];
+}
+
+/**
+ * Where the job's claims came from in the CSV: { rowNumbers, skipped }.
+ * rowNumbers holds each claim's row by index; skipped lists the input rows
+ * that weren't exported as { fileNumber, row, reason }. Empty for jobs that
+ * didn't come from a CSV.
+ */
+async function loadJobInput(jobId) {
+  const key = jobInputKey(jobId);
+  const stored = await loadRecords([key], jobId);
+  return stored[key] || { rowNumbers: [], skipped: [] };
+}
+
+/**
+ * The job's claims whose search had no single exact match, by index:
+ * { [i]: 'notFound' | 'ambiguous' }. Jobs from before the search results
+ * were moved out of the job info kept them in job.lookupIssues.
+ */
+function jobUnmatched(job) {
+  if (job.unmatched) return job.unmatched;
+  return Object.fromEntries(Object.entries(job.lookupIssues || {}).map(([i, issue]) => [i, issue.status]));
+}
+
+/**
+ * The searches of the job with no single exact match, by claim index:
+ * { [i]: { value, status, candidates } }. candidates are the search results
+ * ({ fileNumber, label, searchResult }), so the record is sealed with the
+ * job's claims rather than kept in the readable job info.
+ */
+async function loadLookupIssues(job) {
+  const key = jobLookupIssuesKey(job.id);
+  const stored = await loadRecords([key], job.id);
+  return stored[key] || job.lookupIssues || {};
+}
+
+/**
+ * Every baseline's fingerprints by baseline id, from the storage keys
+ */
+async function loadBaselineClaims(keys) {
+  const baselineKeys = keys.filter(key => BASELINE_KEY_PATTERN.test(key));
+  const stored = await storageGet(baselineKeys);
+  const baselines = {};
+  for (const key of baselineKeys) {
+    const id = BASELINE_KEY_PATTERN.exec(key)[1] || LEGACY_BASELINE_ID;
+    baselines[id] = (stored[key] && stored[key].claims) || {};
+  }
+  return baselines;
+}
+
+/**
+ * The baseline of a lineage (see baselineLineage in export-engine.js): a
+ * hash of it, or LEGACY_BASELINE_ID for the first lineage to ask after the
+ * single baseline of older versions. That one is marked with the lineage
+ * straight away, so no other lineage takes it.
+ */
+async function baselineIdForLineage(lineage) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(lineage));
+  const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  const id = `b${hex.slice(0, BASELINE_ID_HEX_DIGITS)}`;
+
+  const legacyKey = baselineKey(LEGACY_BASELINE_ID);
+  const { [baselineKey(id)]: own, [legacyKey]: legacy } = await storageGet([baselineKey(id), legacyKey]);
+  if (own || !legacy || (legacy.lineage && legacy.lineage !== lineage)) return id;
+
+  if (!legacy.lineage) {
+    await storageSet({ [legacyKey]: { ...legacy, lineage } });
+  }
+  return LEGACY_BASELINE_ID;
+}
+
+/**
+ * A baseline's fingerprints from its lineage's last incremental run:
+ * { id, lineage, savedAt, claims: { [fileNumber]: fingerprint } }
+ */
+async function loadBaseline(baselineId) {
+  const key = baselineKey(baselineId);
+  const result = await storageGet([key]);
+  return { savedAt: null, claims: {}, ...result[key], id: baselineId };
+}
+
+/**
+ * What went wrong with a processed claim, or null if it is complete:
+ * { fileNumber, error, failedSections }
+ */
+function claimFailure(claimData) {
+  const failedSections = Object.keys(claimData.sectionErrors || {});
+  if (Array.isArray(claimData.files) && claimData.files.some(file => file.downloadError)) {
+    failedSections.push('fileDownloads');
+  }
+
+  if (!claimData.error && failedSections.length === 0) return null;
+
+  return {
+    fileNumber: claimData.fileNumber,
+    error: claimData.error || null,
+    failedSections: failedSections
+  };
+}
+
+/**
+ * Base64 helpers - chunked so large files don't blow the call stack.
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  const step = 0x8000;
+  for (let i = 0; i < bytes.length; i += step) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + step));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
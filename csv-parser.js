@@ -0,0 +1,372 @@
+/**
+ * Claims Data Exporter - CSV Parser
+ * Reads the claims report CSV: finds the column that identifies each claim
+ * and keeps every row's values, so the popup can preview and filter the
+ * claims and each exported claim carries its original row (csvRow).
+ *
+ * Reports come from all sorts of tools, so the delimiter (comma, semicolon
+ * or tab) and the text encoding are detected, and .xlsx workbooks are read
+ * through xlsx-reader.js. The identifying column is normally the file
+ * number, but the user can point it at another LOOKUP_KEYS column instead.
+ *
+ * Loaded by the service worker (exports) and the popup (preview).
+ */
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+// Header names for each lookup key, best first
+const CSV_KEY_HEADERS = {
+  fileNumber: ['file number', 'file #', 'file#', 'filenumber', 'file no', 'file no.',
+    'claim number', 'claim #', 'claim#', 'claimnumber', 'claim no', 'claim no.'],
+  claimUuid: ['claim uuid', 'claimuuid', 'uuid', 'claim guid', 'guid'],
+  policyNumber: ['policy number', 'policy #', 'policy#', 'policynumber', 'policy no', 'policy no.', 'policy'],
+  insuredName: ['insured name', 'insured', 'named insured', 'policyholder', 'client name', 'customer name']
+};
+
+// Rows looked at when judging whether a column's values look like keys
+const CSV_SAMPLE_ROWS = 50;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}(\s|T|$)/;
+
+/**
+ * Text of an uploaded report, ready for parseClaimsCsv. Workbooks are
+ * converted to CSV; CSVs are decoded according to their BOM, as UTF-8 if
+ * they are valid UTF-8, and as Windows-1252 (Excel's "CSV" on Windows)
+ * otherwise. Popup only.
+ */
+async function readClaimsReport(file) {
+  const buffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+
+  if (isZipArchive(bytes)) {
+    const rows = await readXlsxRows(buffer);
+    return rows.map(rawCsvLine).join('');
+  }
+
+  return decodeCsvBytes(bytes);
+}
+
+function decodeCsvBytes(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  }
+
+  // UTF-16 without a BOM: ASCII headers leave every other byte zero
+  if (bytes.length >= 4 && bytes[0] !== 0 && bytes[1] === 0 && bytes[3] === 0) {
+    return new TextDecoder('utf-16le').decode(bytes);
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+/**
+ * The delimiter used by the header line: whichever of comma, semicolon and
+ * tab appears most often outside quotes. Excel's "sep=;" line wins outright.
+ */
+function detectCsvDelimiter(csvText) {
+  const hint = csvText.match(/^\uFEFF?sep=(.)\r?\n/i);
+  if (hint) return hint[1];
+
+  const counts = new Map(CSV_DELIMITERS.map(d => [d, 0]));
+  let inQuotes = false;
+
+  for (let i = 0; i < csvText.length; i++) {
+    const char = csvText[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes) {
+      if (char === '\n' || char === '\r') break;
+      if (counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  for (const [delimiter, count] of counts) {
+    if (count > counts.get(best)) best = delimiter;
+  }
+  return best;
+}
+
+/**
+ * Parse entire CSV text into rows of fields.
+ * Handles delimiters AND newlines inside quoted fields properly.
+ * e.g. "Smith, John" stays as one field, and multi-line notes stay in one row.
+ * Blank lines are left out; rowNumbers gets each row's number as a
+ * spreadsheet shows it (blank lines included, the first row is 1).
+ */
+function parseCsvRows(csvText, delimiter = detectCsvDelimiter(csvText), rowNumbers = []) {
+  // A BOM left in the text would end up in the first header
+  if (csvText.charCodeAt(0) === 0xFEFF) csvText = csvText.slice(1);
+  csvText = csvText.replace(/^sep=.\r?\n/i, '');
+
+  const rows = [];
+  let rowNumber = 1;
+  let currentField = '';
+  let currentRow = [];
+  let inQuotes = false;
+
+  for (let i = 0; i < csvText.length; i++) {
+    const char = csvText[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (i + 1 < csvText.length && csvText[i + 1] === '"') {
+          currentField += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        currentField += char;
+      }
+    } else {
+      if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        currentRow.push(currentField.trim());
+        currentField = '';
+      } else if (char === '\n' || (char === '\r' && csvText[i + 1] === '\n')) {
+        if (char === '\r') i++;
+        currentRow.push(currentField.trim());
+        currentField = '';
+        if (currentRow.some(f => f.length > 0)) {
+          rows.push(currentRow);
+          rowNumbers.push(rowNumber);
+        }
+        currentRow = [];
+        rowNumber++;
+      } else {
+        currentField += char;
+      }
+    }
+  }
+
+  currentRow.push(currentField.trim());
+  if (currentRow.some(f => f.length > 0)) {
+    rows.push(currentRow);
+    rowNumbers.push(rowNumber);
+  }
+
+  return rows;
+}
+
+/**
+ * Index of the claim/file number column, or -1 if there isn't one.
+ * Header names are tried best first (a "File #" beats a carrier's
+ * "Claim Number" wherever the two sit), and a column only counts if its
+ * values look like identifiers: filled in, unique and not dates. If no
+ * column passes that, the best-named one is used anyway.
+ */
+function findFileNumberColumn(headers, dataRows = []) {
+  const lowered = headers.map(h => h.toLowerCase().trim());
+  const candidates = [];
+
+  for (const name of CSV_KEY_HEADERS.fileNumber) {
+    lowered.forEach((h, i) => { if (h === name) candidates.push(i); });
+  }
+
+  lowered.forEach((lower, i) => {
+    if ((lower.startsWith('file') || lower.startsWith('claim')) &&
+        (lower.includes('number') || lower.includes('#') || lower.includes('no'))) {
+      candidates.push(i);
+    }
+  });
+
+  const excludePatterns = ['profile', 'filed', 'filename', 'claim status', 'claim type', 'claim date', 'uuid', 'guid'];
+  lowered.forEach((lower, i) => {
+    if (excludePatterns.some(ex => lower.includes(ex))) return;
+    if (lower.includes('file') || lower.includes('claim')) candidates.push(i);
+  });
+
+  if (candidates.length === 0) return -1;
+  if (dataRows.length === 0) return candidates[0];
+
+  const keyLike = candidates.find(i => looksLikeKeyColumn(columnValues(dataRows, i)));
+  return keyLike ?? candidates[0];
+}
+
+/**
+ * The column that identifies the claims, and which LOOKUP_KEYS id it holds:
+ * a file number column if there is one, then a UUID, policy number or
+ * insured name column. index is -1 if nothing fits.
+ */
+function detectKeyColumn(headers, dataRows = []) {
+  const fileNumberIndex = findFileNumberColumn(headers, dataRows);
+  if (fileNumberIndex !== -1) {
+    return { index: fileNumberIndex, keyType: 'fileNumber' };
+  }
+
+  const lowered = headers.map(h => h.toLowerCase().trim());
+  for (const keyType of ['claimUuid', 'policyNumber', 'insuredName']) {
+    for (const name of CSV_KEY_HEADERS[keyType]) {
+      const index = lowered.indexOf(name);
+      if (index !== -1) return { index, keyType };
+    }
+  }
+
+  // An unlabelled column of UUIDs
+  const uuidIndex = headers.findIndex((_, i) => {
+    const values = columnValues(dataRows, i).filter(Boolean);
+    return values.length > 0 && values.every(value => UUID_PATTERN.test(value));
+  });
+  if (uuidIndex !== -1) return { index: uuidIndex, keyType: 'claimUuid' };
+
+  return { index: -1, keyType: 'fileNumber' };
+}
+
+/**
+ * The LOOKUP_KEYS id a header name suggests, defaulting to the file number
+ */
+function keyTypeForHeader(header) {
+  const lower = String(header || '').toLowerCase().trim();
+  for (const keyType of ['claimUuid', 'policyNumber', 'insuredName']) {
+    if (CSV_KEY_HEADERS[keyType].includes(lower)) return keyType;
+  }
+  return 'fileNumber';
+}
+
+/**
+ * Values of one column in the first CSV_SAMPLE_ROWS data rows
+ */
+function columnValues(dataRows, index) {
+  return dataRows.slice(0, CSV_SAMPLE_ROWS).map(row => row[index] ?? '');
+}
+
+/**
+ * Mostly filled in, nearly all distinct, short and not dates
+ */
+function looksLikeKeyColumn(values) {
+  const filled = values.filter(Boolean);
+  if (filled.length === 0 || filled.length < values.length * 0.8) return false;
+  if (new Set(filled).size < filled.length * 0.9) return false;
+  if (filled.filter(value => DATE_PATTERN.test(value)).length > filled.length / 2) return false;
+  return filled.every(value => value.length <= 64);
+}
+
+/**
+ * Header names usable as csvRow keys: blank headers become "Column 3",
+ * repeated ones "Date (2)"
+ */
+function csvColumnNames(headers) {
+  const used = new Set();
+  return headers.map((header, i) => {
+    const base = header || `Column ${i + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name); n++) {
+      name = `${base} (${n})`;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * Parse the claims CSV.
+ * Returns { columns, delimiter, keyColumn, keyType, rowCount, claims: [{
+ * fileNumber, rowIndex, row, csvRow, lookup }], skipped: [{ fileNumber, row,
+ * reason }] } where csvRow maps each column name to the row's value.
+ * fileNumber holds the keyColumn value; when that isn't a file number,
+ * lookup names its LOOKUP_KEYS id so the export searches by it. skipped
+ * lists the 'duplicate', 'blank' and 'malformed' rows. row is numbered as
+ * in a spreadsheet, counting the blank lines the parsed rows leave out
+ * (the first line, normally the header, is row 1).
+ *
+ * @param {object} [mapping] - { column, keyType } chosen in the popup; the
+ *   column and key type are detected when left out
+ */
+function parseClaimsCsv(csvText, mapping = {}) {
+  const delimiter = detectCsvDelimiter(csvText);
+  const rowNumbers = [];
+  const rows = parseCsvRows(csvText, delimiter, rowNumbers);
+
+  if (rows.length < 2) {
+    throw new Error('CSV file is empty or invalid');
+  }
+
+  const headers = rows[0];
+  const dataRows = rows.slice(1);
+  const columns = csvColumnNames(headers);
+
+  console.log(`CSV has ${dataRows.length} data rows and ${headers.length} columns`);
+  console.log(`Headers: ${headers.join(' | ')}`);
+
+  const detected = detectKeyColumn(headers, dataRows);
+  let keyIndex = detected.index;
+  let keyType = detected.keyType;
+
+  if (mapping.column) {
+    keyIndex = columns.indexOf(mapping.column);
+    if (keyIndex === -1) {
+      throw new Error(`Column "${mapping.column}" is not in the CSV`);
+    }
+    if (keyIndex !== detected.index) keyType = keyTypeForHeader(headers[keyIndex]);
+  }
+  if (mapping.keyType) {
+    if (!LOOKUP_KEYS.some(key => key.id === mapping.keyType)) {
+      throw new Error(`Unknown lookup key: ${mapping.keyType}`);
+    }
+    keyType = mapping.keyType;
+  }
+
+  if (keyIndex === -1) {
+    throw new Error('Could not find claim/file number column in CSV. Headers found: ' + headers.join(', '));
+  }
+
+  console.log(`Using column "${columns[keyIndex]}" (index ${keyIndex}) as ${keyType}`);
+
+  const seen = new Set();
+  const claims = [];
+  const skipped = [];
+  let skippedBadRows = 0;
+
+  for (let i = 1; i < rows.length; i++) {
+    const values = rows[i];
+
+    if (values.length < keyIndex + 1) {
+      skippedBadRows++;
+      skipped.push({ fileNumber: '', row: rowNumbers[i], reason: 'malformed' });
+      continue;
+    }
+
+    const key = values[keyIndex];
+
+    if (key && !seen.has(key)) {
+      seen.add(key);
+
+      const csvRow = {};
+      columns.forEach((column, c) => { csvRow[column] = values[c] ?? ''; });
+
+      const claim = {
+        fileNumber: key,
+        rowIndex: i,
+        row: rowNumbers[i],
+        csvRow: csvRow
+      };
+      if (keyType !== 'fileNumber') claim.lookup = keyType;
+      claims.push(claim);
+    } else if (key && seen.has(key)) {
+      console.log(`Skipping duplicate ${keyType}: ${key} (row ${rowNumbers[i]})`);
+      skipped.push({ fileNumber: key, row: rowNumbers[i], reason: 'duplicate' });
+    } else {
+      skipped.push({ fileNumber: '', row: rowNumbers[i], reason: 'blank' });
+    }
+  }
+
+  if (skippedBadRows > 0) {
+    console.log(`Skipped ${skippedBadRows} malformed rows`);
+  }
+
+  console.log(`Parsed ${claims.length} unique claims from CSV`);
+  return { columns, delimiter, keyColumn: columns[keyIndex], keyType, rowCount: dataRows.length, claims, skipped };
+}
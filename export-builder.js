@@ -0,0 +1,236 @@
+/**
+ * Claims Data Exporter - Export Builder
+ * Assembles the downloadable export files from the claims saved in storage.
+ *
+ * The JSON layout is described by schema/export.schema.json; bump
+ * EXPORT_SCHEMA_VERSION (schema-validator.js) when changing it.
+ *
+ * Memory-safe approach: each batch of claims is stringified, turned into a
+ * small Blob, then the strings are released for garbage collection. The final
+ * Blob is assembled from sub-Blobs, which the browser handles by reference
+ * (no copying). Peak JS heap usage: ~1 batch worth of strings (~5-10MB).
+ */
+
+/**
+ * Build the nested JSON export as a Blob.
+ *
+ * @param {object} job - the saved job
+ * @param {boolean} isPartial - true if this is a partial/interrupted export
+ * @param {object} [options]
+ * @param {function} [options.filter] - only include claims it returns true for
+ * @param {function} [options.transform] - maps each stored claim to what gets written
+ * @param {object} [options.redactor] - applied to each claim before transform
+ *   (see createRedactor in export-redaction.js)
+ * @param {object} [options.extraInfo] - additional exportInfo fields
+ */
+async function buildJsonBlob(job, isPartial = false, options = {}) {
+  const count = job.completedCount;
+  const total = job.total;
+
+  // Array of Blobs — each batch becomes one small Blob, then the source strings
+  // can be garbage collected. The final Blob references these without copying.
+  const blobParts = [];
+
+  // Opening JSON structure
+  blobParts.push(new Blob(['{\n  "claimWizardData": {\n    "claims": [\n'], { type: 'text/plain' }));
+
+  let isFirstClaim = true;
+  let includedCount = 0;
+
+  await forEachClaimBatch(job.id, count, async (batch) => {
+    // Stringify this batch's claims into a temporary string
+    let batchStr = '';
+    for (const { claim: stored } of batch) {
+      if (options.filter && !options.filter(stored)) continue;
+      const claim = options.redactor ? await options.redactor.redact(stored) : stored;
+      includedCount++;
+      if (!isFirstClaim) batchStr += ',\n';
+      batchStr += '      ' + JSON.stringify(options.transform ? options.transform(claim) : claim);
+      isFirstClaim = false;
+    }
+
+    // Convert this batch to a Blob and push it — the batchStr string
+    // will be eligible for GC after this iteration
+    if (batchStr.length > 0) {
+      blobParts.push(new Blob([batchStr], { type: 'text/plain' }));
+    }
+  });
+
+  // Closing JSON structure + metadata
+  const now = new Date().toISOString();
+  let footer = '\n    ],\n';
+  footer += `    "exportDate": "${now}",\n`;
+  footer += `    "exportMethod": "chrome-extension"\n`;
+  footer += '  },\n';
+  footer += '  "exportInfo": {\n';
+  footer += `    "date": "${now}",\n`;
+  footer += `    "schemaVersion": "${EXPORT_SCHEMA_VERSION}",\n`;
+  footer += `    "version": ${JSON.stringify(chrome.runtime.getManifest().version)},\n`;
+  footer += `    "source": "chrome-extension",\n`;
+  footer += `    "totalClaims": ${includedCount}`;
+
+  if (job.platform) {
+    footer += `,\n    "platform": ${JSON.stringify(job.platform)}`;
+  }
+
+  if (job.includeFiles) {
+    footer += `,\n    "includesFiles": true`;
+  }
+
+  if (Array.isArray(job.sections) && isSectionSubset(job.sections)) {
+    footer += `,\n    "sections": ${JSON.stringify(job.sections)}`;
+  }
+
+  if (job.incremental) {
+    footer += `,\n    "incremental": true`;
+    footer += `,\n    "baselineDate": ${JSON.stringify(job.baselineDate ? new Date(job.baselineDate).toISOString() : null)}`;
+    footer += `,\n    "changeCounts": ${JSON.stringify(job.changeCounts || {})}`;
+  }
+
+  const failedClaims = Object.keys(job.failures || {}).length;
+  if (failedClaims > 0) {
+    footer += `,\n    "failedClaims": ${failedClaims}`;
+  }
+
+  const unmatchedClaims = Object.keys(jobUnmatched(job)).length;
+  if (unmatchedClaims > 0) {
+    footer += `,\n    "unmatchedClaims": ${unmatchedClaims}`;
+  }
+
+  // remainingFileNumbers are searched for by this, not as file numbers
+  if (job.lookup) {
+    footer += `,\n    "lookup": ${JSON.stringify(job.lookup)}`;
+  }
+
+  if (options.redactor) {
+    footer += `,\n    "redaction": ${JSON.stringify(options.redactor.info())}`;
+  }
+
+  for (const [key, value] of Object.entries(options.extraInfo || {})) {
+    footer += `,\n    ${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+  }
+
+  if (isPartial) {
+    footer += `,\n    "partial": true`;
+    footer += `,\n    "originalTotal": ${total}`;
+    footer += `,\n    "note": "Partial export: ${count} of ${total} claims (interrupted)"`;
+    // Lets the partial file be imported later and the export resumed from it
+    footer += `,\n    "remainingFileNumbers": ${JSON.stringify(job.fileNumbers.slice(count))}`;
+  }
+
+  footer += '\n  }\n}';
+  blobParts.push(new Blob([footer], { type: 'text/plain' }));
+
+  // Final Blob — assembled from sub-Blobs by reference, no giant copy
+  return new Blob(blobParts, { type: 'application/json' });
+}
+
+/**
+ * Build a delta export: only claims that are new or changed since the last
+ * incremental run, plus the file numbers that disappeared from the CSV.
+ */
+async function buildDeltaJsonBlob(job, isPartial = false, options = {}) {
+  return buildJsonBlob(job, isPartial, {
+    redactor: options.redactor,
+    filter: claim => claim.changeStatus === 'new' || claim.changeStatus === 'changed',
+    extraInfo: {
+      delta: true,
+      removedFileNumbers: job.removedFileNumbers || []
+    }
+  });
+}
+
+/**
+ * Build the export in the platform-neutral model (claim-model.js) instead of
+ * the platform's own payloads.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.includeRaw] - keep each original record under raw
+ * @param {object} [options.redactor] - see buildJsonBlob
+ */
+async function buildNormalizedJsonBlob(job, isPartial = false, options = {}) {
+  // Jobs saved before adapters existed were always ClaimWizard
+  const adapter = adapterById(job.platform || 'claimwizard');
+  const includeRaw = !!options.includeRaw;
+
+  return buildJsonBlob(job, isPartial, {
+    redactor: options.redactor,
+    transform: claim => normalizeClaimRecord(claim, adapter, { includeRaw }),
+    extraInfo: {
+      model: 'normalized',
+      modelVersion: CLAIM_MODEL_VERSION,
+      includesRaw: includeRaw
+    }
+  });
+}
+
+/**
+ * Build a ZIP containing the JSON export plus every downloaded claim file,
+ * laid out as <fileNumber>/files/<folder>/<filename> (or as the redactor
+ * names them).
+ *
+ * Files are read back one at a time from storage, so only a single file's
+ * chunks are decoded in memory at once. A redactor that omits file contents
+ * leaves them out.
+ *
+ * @param {object} [options]
+ * @param {object} [options.redactor] - see buildJsonBlob
+ */
+async function buildZipBlob(job, isPartial = false, options = {}) {
+  const zip = createZipWriter();
+
+  const jsonBlob = await buildJsonBlob(job, isPartial, { redactor: options.redactor });
+  await addZipEntry(zip, exportFilename(job, isPartial, 'json'), jsonBlob);
+
+  if (options.redactor && options.redactor.rules.fileContents === 'omit') {
+    return finishZip(zip);
+  }
+
+  let missingFiles = 0;
+
+  await forEachClaimBatch(job.id, job.completedCount, async (batch) => {
+    for (const { index, claim } of batch) {
+      if (!Array.isArray(claim.files) || claim.files.length === 0) continue;
+
+      const progress = await getStoredFileProgress(job.id, index);
+
+      for (const [fileIndex, file] of claim.files.entries()) {
+        const stored = await readStoredFile(job.id, index, file.key, progress);
+        if (!stored) {
+          missingFiles++;
+          continue;
+        }
+
+        const path = options.redactor
+          ? options.redactor.zipPath(index, fileIndex, file)
+          : zipPath(
+            claim.fileNumber,
+            'files',
+            ...(file.folderPath || []),
+            file.filename || file.title || file.key
+          );
+
+        await addZipEntry(zip, path, stored.blob, {
+          crc: stored.crc,
+          modified: file.fileDate ? new Date(file.fileDate) : undefined
+        });
+      }
+    }
+  });
+
+  if (missingFiles > 0) {
+    console.warn(`${missingFiles} file(s) were not downloaded and are missing from the ZIP`);
+  }
+
+  return finishZip(zip);
+}
+
+/**
+ * File name for a download, e.g. claims-export-2025-11-17.json
+ */
+function exportFilename(job, isPartial, extension) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+  return isPartial
+    ? `claims-export-partial-${job.completedCount}of${job.total}-${timestamp}.${extension}`
+    : `claims-export-${timestamp}.${extension}`;
+}
@@ -0,0 +1,413 @@
+/**
+ * Claims Data Exporter - Export Encryption
+ * Passphrase protection for downloaded exports (encryptExport /
+ * decryptExport) and, optionally, for the claims a job keeps in
+ * chrome.storage.local (sealRecord / openRecord).
+ *
+ * Both use AES-256-GCM with a key derived from the passphrase by
+ * PBKDF2-SHA-256. Nothing here ever stores the passphrase itself.
+ *
+ * Encrypted download (.enc), all integers big-endian:
+ *
+ *   offset  size  field
+ *   0       8     magic "CDXCRYPT"
+ *   8       1     format version (1)
+ *   9       4     PBKDF2 iterations
+ *   13      16    salt
+ *   29      8     nonce prefix
+ *   37      4     chunk size (plaintext bytes per chunk)
+ *   41      ...   chunks
+ *
+ * The plaintext is cut into chunks of chunk size bytes (the last one may be
+ * shorter, or empty for an empty file). Each chunk is stored as its
+ * ciphertext followed by the 16-byte GCM tag. Chunk n uses the IV
+ * nonce prefix + n (4 bytes), and the additional data is the 41 header
+ * bytes followed by one byte: 1 for the last chunk, 0 for the others. So
+ * the header can't be altered, and chunks can't be reordered, dropped or
+ * cut off without decryption failing.
+ *
+ * Loaded by the service worker, the popup and the viewer.
+ */
+
+const CRYPTO_MAGIC = 'CDXCRYPT';
+const CRYPTO_VERSION = 1;
+const CRYPTO_HEADER_BYTES = 41;
+const CRYPTO_SALT_BYTES = 16;
+const CRYPTO_TAG_BYTES = 16;
+const CRYPTO_CHUNK_BYTES = 4 * 1024 * 1024;
+
+// OWASP's 2023 recommendation for PBKDF2-HMAC-SHA256
+const CRYPTO_KDF_ITERATIONS = 600000;
+
+// Most iterations accepted from a file or job. Files come from anywhere,
+// and a huge count would keep key derivation busy for hours.
+const CRYPTO_MAX_KDF_ITERATIONS = 10 * CRYPTO_KDF_ITERATIONS;
+
+const ENCRYPTED_FILE_EXTENSION = '.enc';
+
+// Shortest passphrase accepted when one is chosen
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// chrome.storage.session keys holding each job's at-rest key are this plus
+// the job id. Session storage lives in memory and is cleared when the
+// browser closes.
+const AT_REST_SESSION_PREFIX = 'atRestKey_';
+
+// Known value sealed into job.atRest.check, to tell a wrong passphrase
+// from a right one when unlocking, and the additional data it's sealed with
+const AT_REST_CHECK_VALUE = 'claims-data-exporter';
+const AT_REST_CHECK_KEY = 'atRestKey';
+
+/**
+ * AES-GCM key for a passphrase and salt
+ */
+async function deriveCryptoKey(passphrase, salt, iterations, extractable = false) {
+  if (!(iterations >= 1 && iterations <= CRYPTO_MAX_KDF_ITERATIONS)) {
+    throw new Error('The file\'s key settings aren\'t supported, or it has been damaged');
+  }
+
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    extractable,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Error for a passphrase that doesn't fit, or data that was altered
+ */
+function wrongPassphraseError() {
+  return new Error('Wrong passphrase, or the data has been damaged');
+}
+
+/**
+ * Throws unless the passphrase is long enough to choose
+ */
+function checkNewPassphrase(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Encrypt a Blob into the container format above. Reads one chunk at a
+ * time and turns each encrypted chunk into a Blob of its own, so only one
+ * chunk is in the JS heap at once (see export-builder.js).
+ */
+async function encryptExport(blob, passphrase) {
+  checkNewPassphrase(passphrase);
+
+  const salt = crypto.getRandomValues(new Uint8Array(CRYPTO_SALT_BYTES));
+  const noncePrefix = crypto.getRandomValues(new Uint8Array(8));
+  const key = await deriveCryptoKey(passphrase, salt, CRYPTO_KDF_ITERATIONS);
+
+  const header = new Uint8Array(CRYPTO_HEADER_BYTES);
+  const view = new DataView(header.buffer);
+  header.set(new TextEncoder().encode(CRYPTO_MAGIC), 0);
+  view.setUint8(8, CRYPTO_VERSION);
+  view.setUint32(9, CRYPTO_KDF_ITERATIONS);
+  header.set(salt, 13);
+  header.set(noncePrefix, 29);
+  view.setUint32(37, CRYPTO_CHUNK_BYTES);
+
+  const parts = [header];
+  let n = 0;
+  let offset = 0;
+  do {
+    const end = Math.min(offset + CRYPTO_CHUNK_BYTES, blob.size);
+    const plaintext = await blob.slice(offset, end).arrayBuffer();
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: chunkIv(noncePrefix, n), additionalData: chunkAad(header, end >= blob.size) },
+      key,
+      plaintext
+    );
+    parts.push(new Blob([ciphertext]));
+    offset = end;
+    n++;
+  } while (offset < blob.size);
+
+  return new Blob(parts, { type: 'application/octet-stream' });
+}
+
+/**
+ * Decrypt a Blob written by encryptExport, one chunk at a time like
+ * encryptExport. Throws if it isn't one, or if the passphrase is wrong or
+ * the file was altered.
+ */
+async function decryptExport(blob, passphrase, type = '') {
+  const header = new Uint8Array(await blob.slice(0, CRYPTO_HEADER_BYTES).arrayBuffer());
+  if (!hasCryptoMagic(header) || header.length < CRYPTO_HEADER_BYTES) {
+    throw new Error('This is not an encrypted export');
+  }
+
+  const view = new DataView(header.buffer);
+  if (view.getUint8(8) !== CRYPTO_VERSION) {
+    throw new Error('The file was encrypted by a newer version of the extension');
+  }
+
+  const iterations = view.getUint32(9);
+  const salt = header.slice(13, 29);
+  const noncePrefix = header.slice(29, 37);
+  const chunkBytes = view.getUint32(37) + CRYPTO_TAG_BYTES;
+  const key = await deriveCryptoKey(passphrase, salt, iterations);
+
+  const parts = [];
+  let n = 0;
+  let offset = CRYPTO_HEADER_BYTES;
+  do {
+    const end = Math.min(offset + chunkBytes, blob.size);
+    const ciphertext = await blob.slice(offset, end).arrayBuffer();
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: chunkIv(noncePrefix, n), additionalData: chunkAad(header, end >= blob.size) },
+        key,
+        ciphertext
+      );
+      parts.push(new Blob([plaintext]));
+    } catch (error) {
+      throw wrongPassphraseError();
+    }
+    offset = end;
+    n++;
+  } while (offset < blob.size);
+
+  return new Blob(parts, { type });
+}
+
+/**
+ * True if the file starts with the container's magic bytes
+ */
+async function isEncryptedExport(blob) {
+  return hasCryptoMagic(new Uint8Array(await blob.slice(0, CRYPTO_MAGIC.length).arrayBuffer()));
+}
+
+/**
+ * Decrypt an encrypted export file to a File named without .enc, with a
+ * type guessed from that name
+ */
+async function decryptExportFile(file, passphrase) {
+  const name = file.name.toLowerCase().endsWith(ENCRYPTED_FILE_EXTENSION)
+    ? file.name.slice(0, -ENCRYPTED_FILE_EXTENSION.length)
+    : `${file.name}.decrypted`;
+  const extension = name.split('.').pop().toLowerCase();
+  const types = {
+    json: 'application/json',
+    csv: 'text/csv',
+    zip: 'application/zip',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  };
+
+  const blob = await decryptExport(file, passphrase, types[extension] || '');
+  return new File([blob], name, { type: blob.type });
+}
+
+function hasCryptoMagic(bytes) {
+  return new TextDecoder().decode(bytes.subarray(0, CRYPTO_MAGIC.length)) === CRYPTO_MAGIC;
+}
+
+function chunkIv(noncePrefix, n) {
+  const iv = new Uint8Array(12);
+  iv.set(noncePrefix, 0);
+  new DataView(iv.buffer).setUint32(8, n);
+  return iv;
+}
+
+function chunkAad(header, final) {
+  const aad = new Uint8Array(header.length + 1);
+  aad.set(header, 0);
+  aad[header.length] = final ? 1 : 0;
+  return aad;
+}
+
+/*
+ * Encryption at rest: a job started with a storage passphrase keeps
+ * job.atRest = { salt, iterations, check }. Its key lives in
+ * chrome.storage.session, so the service worker can pick it up again after
+ * a restart, until the browser closes; after that the passphrase has to be
+ * entered again to read or resume the job. Every job has its own key, so
+ * one job can run while another is unlocked for a download. Sealed values
+ * look like { sealed: 1, iv, data }, with the storage key as additional
+ * data so values can't be swapped between keys.
+ */
+
+// At-rest keys by job id as last read from session storage (null = none)
+const atRestKeys = new Map();
+
+if (chrome.storage.session) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'session') return;
+    Object.keys(changes)
+      .filter(name => name.startsWith(AT_REST_SESSION_PREFIX))
+      .forEach(name => atRestKeys.delete(name.slice(AT_REST_SESSION_PREFIX.length)));
+  });
+}
+
+/**
+ * A job's at-rest key, or null if it has none (or it hasn't been unlocked
+ * since the browser started)
+ */
+async function currentAtRestKey(jobId) {
+  if (!jobId) return null;
+  if (atRestKeys.has(jobId)) return atRestKeys.get(jobId);
+
+  const name = AT_REST_SESSION_PREFIX + jobId;
+  const stored = await chrome.storage.session.get([name]);
+  const key = stored[name]
+    ? await crypto.subtle.importKey('raw', base64ToBytes(stored[name]), 'AES-GCM', false, ['encrypt', 'decrypt'])
+    : null;
+  atRestKeys.set(jobId, key);
+  return key;
+}
+
+async function rememberAtRestKey(jobId, key) {
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  await chrome.storage.session.set({ [AT_REST_SESSION_PREFIX + jobId]: bytesToBase64(raw) });
+  atRestKeys.delete(jobId);
+}
+
+/**
+ * Start sealing everything the job stores. Returns the job.atRest settings.
+ */
+async function enableAtRestEncryption(jobId, passphrase) {
+  checkNewPassphrase(passphrase);
+
+  const salt = crypto.getRandomValues(new Uint8Array(CRYPTO_SALT_BYTES));
+  const key = await deriveCryptoKey(passphrase, salt, CRYPTO_KDF_ITERATIONS, true);
+  await rememberAtRestKey(jobId, key);
+
+  return {
+    salt: bytesToBase64(salt),
+    iterations: CRYPTO_KDF_ITERATIONS,
+    check: await sealRecord(AT_REST_CHECK_VALUE, AT_REST_CHECK_KEY, jobId)
+  };
+}
+
+/**
+ * Unlock a job's stored claims with its passphrase. Throws if it's wrong.
+ */
+async function unlockAtRest(job, passphrase) {
+  const { atRest } = job;
+  const key = await deriveCryptoKey(passphrase, base64ToBytes(atRest.salt), atRest.iterations, true);
+  if (await openSealed(atRest.check, AT_REST_CHECK_KEY, key) !== AT_REST_CHECK_VALUE) {
+    throw wrongPassphraseError();
+  }
+  await rememberAtRestKey(job.id, key);
+}
+
+/**
+ * Forget a job's at-rest key
+ */
+async function lockAtRest(jobId) {
+  atRestKeys.set(jobId, null);
+  if (chrome.storage.session) {
+    await chrome.storage.session.remove([AT_REST_SESSION_PREFIX + jobId]);
+  }
+}
+
+/**
+ * True if the job seals its claims and they can't be read right now
+ */
+async function isExportLocked(job) {
+  return !!(job && job.atRest) && !(await currentAtRestKey(job.id));
+}
+
+function isSealed(value) {
+  return !!value && typeof value === 'object' && value.sealed === CRYPTO_VERSION;
+}
+
+/**
+ * The value to store under storageKey: sealed if the job encrypts at rest,
+ * as-is otherwise
+ */
+async function sealRecord(value, storageKey, jobId) {
+  const key = await currentAtRestKey(jobId);
+  if (!key) return value;
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(storageKey) },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { sealed: CRYPTO_VERSION, iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+/**
+ * A value read from storageKey, opened with the job's key if it was sealed
+ */
+async function openRecord(value, storageKey, jobId) {
+  if (!isSealed(value)) return value;
+
+  const key = await currentAtRestKey(jobId);
+  if (!key) {
+    throw new Error('The export is encrypted in storage. Enter its passphrase to unlock it.');
+  }
+  return openSealed(value, storageKey, key);
+}
+
+async function openSealed(value, storageKey, key) {
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(value.iv), additionalData: new TextEncoder().encode(storageKey) },
+      key,
+      base64ToBytes(value.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    throw wrongPassphraseError();
+  }
+}
+
+/**
+ * Ask for a passphrase in the page's #passphraseDialog. With confirm, it
+ * has to be typed twice and be long enough to choose. Resolves to null if
+ * the dialog is cancelled. Pages only.
+ */
+function askPassphrase(message, { confirm = false } = {}) {
+  const dialog = document.getElementById('passphraseDialog');
+  const form = dialog.querySelector('form');
+  const input = document.getElementById('passphraseInput');
+  const repeat = document.getElementById('passphraseRepeat');
+  const error = document.getElementById('passphraseError');
+
+  document.getElementById('passphraseMessage').textContent = message;
+  repeat.parentElement.classList.toggle('hidden', !confirm);
+  input.value = '';
+  repeat.value = '';
+  error.textContent = '';
+
+  return new Promise(resolve => {
+    const onSubmit = (e) => {
+      try {
+        if (confirm) {
+          checkNewPassphrase(input.value);
+          if (input.value !== repeat.value) throw new Error('The passphrases don\'t match');
+        }
+      } catch (err) {
+        e.preventDefault();
+        error.textContent = err.message;
+      }
+    };
+    const onCancel = () => dialog.close('cancel');
+    const cancelButton = document.getElementById('passphraseCancel');
+
+    form.addEventListener('submit', onSubmit);
+    cancelButton.addEventListener('click', onCancel);
+    dialog.addEventListener('close', () => {
+      form.removeEventListener('submit', onSubmit);
+      cancelButton.removeEventListener('click', onCancel);
+      const passphrase = dialog.returnValue === 'ok' ? input.value : null;
+      input.value = '';
+      repeat.value = '';
+      resolve(passphrase);
+    }, { once: true });
+
+    dialog.returnValue = '';
+    dialog.showModal();
+  });
+}
@@ -0,0 +1,1594 @@
+/**
+ * Claims Data Exporter - Export Engine
+ * Processes CSV export and fetches claim details
+ *
+ * Runs in the service worker, so closing the popup or navigating the
+ * platform tab doesn't stop an export. The tab is only used to send
+ * requests with the user's session (fetch-proxy.js).
+ *
+ * KEY DESIGN: Every claim is saved to chrome.storage.local immediately after
+ * it's fetched. The job is marked state: 'running' until it finishes, and
+ * a worker that was stopped mid-export (browser restart, update) picks it
+ * up again from the saved progress when it next starts.
+ *
+ * Jobs are kept side by side (job-store.js) and run one at a time; every
+ * entry point takes the id of the job to work on.
+ *
+ * A job can also write its claims to a folder on disk as they're saved
+ * (export-stream.js); storage stays the record the downloads are built from.
+ *
+ * Job states: 'running', 'paused' (by the user, resumed only on request),
+ * 'stopped' (failed), 'complete'. A cancelled job is discarded.
+ */
+
+// Keeps the worker awake while a job runs: Chrome stops idle service
+// workers, and a long Retry-After wait would otherwise count as idle
+const ENGINE_KEEPALIVE_MS = 20000;
+
+// Wakes a stopped worker so it can resume a running job
+const ENGINE_WAKE_ALARM = 'exportEngineWake';
+
+// The platform of the job being run (see adapters/registry.js)
+let engineAdapter = null;
+
+// True while this worker is running a job
+let engineBusy = false;
+
+// Id of the job being run, once it has one (discovery runs before the job
+// is created). Progress reports carry it.
+let engineJobId = null;
+
+// 'pause' or 'cancel' once the user has asked the running job to stop
+let engineStop = null;
+
+// Writes the running job's claims to the output folder, if it streams
+// (export-stream.js)
+let engineStream = null;
+
+// Search results kept per unclear match for the user to choose from
+const MATCH_CANDIDATE_LIMIT = 10;
+
+const LOOKUP_AT_REST_ERROR = 'Claims looked up by something other than their file number can\'t be encrypted in browser storage. Turn off the encryption, or use a CSV with file numbers.';
+
+function currentAdapter() {
+  if (!engineAdapter) {
+    throw new Error('No export is running');
+  }
+  return engineAdapter;
+}
+
+/**
+ * Point the engine and the fetch proxy at a platform
+ *
+ * @param {string} platform - adapter id
+ * @param {number} [tabId] - tab to send requests from, if the caller has one
+ */
+function useEnginePlatform(platform, tabId = null) {
+  const adapter = adapterById(platform || 'claimwizard');
+  if (!adapter) {
+    throw new Error(`Unsupported platform: ${platform}`);
+  }
+  engineAdapter = adapter;
+  setProxyPlatform(adapter, tabId);
+}
+
+/**
+ * Make a saved job's sealed claims readable again. Its key survives worker
+ * restarts, but not the browser closing; then the popup asks for the
+ * passphrase before resuming.
+ */
+async function unlockJobStorage(job) {
+  if (await isExportLocked(job)) {
+    throw new Error('This export is encrypted in storage. Enter its passphrase to continue.');
+  }
+}
+
+/**
+ * Run one job at a time, keeping the worker alive until it's done.
+ * A job that throws is left in state 'stopped' so it isn't resumed on its own,
+ * unless it threw because the user paused or cancelled it.
+ */
+async function runEngineTask(task) {
+  if (engineBusy) {
+    throw new Error('An export is already running');
+  }
+
+  engineBusy = true;
+  const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), ENGINE_KEEPALIVE_MS);
+  chrome.alarms.create(ENGINE_WAKE_ALARM, { periodInMinutes: 1 });
+
+  try {
+    await task();
+  } catch (error) {
+    if (error.exportStopped) {
+      await (engineStop === 'cancel' ? discardExport(engineJobId) : pauseSavedExport(engineJobId));
+      return;
+    }
+
+    if (engineJobId) {
+      await updateExportJob(engineJobId, (savedJob) => {
+        if (savedJob.state === 'running') savedJob.state = 'stopped';
+      });
+    }
+    throw error;
+  } finally {
+    if (engineStream) {
+      await engineStream.close().catch(error => console.warn('Closing the output folder stream failed:', error));
+      engineStream = null;
+    }
+    clearInterval(keepAlive);
+    chrome.alarms.clear(ENGINE_WAKE_ALARM);
+    engineBusy = false;
+    engineJobId = null;
+    engineStop = null;
+    releaseProxyTab();
+  }
+}
+
+function exportEngineBusy() {
+  return engineBusy;
+}
+
+/**
+ * Called between claims and before every request: ends the running task
+ * once the user has paused or cancelled it. The claims in flight are left
+ * unsaved and fetched again on resume.
+ */
+function throwIfExportStopped() {
+  if (engineStop) {
+    const error = new Error(engineStop === 'cancel' ? 'Export cancelled' : 'Export paused');
+    error.exportStopped = true;
+    throw error;
+  }
+}
+
+/**
+ * Pause or cancel an export. Whatever this worker is running stops at its
+ * next check; a job it isn't running is updated straight away.
+ *
+ * @param {string} kind - 'pause' or 'cancel'
+ * @param {string} [jobId] - the job to stop when this worker isn't running one
+ */
+async function stopExport(kind, jobId = null) {
+  if (engineBusy) {
+    // Discovery runs before the job is saved, so there is nothing to resume yet
+    if (kind === 'pause' && !engineJobId) {
+      throw new Error('The claim list is still being built. Cancel the export instead.');
+    }
+    engineStop = kind;
+    console.log(kind === 'cancel' ? '⏹ Cancelling export...' : '⏸ Pausing export...');
+    return;
+  }
+
+  const job = await loadExportJob(jobId);
+  if (!job || (kind === 'pause' && job.state !== 'running')) {
+    throw new Error('No export is running');
+  }
+
+  await (kind === 'cancel' ? discardExport(job.id) : pauseSavedExport(job.id));
+}
+
+async function pauseSavedExport(jobId) {
+  await updateExportJob(jobId, (savedJob) => { savedJob.state = 'paused'; });
+  await storageRemove(['exportProgress']);
+  console.log('⏸ Export paused');
+  safeSendMessage({ action: 'exportPaused', jobId });
+}
+
+/**
+ * Drop the job and everything it saved
+ */
+async function discardExport(jobId) {
+  const job = await loadExportJob(jobId);
+  if (job) {
+    await deleteExportJob(job);
+  }
+  await storageRemove(['exportProgress', 'exportComplete', 'exportError']);
+  console.log('⏹ Export cancelled');
+  safeSendMessage({ action: 'exportCancelled', jobId });
+}
+
+/**
+ * Pick up a job that was running when the worker last stopped
+ */
+async function resumeInterruptedExport() {
+  if (engineBusy) return;
+  const job = await runningExportJob();
+  if (!job) return;
+
+  console.log(`🔄 Resuming "${job.name}", which was running when the worker stopped`);
+  await resumeExport(job.id);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ENGINE_WAKE_ALARM) resumeInterruptedExport();
+});
+
+resumeInterruptedExport();
+
+/**
+ * Send a message to popup/background safely.
+ * Won't crash if popup is closed (user switched tabs, etc.)
+ * Messages say which job they are about, unless they name one themselves.
+ */
+function safeSendMessage(message) {
+  try {
+    chrome.runtime.sendMessage({ jobId: engineJobId, ...message }, () => {
+      if (chrome.runtime.lastError) {
+        // Popup is closed - that's fine, progress is saved to storage
+      }
+    });
+  } catch (e) {
+    // Extension context invalidated or similar - ignore
+  }
+}
+
+/**
+ * Persist current export progress to chrome.storage so popup can
+ * pick it up even if it was closed and reopened.
+ */
+function saveProgress(current, total, status) {
+  chrome.storage.local.set({
+    exportProgress: { jobId: engineJobId, current, total, status, timestamp: Date.now() }
+  });
+}
+
+/**
+ * Save a single completed claim to storage immediately.
+ * Uses an indexed key pattern: exportedClaim_<job id>_0, _1, etc.
+ * This way each claim is persisted the instant it's done.
+ * Its search document is written in the same call, so the index never
+ * lags behind the stored claims.
+ */
+async function saveClaimToStorage(jobId, index, claimData) {
+  return saveRecords({
+    [claimStorageKey(jobId, index)]: claimData,
+    [searchDocumentKey(jobId, index)]: buildSearchDocument(claimData, currentAdapter())
+  }, jobId);
+}
+
+
+const ENGINE_ACTIONS = ['processCsv', 'discoverClaims', 'retryFailed', 'resolveMatches', 'resumeExport', 'duplicateJob'];
+
+// Listen for messages from popup
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (ENGINE_ACTIONS.includes(request.action) && engineBusy) {
+    // Leave the running job's progress alone
+    sendResponse({ success: false, error: 'An export is already running' });
+    return;
+  }
+
+  if (request.action === 'processCsv') {
+    // Clear any previous export state
+    chrome.storage.local.remove(['exportComplete', 'exportProgress', 'exportError']);
+
+    processCsvAndFetchData(request.csvText, {
+      name: request.name,
+      csvName: request.csvName,
+      mapping: request.mapping,
+      selectedFileNumbers: request.selectedFileNumbers,
+      testMode: request.testMode,
+      includeFiles: request.includeFiles,
+      incremental: request.incremental,
+      throttle: request.throttle,
+      sections: request.sections,
+      storagePassphrase: request.storagePassphrase,
+      stream: request.stream,
+      platform: request.platform,
+      tabId: request.tabId
+    })
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch((error) => {
+        console.error('Processing failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'discoverClaims') {
+    // Same as processCsv, but the claim list comes from the platform's search
+    chrome.storage.local.remove(['exportComplete', 'exportProgress', 'exportError']);
+
+    processDiscoveryAndFetchData(request.filters || {}, {
+      name: request.name,
+      testMode: request.testMode,
+      includeFiles: request.includeFiles,
+      incremental: request.incremental,
+      throttle: request.throttle,
+      sections: request.sections,
+      storagePassphrase: request.storagePassphrase,
+      stream: request.stream,
+      platform: request.platform,
+      tabId: request.tabId
+    })
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch((error) => {
+        console.error('Discovery failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
+  
+  if (request.action === 'retryFailed') {
+    // Re-run the claims a finished export couldn't fetch completely
+    chrome.storage.local.remove(['exportProgress', 'exportError']);
+
+    retryFailedClaims(request.jobId, request.tabId)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch((error) => {
+        console.error('Retry failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'resolveMatches') {
+    // Fetch the claims the user picked on the matches screen
+    chrome.storage.local.remove(['exportProgress', 'exportError']);
+
+    resolveLookupMatches(request.jobId, request.choices, request.tabId)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch((error) => {
+        console.error('Resolving matches failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'pauseExport' || request.action === 'cancelExport') {
+    stopExport(request.action === 'pauseExport' ? 'pause' : 'cancel', request.jobId)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch((error) => {
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'resumeExport') {
+    // Resume a previously interrupted export
+    resumeExport(request.jobId, request.tabId)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch((error) => {
+        console.error('Resume failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+
+  if (request.action === 'duplicateJob') {
+    // Run an earlier job's claims again as a new job
+    chrome.storage.local.remove(['exportComplete', 'exportProgress', 'exportError']);
+
+    duplicateExportJob(request.jobId, {
+      name: request.name,
+      storagePassphrase: request.storagePassphrase,
+      tabId: request.tabId
+    })
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch((error) => {
+        console.error('Duplicate failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
+});
+
+/**
+ * Main processing function
+ *
+ * @param {string} csvText - the uploaded CSV
+ * @param {object} options - { name, csvName, mapping, selectedFileNumbers,
+ *   testMode, includeFiles, incremental, throttle, sections,
+ *   storagePassphrase, platform, tabId };
+ *   name and csvName (the uploaded file's) label the job in the job list.
+ *   mapping is the key column picked in the popup's preview (see
+ *   parseClaimsCsv) and selectedFileNumbers limits the job to the claims
+ *   ticked there. storagePassphrase encrypts the job's claims at rest.
+ */
+async function processCsvAndFetchData(csvText, options = {}) {
+  try {
+    await runEngineTask(async () => {
+      useEnginePlatform(options.platform, options.tabId);
+      console.log('📄 Parsing CSV...');
+
+      const parsed = parseClaimsCsv(csvText, options.mapping);
+      const skipped = [...parsed.skipped];
+      let claims = parsed.claims;
+      console.log(`Found ${claims.length} claims in CSV`);
+
+      if (claims.length === 0) {
+        throw new Error('No claims found in CSV');
+      }
+
+      if (Array.isArray(options.selectedFileNumbers)) {
+        const selected = new Set(options.selectedFileNumbers);
+        claims.filter(claim => !selected.has(claim.fileNumber)).forEach(claim => {
+          skipped.push({ fileNumber: claim.fileNumber, row: claim.row, reason: 'notSelected' });
+        });
+        claims = claims.filter(claim => selected.has(claim.fileNumber));
+        console.log(`${claims.length} claims selected`);
+
+        if (claims.length === 0) {
+          throw new Error('No claims selected');
+        }
+      }
+
+      await startExportJob(claims, {
+        ...options,
+        source: 'csv',
+        subset: claims.length < parsed.claims.length,
+        input: { rows: parsed.rowCount, uniqueClaims: parsed.claims.length, skipped }
+      });
+    });
+
+  } catch (error) {
+    console.error('Export error:', error);
+    chrome.storage.local.set({
+      exportError: error.message,
+      exportProgress: null
+    });
+    safeSendMessage({
+      action: 'exportError',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Discovery mode: enumerate claims through the search endpoint instead of
+ * an uploaded CSV, then run the same export pipeline.
+ *
+ * @param {object} filters - see discoverClaims()
+ * @param {object} options - { name, testMode, includeFiles, incremental,
+ *   throttle, sections, storagePassphrase, platform, tabId }
+ */
+async function processDiscoveryAndFetchData(filters, options = {}) {
+  try {
+    await runEngineTask(async () => {
+      useEnginePlatform(options.platform, options.tabId);
+      console.log('🔎 Discovering claims...');
+      configureThrottle(throttleSettings(options.throttle));
+
+      const claims = await discoverClaims(filters, {
+        limit: options.testMode ? 1 : Infinity,
+        onProgress: (found, searches) => {
+          const status = `Discovering claims... ${found} found (${searches} searches)`;
+          saveProgress(0, 0, status);
+          safeSendMessage({ action: 'exportProgress', current: 0, total: 0, status });
+        }
+      });
+      console.log(`Discovered ${claims.length} claims`);
+
+      if (claims.length === 0) {
+        throw new Error('No claims matched the discovery filters');
+      }
+
+      await startExportJob(claims, {
+        ...options,
+        source: 'discovery',
+        filters,
+        subset: hasDiscoveryFilters(filters)
+      });
+    });
+
+  } catch (error) {
+    console.error('Discovery error:', error);
+    chrome.storage.local.set({
+      exportError: error.message,
+      exportProgress: null
+    });
+    safeSendMessage({
+      action: 'exportError',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create a new job for a list of claims and start processing it.
+ * Shared by the CSV and discovery entry points and by duplicateExportJob.
+ * Earlier jobs are left as they are.
+ */
+async function startExportJob(claims, options) {
+  const testMode = !!options.testMode;
+  const claimsToProcess = testMode ? claims.slice(0, 1) : claims;
+  const sections = jobSections({ sections: options.sections })
+    .filter(id => EXPORT_SECTIONS.some(section => section.id === id));
+
+  const job = {
+    id: newJobId(),
+    fileNumbers: claimsToProcess.map(c => c.fileNumber),
+    total: claimsToProcess.length,
+    completedCount: 0,
+    testMode: testMode,
+    // File contents can only be downloaded if the file list is fetched
+    includeFiles: !!options.includeFiles && sections.includes('files'),
+    incremental: !!options.incremental,
+    sections: sections,
+    source: options.source,
+    platform: currentAdapter().id,
+    throttle: throttleSettings(options.throttle),
+    state: 'running',
+    startedAt: Date.now()
+  };
+
+  if (options.csvName) {
+    job.csvName = options.csvName;
+  }
+  if (options.filters) {
+    job.filters = options.filters;
+  }
+  if (options.scheduled) {
+    job.scheduled = true;
+  }
+  // Only some of the source's claims were picked (see removedFileNumbers)
+  if (options.subset) {
+    job.subset = true;
+  }
+  job.name = String(options.name || '').trim() || defaultJobName(job);
+  engineJobId = job.id;
+
+  // The CSV names its claims by something other than the file number, so
+  // fileNumbers holds those values until each claim is found
+  const lookup = claimsToProcess.find(claim => claim.lookup)?.lookup;
+  if (lookup) {
+    job.lookup = lookup;
+  }
+
+  // Claims are written to the output folder as they're saved. Not for
+  // sealed jobs: the folder would hold what they keep sealed.
+  if (options.stream && !options.storagePassphrase) {
+    job.stream = {
+      layout: options.stream.layout === 'files' ? 'files' : 'ndjson',
+      folder: streamFolderName(job),
+      committed: 0
+    };
+  }
+
+  // Everything the job stores from here on is sealed with the user's
+  // passphrase, apart from the job's info (file numbers, counts, errors),
+  // which stays readable so it can be resumed. A lookup job's file numbers
+  // are what the CSV named its claims by (insured names, policy numbers),
+  // so it isn't sealed at all rather than sealed in part.
+  if (options.storagePassphrase && job.lookup) {
+    throw new Error(LOOKUP_AT_REST_ERROR);
+  }
+  if (options.storagePassphrase) {
+    job.atRest = await enableAtRestEncryption(job.id, options.storagePassphrase);
+  }
+
+  if (job.incremental) {
+    // A duplicate goes on from its original's baseline
+    job.baselineId = options.baselineId || await baselineIdForLineage(baselineLineage(job));
+    const baseline = await loadBaseline(job.baselineId);
+    const current = new Set(job.fileNumbers);
+
+    // A test run only looks at one claim, so nothing counts as removed.
+    // Neither can anything be when the file numbers aren't known up front,
+    // or when the job leaves out claims on purpose: the baseline keeps the
+    // claims it didn't fetch.
+    job.removedFileNumbers = testMode || job.lookup || job.subset
+      ? []
+      : Object.keys(baseline.claims).filter(fn => !current.has(fn));
+    job.baselineDate = baseline.savedAt;
+    job.changeCounts = {
+      new: 0,
+      changed: 0,
+      unchanged: 0,
+      removed: job.removedFileNumbers.length
+    };
+  }
+
+  // Each claim's CSV row goes into its record; resumes and retries read it back
+  if (claimsToProcess.some(claim => claim.csvRow)) {
+    await saveRecords({
+      [jobCsvRowsKey(job.id)]: claimsToProcess.map(claim => claim.csvRow || null)
+    }, job.id);
+  }
+
+  // What became of every input row, for the completion report
+  if (options.input) {
+    const skipped = [
+      ...options.input.skipped,
+      ...claims.slice(claimsToProcess.length).map(claim => ({
+        fileNumber: claim.fileNumber,
+        row: claim.row,
+        reason: 'testMode'
+      }))
+    ];
+
+    job.input = {
+      rows: options.input.rows,
+      uniqueClaims: options.input.uniqueClaims,
+      skipped: {}
+    };
+    skipped.forEach(({ reason }) => {
+      job.input.skipped[reason] = (job.input.skipped[reason] || 0) + 1;
+    });
+
+    await saveRecords({
+      [jobInputKey(job.id)]: {
+        rowNumbers: claimsToProcess.map(claim => claim.row),
+        skipped
+      }
+    }, job.id);
+  }
+
+  // Save the job info so we can resume if interrupted
+  await saveExportJob(job);
+  await setActiveJob(job.id);
+
+  await processClaimsList(claimsToProcess, 0, job);
+}
+
+/**
+ * Throttle settings for the { profile, custom } choice sent by the popup
+ */
+function throttleSettings(choice = {}) {
+  return resolveThrottleSettings(choice.profile, choice.custom);
+}
+
+/**
+ * Resume an interrupted export using saved job info.
+ * Jobs saved before adapters existed were always ClaimWizard.
+ *
+ * @param {string} jobId - the job to resume
+ * @param {number} [tabId] - tab to send requests from, if the caller has one
+ */
+async function resumeExport(jobId, tabId = null) {
+  try {
+    await runEngineTask(async () => {
+      const job = await loadExportJob(jobId);
+      if (!job) {
+        throw new Error('No export job found to resume');
+      }
+
+      await unlockJobStorage(job);
+      engineJobId = job.id;
+      useEnginePlatform(job.platform, tabId);
+      await updateExportJob(job.id, (savedJob) => { savedJob.state = 'running'; });
+      await setActiveJob(job.id);
+
+      console.log(`📄 Resuming "${job.name}": ${job.completedCount}/${job.total} already done`);
+
+      // Rebuild the claims list from saved file numbers
+      const csvRows = await loadJobCsvRows(job.id);
+      const claimsToProcess = job.fileNumbers.map((fn, i) => ({
+        fileNumber: fn,
+        rowIndex: i,
+        csvRow: csvRows[i] || undefined,
+        lookup: job.lookup
+      }));
+
+      await processClaimsList(claimsToProcess, job.completedCount, job);
+    });
+  } catch (error) {
+    console.error('Resume error:', error);
+    chrome.storage.local.set({
+      exportError: error.message,
+      exportProgress: null
+    });
+    safeSendMessage({
+      action: 'exportError',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Run an earlier job's claims again as a new job, with the same options.
+ * Its CSV rows and input report carry over, so the copy reports on the
+ * same input. The earlier job is left as it is.
+ *
+ * @param {string} jobId - the job to copy
+ * @param {object} options - { name, storagePassphrase, tabId }
+ */
+async function duplicateExportJob(jobId, options = {}) {
+  try {
+    await runEngineTask(async () => {
+      const source = await loadExportJob(jobId);
+      if (!source) {
+        throw new Error('No export job found to duplicate');
+      }
+
+      await unlockJobStorage(source);
+      useEnginePlatform(source.platform, options.tabId);
+      console.log(`📄 Duplicating "${source.name}": ${source.total} claims`);
+
+      const csvRows = await loadJobCsvRows(source.id);
+      const input = source.input ? await loadJobInput(source.id) : null;
+      const claims = source.fileNumbers.map((fn, i) => ({
+        fileNumber: fn,
+        rowIndex: i,
+        row: input ? input.rowNumbers[i] : undefined,
+        csvRow: csvRows[i] || undefined,
+        lookup: source.lookup
+      }));
+
+      await startExportJob(claims, {
+        name: options.name || `${source.name} (copy)`,
+        csvName: source.csvName,
+        source: source.source,
+        filters: source.filters,
+        subset: source.subset,
+        baselineId: source.baselineId,
+        testMode: source.testMode,
+        includeFiles: source.includeFiles,
+        incremental: source.incremental,
+        sections: source.sections,
+        throttle: { profile: source.throttle?.profile, custom: source.throttle },
+        storagePassphrase: options.storagePassphrase,
+        stream: source.stream && { layout: source.stream.layout },
+        input: input && {
+          rows: source.input.rows,
+          uniqueClaims: source.input.uniqueClaims,
+          skipped: input.skipped
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Duplicate error:', error);
+    chrome.storage.local.set({
+      exportError: error.message,
+      exportProgress: null
+    });
+    safeSendMessage({
+      action: 'exportError',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Process claims starting from a given index.
+ * Each claim is saved to storage immediately after completion.
+ *
+ * @param {object} job - the saved job; its options decide what gets fetched
+ */
+async function processClaimsList(claimsToProcess, startFrom, job) {
+  const total = claimsToProcess.length;
+  const baseline = job.incremental ? await loadBaseline(jobBaselineId(job)) : null;
+  
+  saveProgress(startFrom, total, startFrom > 0 ? 'Resuming...' : 'Starting...');
+  safeSendMessage({
+    action: 'exportProgress',
+    current: startFrom,
+    total: total,
+    status: startFrom > 0 ? 'Resuming...' : 'Starting...'
+  });
+
+  // Jobs saved before throttle profiles existed run at the normal pace
+  const throttle = job.throttle || throttleSettings();
+  configureThrottle(throttle);
+  await startJobStream(job);
+  await sealLookupIssues(job);
+
+  console.log(`Processing claims ${startFrom + 1} to ${total} (${throttle.profile}, ${throttle.claimsInFlight} at a time)...`);
+
+  // Up to claimsInFlight claims are worked on at once. completedCount only
+  // advances past claims with no gaps before them, so a resume never skips
+  // one that was still in flight - and fetches again the ones after it that
+  // had finished, whose saved change status is taken back off the tally.
+  let nextIndex = startFrom;
+  let completedCount = startFrom;
+  const finished = new Set();
+
+  const worker = async () => {
+    while (nextIndex < total) {
+      throwIfExportStopped();
+      const i = nextIndex++;
+      const claim = claimsToProcess[i];
+      
+      saveProgress(i + 1, total, `Processing ${claim.fileNumber}...`);
+      safeSendMessage({
+        action: 'exportProgress',
+        current: i + 1,
+        total: total,
+        status: `Processing ${claim.fileNumber}...`
+      });
+
+      const previousStatus = baseline ? await storedChangeStatus(job.id, i) : null;
+      await processClaim(claim, i, total, job, baseline, previousStatus);
+
+      finished.add(i);
+      while (finished.has(completedCount)) {
+        finished.delete(completedCount);
+        completedCount++;
+      }
+      const count = completedCount;
+      await updateExportJob(job.id, (savedJob) => {
+        savedJob.completedCount = Math.max(savedJob.completedCount, count);
+      });
+
+      // Randomized delay between claims - mimics a human clicking through
+      if (nextIndex < total) {
+        await sleep(claimDelay(throttle));
+      }
+    }
+  };
+
+  const workers = [];
+  for (let w = 0; w < Math.min(throttle.claimsInFlight, total - startFrom); w++) {
+    workers.push(worker());
+  }
+
+  // Wait for every worker, so a pause doesn't return while claims are
+  // still being saved
+  const outcomes = await Promise.allSettled(workers);
+  const failed = outcomes.find(outcome => outcome.status === 'rejected');
+  if (failed) throw failed.reason;
+
+  // All done — just mark the job as finished.
+  // Don't load/assemble everything here — that could crash on large exports.
+  // The popup will assemble the final JSON at download time, streaming from individual claim keys.
+  console.log(`✅ Export complete! ${total} claims saved to storage.`);
+
+  await finishExport(job);
+}
+
+/**
+ * Fetch, store and record one claim of the job at index i.
+ * Claims that fail outright, or come back with sections or files missing,
+ * are recorded in job.failures so they can be retried later.
+ *
+ * @param {string} [previousStatus] - changeStatus counted for this claim on an
+ *   earlier attempt, taken back out of the tally when it is retried
+ */
+async function processClaim(claim, i, total, job, baseline, previousStatus = null) {
+  let claimData;
+  let lookupIssue = null;
+  try {
+    const sections = jobSections(job);
+    const target = claim.searchResult
+      ? claimFromSearchResult(claim, claim.searchResult)
+      : await findClaim(claim);
+    claimData = baseline
+      ? await fetchClaimAgainstBaseline(target, baseline, sections, job.id)
+      : await fetchClaimDetails(target, { sections });
+    console.log(`✓ [${i + 1}/${total}] Processed ${claim.fileNumber}`);
+  } catch (error) {
+    if (!error.exportStopped) console.error(`✗ [${i + 1}/${total}] Failed ${claim.fileNumber}:`, error);
+    claimData = { ...claim, error: error.message };
+    lookupIssue = error.lookupIssue || null;
+
+    // Nothing is exported for an unclear match, just what it could be
+    if (lookupIssue) {
+      claimData.lookupMatches = lookupIssue.candidates.map(({ searchResult, ...candidate }) => candidate);
+    }
+  }
+
+  // The claim's row from the uploaded CSV, as it was
+  if (claim.csvRow) {
+    claimData.csvRow = claim.csvRow;
+  }
+
+  // What the CSV identified the claim by, if not its file number
+  if (claim.lookup) {
+    claimData.lookup = { key: claim.lookup, value: claim.fileNumber };
+  }
+
+  // Picked by the user among several search results
+  if (claim.matchChosen) {
+    claimData.matchChosen = true;
+  }
+
+  // Paused or cancelled mid-claim: its requests may have been cut short,
+  // so don't save it
+  throwIfExportStopped();
+
+  // SAVE THIS CLAIM IMMEDIATELY — crash-proof
+  await saveClaimToStorage(job.id, i, claimData);
+
+  // Then pull down the actual file bytes. Each finished file is recorded in
+  // storage, so if we crash here the resumed run only fetches what's missing.
+  // Unchanged claims, copied from the baseline, get their files too: the ZIP
+  // is a full snapshot, and the job that fetched them may have been pruned.
+  if (job.includeFiles && Array.isArray(claimData.files) && claimData.files.length > 0) {
+    await downloadClaimFiles(job.id, i, claimData, total);
+    await saveClaimToStorage(job.id, i, claimData);
+  }
+
+  if (engineStream) {
+    await engineStream.write(i, claimData).catch(error => streamFailed(job.id, error));
+  }
+
+  // Searching again won't settle an unclear match, so those go to the
+  // matches screen instead of the retry queue
+  const failure = lookupIssue ? null : claimFailure(claimData);
+  if (failure) {
+    console.warn(`⚠ ${claim.fileNumber} queued for retry:`, failure.error || failure.failedSections.join(', '));
+  }
+  
+  // Update the change tally and retry queue on the saved job
+  await updateExportJob(job.id, (savedJob) => {
+    if (savedJob.changeCounts) {
+      if (previousStatus) savedJob.changeCounts[previousStatus]--;
+      if (claimData.changeStatus) savedJob.changeCounts[claimData.changeStatus]++;
+    }
+
+    savedJob.failures = savedJob.failures || {};
+    if (failure) {
+      savedJob.failures[i] = failure;
+    } else {
+      delete savedJob.failures[i];
+    }
+
+    savedJob.unmatched = savedJob.unmatched || {};
+    if (lookupIssue) {
+      savedJob.unmatched[i] = lookupIssue.status;
+    } else {
+      delete savedJob.unmatched[i];
+    }
+  });
+
+  if (job.lookup) {
+    await updateLookupIssues(job.id, (issues) => {
+      if (lookupIssue) {
+        issues[i] = { value: claim.fileNumber, ...lookupIssue };
+      } else {
+        delete issues[i];
+      }
+    });
+  }
+}
+
+/**
+ * Run the failed claims of a finished job again. Claims that succeed this
+ * time replace their failed records and drop out of the retry queue.
+ *
+ * @param {string} jobId - the job whose claims to retry
+ * @param {number} [tabId] - tab to send requests from, if the caller has one
+ */
+async function retryFailedClaims(jobId, tabId = null) {
+  try {
+    await runEngineTask(async () => {
+      const job = await loadExportJob(jobId);
+      if (!job) {
+        throw new Error('No export job found');
+      }
+
+      await unlockJobStorage(job);
+      engineJobId = job.id;
+      useEnginePlatform(job.platform, tabId);
+
+      const indexes = Object.keys(job.failures || {}).map(Number).sort((a, b) => a - b);
+      if (indexes.length === 0) {
+        throw new Error('No failed claims to retry');
+      }
+
+      console.log(`🔁 Retrying ${indexes.length} failed claims...`);
+
+      const csvRows = await loadJobCsvRows(job.id);
+      const claims = indexes.map(i => ({
+        fileNumber: job.fileNumbers[i],
+        rowIndex: i,
+        csvRow: csvRows[i] || undefined,
+        lookup: job.lookup
+      }));
+
+      await rerunJobClaims(job, claims, 'Retrying');
+    });
+  } catch (error) {
+    console.error('Retry error:', error);
+    chrome.storage.local.set({
+      exportError: error.message,
+      exportProgress: null
+    });
+    safeSendMessage({
+      action: 'exportError',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Fetch the claims the user picked among several search results on the
+ * matches screen, in place of their unmatched records.
+ *
+ * @param {string} jobId - the job the matches belong to
+ * @param {object} choices - claim index -> index into its lookup issue's candidates
+ * @param {number} [tabId] - tab to send requests from, if the caller has one
+ */
+async function resolveLookupMatches(jobId, choices, tabId = null) {
+  try {
+    await runEngineTask(async () => {
+      const job = await loadExportJob(jobId);
+      if (!job) {
+        throw new Error('No export job found');
+      }
+
+      await unlockJobStorage(job);
+      engineJobId = job.id;
+      useEnginePlatform(job.platform, tabId);
+
+      const csvRows = await loadJobCsvRows(job.id);
+      const issues = await loadLookupIssues(job);
+      const claims = Object.entries(choices || {})
+        .map(([index, choice]) => {
+          const i = Number(index);
+          const candidate = issues[i]?.candidates?.[choice];
+          return candidate && {
+            fileNumber: job.fileNumbers[i],
+            rowIndex: i,
+            csvRow: csvRows[i] || undefined,
+            lookup: job.lookup,
+            searchResult: candidate.searchResult,
+            matchChosen: true
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.rowIndex - b.rowIndex);
+
+      if (claims.length === 0) {
+        throw new Error('No matches chosen');
+      }
+
+      console.log(`🔎 Fetching ${claims.length} chosen matches...`);
+      await rerunJobClaims(job, claims, 'Fetching');
+    });
+  } catch (error) {
+    console.error('Resolve error:', error);
+    chrome.storage.local.set({
+      exportError: error.message,
+      exportProgress: null
+    });
+    safeSendMessage({
+      action: 'exportError',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Fetch some claims of a finished job again, one at a time, then finish it
+ * again. Each claim's rowIndex is its index in the job.
+ *
+ * @param {string} verb - shown in the progress, e.g. 'Retrying'
+ */
+async function rerunJobClaims(job, claims, verb) {
+  await storageRemove(['exportComplete']);
+  await sealLookupIssues(job);
+  await updateExportJob(job.id, (savedJob) => { savedJob.state = 'running'; });
+  await setActiveJob(job.id);
+
+  const baseline = job.incremental ? await loadBaseline(jobBaselineId(job)) : null;
+  const throttle = job.throttle || throttleSettings();
+  configureThrottle(throttle);
+  await startJobStream(job);
+
+  for (let n = 0; n < claims.length; n++) {
+    throwIfExportStopped();
+    const claim = claims[n];
+    const i = claim.rowIndex;
+
+    const status = `${verb} ${claim.fileNumber} (${n + 1} of ${claims.length})...`;
+    saveProgress(n + 1, claims.length, status);
+    safeSendMessage({
+      action: 'exportProgress',
+      current: n + 1,
+      total: claims.length,
+      status: status
+    });
+
+    const previousStatus = await storedChangeStatus(job.id, i);
+    await processClaim(claim, i, job.total, job, baseline, previousStatus);
+
+    if (n < claims.length - 1) {
+      await sleep(claimDelay(throttle));
+    }
+  }
+
+  await finishExport(job);
+}
+
+/**
+ * changeStatus of the claim already saved at index i, if any, so fetching
+ * it again doesn't count it twice
+ */
+async function storedChangeStatus(jobId, i) {
+  const key = claimStorageKey(jobId, i);
+  const stored = await loadRecords([key], jobId);
+  return stored[key]?.changeStatus || null;
+}
+
+/**
+ * Mark the job as finished and tell the popup
+ */
+async function finishExport(job) {
+  const total = job.total;
+
+  // Remember this run so the next incremental export can skip unchanged claims
+  if (job.incremental && !job.testMode) {
+    saveProgress(total, total, 'Saving baseline...');
+    await saveBaseline(job, job.removedFileNumbers || []);
+  }
+
+  saveProgress(total, total, 'Complete!');
+  await updateExportJob(job.id, (savedJob) => {
+    savedJob.state = 'complete';
+    savedJob.finishedAt = Date.now();
+  });
+
+  if (engineStream) {
+    const finished = await loadExportJob(job.id);
+    await engineStream.finish(finished).catch(error => streamFailed(job.id, error));
+  }
+
+  // Holds the id of the job that finished
+  chrome.storage.local.set({
+    exportProgress: null,
+    exportComplete: job.id
+  });
+
+  safeSendMessage({
+    action: 'exportComplete',
+    stats: { claimCount: total }
+  });
+}
+
+/**
+ * Update the job's lookup issues record, in turn with the job updates
+ */
+function updateLookupIssues(jobId, update) {
+  const run = exportJobUpdates.then(async () => {
+    const key = jobLookupIssuesKey(jobId);
+    const stored = await loadRecords([key], jobId);
+    const issues = stored[key] || {};
+    update(issues);
+    await saveRecords({ [key]: issues }, jobId);
+  });
+  exportJobUpdates = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Jobs from before lookup issues had a record of their own kept them, with
+ * their search results, in the job info. Move them to the record before
+ * the job runs again.
+ */
+async function sealLookupIssues(job) {
+  const saved = await loadExportJob(job.id);
+  if (!saved || !saved.lookupIssues) return;
+
+  await saveRecords({ [jobLookupIssuesKey(job.id)]: saved.lookupIssues }, job.id);
+  await updateExportJob(job.id, (savedJob) => {
+    savedJob.unmatched = jobUnmatched(savedJob);
+    delete savedJob.lookupIssues;
+  });
+}
+
+/**
+ * Open the output folder stream for a run of the job, if it streams. A
+ * folder that can't be written to doesn't stop the job; it's noted on
+ * job.stream.error and the claims stay in storage as always.
+ */
+async function startJobStream(job) {
+  engineStream = null;
+  if (!job.stream) return;
+
+  try {
+    engineStream = await openExportStream(job, (committed) => updateExportJob(job.id, (savedJob) => {
+      savedJob.stream.committed = Math.max(savedJob.stream.committed || 0, committed);
+    }));
+    await updateExportJob(job.id, (savedJob) => { delete savedJob.stream.error; });
+  } catch (error) {
+    await streamFailed(job.id, error);
+  }
+}
+
+/**
+ * Stop streaming for the rest of the run. The claims not written are
+ * written when the job next runs, if the folder can be written to by then.
+ */
+async function streamFailed(jobId, error) {
+  console.warn('Writing to the output folder failed:', error);
+  engineStream = null;
+  await updateExportJob(jobId, (savedJob) => {
+    if (savedJob.stream) savedJob.stream.error = error.message;
+  });
+}
+
+// Job updates run one at a time so claims finishing together can't
+// overwrite each other's changes
+let exportJobUpdates = Promise.resolve();
+
+/**
+ * Update a saved job in place
+ */
+function updateExportJob(jobId, update) {
+  const run = exportJobUpdates.then(async () => {
+    const job = await loadExportJob(jobId);
+    if (job) {
+      update(job);
+      await saveExportJob(job);
+    }
+  });
+  exportJobUpdates = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Incremental fetch: compare the claim against the last run's fingerprint and
+ * reuse the saved record when nothing changed. Sets changeStatus on the
+ * result to 'new', 'changed' or 'unchanged'.
+ */
+async function fetchClaimAgainstBaseline(claim, baseline, sections, jobId) {
+  const previousFingerprint = baseline.claims[claim.fileNumber];
+  const claimData = await fetchClaimDetails(claim, { incremental: true, previousFingerprint, sections });
+
+  if (!claimData.unchanged) {
+    claimData.changeStatus = previousFingerprint ? 'changed' : 'new';
+    return claimData;
+  }
+
+  const key = baselineClaimKey(baseline.id, claim.fileNumber);
+  const stored = await loadBaselineRecord(key, jobId);
+
+  if (!stored[key]) {
+    // Fingerprint matched but the saved record is gone (or was sealed by
+    // an earlier job with another passphrase) — fetch it properly
+    const fresh = await fetchClaimDetails(claim, { incremental: true, sections });
+    fresh.changeStatus = 'changed';
+    return fresh;
+  }
+
+  return { ...stored[key], changeStatus: 'unchanged' };
+}
+
+/**
+ * A baseline record, or nothing if it can't be opened with this job's key
+ */
+async function loadBaselineRecord(key, jobId) {
+  try {
+    return await loadRecords([key], jobId);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Which earlier incremental runs a job compares against: those over the
+ * same CSV (by file name), with the same discovery filters, or the
+ * scheduled backups from the same source, on the same platform. Each
+ * lineage has a baseline of its own, so jobs over different CSVs don't
+ * take each other's claims for removed ones.
+ */
+function baselineLineage(job) {
+  let source;
+  if (job.scheduled) {
+    source = `scheduled:${job.source}`;
+  } else if (job.source === 'discovery') {
+    const filters = Object.entries(job.filters || {}).filter(([, value]) => value).sort();
+    source = `discovery:${JSON.stringify(filters)}`;
+  } else {
+    source = `csv:${job.csvName || ''}`;
+  }
+  return `${job.platform || 'claimwizard'}|${source}`;
+}
+
+/**
+ * Jobs from before baselines were kept per lineage used the single one
+ */
+function jobBaselineId(job) {
+  return job.baselineId || LEGACY_BASELINE_ID;
+}
+
+/**
+ * Promote the finished job's claims to the baseline used by the next
+ * incremental run of its lineage. Claims that errored or came back with
+ * sections missing keep their previous baseline entry.
+ */
+async function saveBaseline(job, removedFileNumbers) {
+  const baseline = await loadBaseline(jobBaselineId(job));
+
+  await forEachClaimBatch(job.id, job.total, async (batch) => {
+    const items = {};
+    for (const { claim } of batch) {
+      // Incomplete records keep their previous entry, so the next run fetches them again
+      if (claim.error || claim.sectionErrors || !claim.fingerprint) continue;
+      baseline.claims[claim.fileNumber] = claim.fingerprint;
+
+      // Unchanged claims are already stored as-is
+      if (claim.changeStatus !== 'unchanged') {
+        const { changeStatus, ...record } = claim;
+        items[baselineClaimKey(baseline.id, claim.fileNumber)] = record;
+      }
+    }
+    await saveRecords(items, job.id);
+  });
+
+  removedFileNumbers.forEach(fn => delete baseline.claims[fn]);
+  await storageRemove(removedFileNumbers.map(fn => baselineClaimKey(baseline.id, fn)));
+
+  const { id, ...record } = baseline;
+  record.lineage = record.lineage || baselineLineage(job);
+  record.savedAt = Date.now();
+  await storageSet({ [baselineKey(id)]: record });
+}
+
+/**
+ * Fingerprint of everything that changes when a claim is worked on:
+ * the claim itself plus its activity log. A run that leaves out sections
+ * includes them too, so a saved record is only reused by a run that
+ * fetches the same sections.
+ */
+async function claimFingerprint(fullClaimData, activity, sections) {
+  const fields = { claim: fullClaimData || null, activity: activity || [] };
+  if (isSectionSubset(sections)) fields.sections = sections;
+  const text = JSON.stringify(fields);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Search for a claim and make sure the result really is it. Searches match
+ * loosely ("1234" also finds "12345", or a claim with 1234 in its name), so
+ * only results whose file number (or, for other LOOKUP_KEYS, lookupFields)
+ * equals the value exactly are accepted. No result, or anything other than
+ * exactly one exact match, throws an error carrying lookupIssue
+ * ({ status: 'notFound' | 'ambiguous', candidates }) for the user to
+ * resolve on the matches screen.
+ *
+ * Returns the claim with its real file number and search result.
+ */
+async function findClaim(claim) {
+  const adapter = currentAdapter();
+  const value = claim.fileNumber;
+  const results = await adapter.searchClaims(value);
+
+  const keyType = claim.lookup || 'fileNumber';
+  const wanted = value.trim().toLowerCase();
+  const exact = results.filter(result => {
+    const values = keyType === 'fileNumber'
+      ? [pickDiscoveryField(result, 'fileNumber')]
+      : (adapter.lookupFields?.[keyType] || []).map(field => pickValue(result, [field]));
+    return values.some(v => v != null && String(v).trim().toLowerCase() === wanted);
+  });
+
+  if (exact.length === 1) {
+    return claimFromSearchResult(claim, exact[0]);
+  }
+
+  const candidates = (exact.length > 1 ? exact : results).slice(0, MATCH_CANDIDATE_LIMIT);
+  let message = `Claim not found: ${value}`;
+  if (exact.length > 1) {
+    message = `${exact.length} claims match ${value} exactly`;
+  } else if (results.length > 0) {
+    message = `No exact match for ${value} (search found ${results.length})`;
+  }
+
+  const error = new Error(message);
+  error.lookupIssue = {
+    status: results.length === 0 ? 'notFound' : 'ambiguous',
+    candidates: candidates.map(searchResultCandidate)
+  };
+  throw error;
+}
+
+/**
+ * The claim to fetch for a search result: its real file number, which
+ * differs from the CSV value when the CSV names claims some other way
+ */
+function claimFromSearchResult(claim, searchResult) {
+  const fileNumber = pickDiscoveryField(searchResult, 'fileNumber');
+  return {
+    ...claim,
+    fileNumber: fileNumber ? String(fileNumber) : claim.fileNumber,
+    searchResult: searchResult
+  };
+}
+
+/**
+ * A search result offered on the matches screen: enough to tell the
+ * candidates apart, plus the result itself to fetch the chosen one
+ */
+function searchResultCandidate(searchResult) {
+  const ref = currentAdapter().claimRef(searchResult);
+  const details = [
+    pickValue(searchResult, ['insuredName', 'insured', 'clientName', 'name', 'title']),
+    pickDiscoveryField(searchResult, 'status'),
+    pickDiscoveryField(searchResult, 'lossDate')
+  ].filter(Boolean);
+
+  return {
+    fileNumber: String(pickDiscoveryField(searchResult, 'fileNumber') ?? ''),
+    claimId: ref.claimId ?? null,
+    claimUuid: ref.claimUuid ?? null,
+    label: details.map(String).join(' · '),
+    searchResult: searchResult
+  };
+}
+
+/**
+ * Fetch detailed claim data through the active platform adapter
+ * Mimics natural browser traffic: search → load claim page → concurrent data fetches
+ *
+ * @param {object} options
+ * @param {boolean} options.incremental - compute a fingerprint for the claim
+ * @param {string} options.previousFingerprint - if the claim still matches it,
+ *   stop early and return { unchanged: true } without fetching the other sections
+ * @param {string[]} [options.sections] - EXPORT_SECTIONS ids to fetch (default all)
+ */
+async function fetchClaimDetails(claim, options = {}) {
+  const adapter = currentAdapter();
+  const fileNumber = claim.fileNumber;
+  const sections = options.sections || jobSections({});
+
+  // Step 1: Search for claim to get ID and UUID
+  // (discovery and chosen matches already have the search result)
+  const { searchResult: claimInfo } = claim.searchResult ? claim : await findClaim(claim);
+  const ref = adapter.claimRef(claimInfo);
+
+  const claimResult = {
+    fileNumber: fileNumber,
+    claimId: ref.claimId,
+    claimUuid: ref.claimUuid,
+    claimDetails: claimInfo
+  };
+
+  // Step 2: Fetch full claim details first
+  const fullDetails = await adapter.fetchClaim(ref);
+  
+  if (fullDetails) {
+    claimResult.fullClaimData = fullDetails;
+    Object.assign(claimResult, adapter.mapClaim(fullDetails));
+  }
+
+  let activityRequest = null;
+
+  // Incremental: check the claim + activity first. If both match the last
+  // run there's no need to fetch any other section. Activity is fetched for
+  // this even when it isn't exported.
+  if (options.incremental) {
+    const activity = await adapter.fetchActivity(ref).catch(() => null);
+
+    // Without activity we can't tell whether the claim changed
+    claimResult.fingerprint = activity ? await claimFingerprint(fullDetails, activity, sections) : null;
+
+    if (claimResult.fingerprint && claimResult.fingerprint === options.previousFingerprint) {
+      claimResult.unchanged = true;
+      return claimResult;
+    }
+
+    if (activity) activityRequest = Promise.resolve(activity);
+  }
+
+  // Step 3: Fire the chosen data fetches concurrently (natural page load pattern)
+  const sectionNames = Object.keys(adapter.sections).filter(name => sections.includes(name));
+  const requests = sectionNames.map(name => [name, adapter.sections[name].fetch(ref)]);
+  if (sections.includes('files')) {
+    requests.push(['files', adapter.listFiles(ref)]);
+  }
+  if (sections.includes('activity')) {
+    requests.push(['activity', activityRequest || adapter.fetchActivity(ref)]);
+  }
+
+  const results = await Promise.allSettled(requests.map(([, request]) => request));
+  const settled = {};
+  requests.forEach(([name], r) => { settled[name] = results[r]; });
+
+  sectionNames.forEach(name => {
+    if (settled[name].status === 'fulfilled') {
+      Object.assign(claimResult, adapter.sections[name].map(settled[name].value));
+    }
+  });
+  if (settled.files?.status === 'fulfilled' && settled.files.value?.length > 0) {
+    claimResult.files = settled.files.value;
+  }
+  if (settled.activity?.status === 'fulfilled' && settled.activity.value) {
+    claimResult.activity = settled.activity.value;
+  }
+
+  // Record which sections couldn't be fetched instead of just leaving them out
+  const sectionErrors = {};
+  for (const [section, result] of Object.entries(settled)) {
+    if (result.status === 'rejected') {
+      sectionErrors[section] = result.reason?.message || String(result.reason);
+    }
+  }
+  if (Object.keys(sectionErrors).length > 0) {
+    claimResult.sectionErrors = sectionErrors;
+  }
+
+  return claimResult;
+}
+
+/**
+ * Download the bytes of every file attached to a claim and store them.
+ * Files already recorded as complete (from an interrupted run) are skipped.
+ * Marks each entry in claimData.files with stored: true/false.
+ */
+async function downloadClaimFiles(jobId, index, claimData, total) {
+  const files = claimData.files;
+  const progress = await getStoredFileProgress(jobId, index);
+
+  for (let f = 0; f < files.length; f++) {
+    const file = files[f];
+
+    if (progress[file.key]) {
+      file.stored = true;
+      continue;
+    }
+
+    const status = `Downloading file ${f + 1}/${files.length} for ${claimData.fileNumber}...`;
+    saveProgress(index + 1, total, status);
+    safeSendMessage({
+      action: 'exportProgress',
+      current: index + 1,
+      total: total,
+      status: status
+    });
+
+    try {
+      const bytes = await fetchFileBytes(file.downloadUrl);
+      await saveClaimFile(jobId, index, file.key, bytes);
+      file.stored = true;
+      delete file.downloadError;
+    } catch (error) {
+      if (error.exportStopped) throw error;
+      console.error(`✗ Failed to download ${file.filename} for ${claimData.fileNumber}:`, error);
+      file.stored = false;
+      file.downloadError = error.message;
+    }
+  }
+}
+
+/**
+ * Fetch a file's raw bytes using the logged-in session
+ */
+async function fetchFileBytes(url) {
+  const response = await fetchWithRetry(url, {
+    method: 'GET',
+    credentials: 'include'
+  }, 'File download');
+
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Make an API call to the active platform; endpoint is relative to its origin.
+ * Transient failures are retried (see http-client.js); anything else throws.
+ */
+async function fetchApi(endpoint) {
+  const baseUrl = currentAdapter().origin;
+  const url = `${baseUrl}${endpoint}${endpoint.includes('?') ? '&' : '?'}_=${Date.now()}`;
+
+  const response = await fetchWithRetry(url, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json, text/javascript, */*; q=0.01',
+      'X-Requested-With': 'XMLHttpRequest'
+    },
+    credentials: 'include'
+  }, 'API call');
+
+  return await response.json();
+}
+
+/**
+ * Sleep utility
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,248 @@
+/**
+ * Claims Data Exporter - Export Import
+ * Loads a previously downloaded JSON export back into storage as a new
+ * export job, so it can be browsed, re-downloaded in another format, or - for
+ * a partial export - resumed where it stopped.
+ *
+ * Exports written by this extension put one claim per line, so they are read
+ * as a stream and stored a batch at a time. Any other layout (e.g. a file
+ * re-formatted by another tool) falls back to parsing the whole file at once.
+ */
+
+/**
+ * Import an export file as a new job and make it the active one.
+ *
+ * @param {File} file - a JSON export
+ * @param {function} [onProgress] - called with the number of claims stored so far
+ * @returns {Promise<object>} the new job
+ */
+async function importExportFile(file, onProgress = () => {}) {
+  await storageRemove(['exportComplete', 'exportProgress', 'exportError']);
+
+  const jobId = newJobId();
+  const claimWriter = createImportClaimWriter(jobId, onProgress);
+  let exportData;
+
+  try {
+    exportData = await readExportStream(file, claim => claimWriter.add(claim));
+  } catch (error) {
+    if (!error.layout) throw error;
+
+    console.log(`Not in the streamed layout (${error.message}); parsing the whole file`);
+    await claimWriter.reset();
+    exportData = parseExportText(await file.text());
+    for (const claim of exportData.claimWizardData.claims) {
+      await claimWriter.add(claim);
+    }
+  }
+
+  await claimWriter.flush();
+
+  const job = importedJob(jobId, file, exportData, claimWriter);
+
+  // The platform is only known once the whole file has been read
+  await indexStoredClaims(job);
+  await saveExportJob(job);
+  await setActiveJob(job.id);
+
+  return job;
+}
+
+/**
+ * Stream the file line by line, handing each claim to onClaim.
+ * Returns the export with an empty claims array (plus exportInfo).
+ * Throws an error with layout: true if the file isn't one claim per line.
+ */
+async function readExportStream(file, onClaim) {
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+  let state = 'header';
+  let header = '';
+  let footer = '';
+  let pending = '';
+
+  const handleLine = async (line) => {
+    const trimmed = line.trim();
+
+    if (state === 'header') {
+      header += line + '\n';
+      if (trimmed === '"claims": [') state = 'claims';
+    } else if (state === 'claims') {
+      if (trimmed === ']' || trimmed === '],') {
+        state = 'footer';
+        footer += line + '\n';
+      } else if (trimmed !== '') {
+        let claim;
+        try {
+          claim = JSON.parse(trimmed.replace(/,$/, ''));
+        } catch (e) {
+          throw layoutError('claims span several lines');
+        }
+        await onClaim(claim);
+      }
+    } else {
+      footer += line + '\n';
+    }
+  };
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      pending += value;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        await handleLine(line);
+      }
+    }
+    await handleLine(pending);
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  if (state !== 'footer') {
+    throw layoutError('no claims array found');
+  }
+
+  // Header ends with `"claims": [` and the footer starts with `]`, so
+  // together they are the whole export minus its claims
+  let data;
+  try {
+    data = JSON.parse(header.replace(/^\uFEFF/, '') + footer);
+  } catch (e) {
+    throw layoutError('unexpected header or footer');
+  }
+  return checkExportShape(data);
+}
+
+function layoutError(message) {
+  const error = new Error(message);
+  error.layout = true;
+  return error;
+}
+
+function parseExportText(text) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new Error('This file is not valid JSON');
+  }
+  return checkExportShape(data);
+}
+
+function checkExportShape(data) {
+  if (!data || !data.claimWizardData || !Array.isArray(data.claimWizardData.claims) || !data.exportInfo) {
+    throw new Error('This file is not a Claims Data Exporter JSON export');
+  }
+  return data;
+}
+
+/**
+ * Buffers imported claims and stores them LOAD_BATCH_SIZE at a time.
+ * Normalized exports are turned back into their raw records.
+ */
+function createImportClaimWriter(jobId, onProgress) {
+  const writer = {
+    count: 0,
+    fileNumbers: [],
+    failures: {},
+    pending: {},
+
+    async add(claim) {
+      const normalized = claim && claim.loss && Array.isArray(claim.parties);
+      if (normalized && !claim.raw) {
+        throw new Error('Normalized exports can only be imported if they include the raw platform payloads');
+      }
+
+      const record = normalized ? claim.raw : claim;
+      if (!record || typeof record !== 'object' || record.fileNumber == null) {
+        throw new Error(`Claim ${writer.count + 1} has no file number`);
+      }
+
+      // Lookup jobs name their claims by what the CSV gave, as the job did
+      const index = writer.count++;
+      writer.fileNumbers.push(String(record.lookup ? record.lookup.value : record.fileNumber));
+      if (record.lookup) writer.lookup = record.lookup.key;
+      const failure = claimFailure(record);
+      if (failure) writer.failures[index] = failure;
+
+      writer.pending[claimStorageKey(jobId, index)] = record;
+      if (Object.keys(writer.pending).length >= LOAD_BATCH_SIZE) {
+        await writer.flush();
+      }
+    },
+
+    async flush() {
+      if (Object.keys(writer.pending).length === 0) return;
+      await saveRecords(writer.pending, jobId);
+      writer.pending = {};
+      onProgress(writer.count);
+    },
+
+    // Drop what a failed streaming attempt stored before starting over
+    async reset() {
+      await removeJobData({ id: jobId, total: writer.count });
+      writer.count = 0;
+      writer.fileNumbers = [];
+      writer.failures = {};
+      writer.pending = {};
+    }
+  };
+
+  return writer;
+}
+
+/**
+ * The job for an imported file. Partial exports that list their remaining
+ * file numbers can be resumed from where they stopped, so they start out
+ * paused; everything else is ready to download.
+ */
+function importedJob(jobId, file, exportData, claimWriter) {
+  const info = exportData.exportInfo;
+  const remaining = info.partial && !info.delta && Array.isArray(info.remainingFileNumbers)
+    ? info.remainingFileNumbers.map(String)
+    : [];
+
+  const job = {
+    id: jobId,
+    name: file.name,
+    fileNumbers: [...claimWriter.fileNumbers, ...remaining],
+    total: claimWriter.count + remaining.length,
+    completedCount: claimWriter.count,
+    testMode: false,
+    includeFiles: false,
+    incremental: !!info.incremental,
+    source: 'import',
+    sections: Array.isArray(info.sections) ? info.sections : jobSections({}),
+    platform: info.platform || 'claimwizard',
+    state: remaining.length > 0 ? 'paused' : 'complete',
+    startedAt: Date.now(),
+    failures: claimWriter.failures,
+    importedFrom: {
+      filename: file.name,
+      exportDate: info.date || exportData.claimWizardData.exportDate || null,
+      schemaVersion: info.schemaVersion || null,
+      partial: !!info.partial,
+      resumable: remaining.length > 0
+    }
+  };
+
+  // The CSV named its claims by something other than the file number; a
+  // resumed job searches for the remaining ones by it. Partial exports
+  // from before exportInfo said so only show it in their claims.
+  const lookup = info.lookup || claimWriter.lookup;
+  if (LOOKUP_KEYS.some(key => key.id === lookup && key.id !== 'fileNumber')) {
+    job.lookup = lookup;
+  }
+
+  if (info.incremental) {
+    job.changeCounts = info.changeCounts || { new: 0, changed: 0, unchanged: 0, removed: 0 };
+    job.removedFileNumbers = info.removedFileNumbers || [];
+    job.baselineDate = info.baselineDate ? new Date(info.baselineDate).getTime() : null;
+  }
+
+  return job;
+}
@@ -0,0 +1,393 @@
+/**
+ * Claims Data Exporter - Redaction
+ * Profiles that take the homeowner's personal data out of a download, for
+ * exports handed to people who shouldn't see it. Applied to each claim as
+ * the download is built (createRedactor); the stored claims are untouched.
+ *
+ * A profile sets one action per rule:
+ *   names          - 'keep' | 'pseudonymize': contact and insured names are
+ *                    replaced by a pseudonym, the same one for the same name
+ *                    in every claim
+ *   contactDetails - 'keep' | 'mask' | 'drop': contact emails, phones and
+ *                    addresses, the claim's own emails and phones, and the
+ *                    property address
+ *   freeText       - 'keep' | 'strip': notes, ledger notes and activity,
+ *                    the text of action items and file descriptions
+ *   downloadUrls   - 'keep' | 'scrub': the files' platform download links
+ *   csvRows        - 'keep' | 'drop': the claim's row from the uploaded CSV
+ *   fileContents   - 'keep' | 'omit': stored files in ZIP downloads
+ *
+ * Where the personal data sits in the platform's own payloads comes from
+ * the adapter's personalData (adapters/registry.js). Redacted ZIPs name
+ * their entries by position instead of file numbers and file names, and the
+ * claims' files[] records carry the same positional names.
+ * Loaded by the popup.
+ */
+
+const REDACTION_RULES = [
+  { id: 'names', label: 'Names', actions: ['keep', 'pseudonymize'] },
+  { id: 'contactDetails', label: 'Emails, phones, addresses', actions: ['keep', 'mask', 'drop'] },
+  { id: 'freeText', label: 'Notes and activity', actions: ['keep', 'strip'] },
+  { id: 'downloadUrls', label: 'File links', actions: ['keep', 'scrub'] },
+  { id: 'csvRows', label: 'CSV rows', actions: ['keep', 'drop'] },
+  { id: 'fileContents', label: 'Files in ZIP', actions: ['keep', 'omit'] }
+];
+
+const REDACTION_ACTION_LABELS = {
+  keep: 'Keep',
+  pseudonymize: 'Pseudonymize',
+  mask: 'Mask',
+  drop: 'Drop',
+  strip: 'Strip',
+  scrub: 'Scrub',
+  omit: 'Leave out'
+};
+
+// Built-in profiles; 'custom' uses the rules picked in the popup
+const REDACTION_PROFILES = {
+  none: { label: 'None (full data)' },
+  consultant: {
+    label: 'Consultant (pseudonyms, masked contact details)',
+    rules: { names: 'pseudonymize', contactDetails: 'mask', freeText: 'strip', downloadUrls: 'scrub', csvRows: 'drop', fileContents: 'omit' }
+  },
+  analyst: {
+    label: 'Analyst (no personal data)',
+    rules: { names: 'pseudonymize', contactDetails: 'drop', freeText: 'strip', downloadUrls: 'scrub', csvRows: 'drop', fileContents: 'omit' }
+  },
+  custom: { label: 'Custom' }
+};
+
+// Free-text sections removed by freeText: 'strip'
+const FREE_TEXT_FIELDS = ['notes', 'ledgerNotes', 'activity'];
+
+// Keys of an action item removed by freeText: 'strip'; dates and states stay
+const ACTION_ITEM_TEXT_KEY = /^(title|name|description|text|body|notes?|comments?|details?)$/i;
+
+// Keys of a person record, by kind of personal data
+const PERSON_NAME_KEYS = ['name', 'fullName', 'displayName'];
+const PERSON_EMAIL_KEY = /e-?mail/i;
+const PERSON_PHONE_KEY = /phone|mobile|fax/i;
+const PERSON_ADDRESS_KEY = /address/i;
+
+// Address parts a masked address keeps (the postal code cut to 3 digits)
+const MASKED_ADDRESS_KEYS = /^(city|state|province|region|country|zip|zipCode|postal|postalCode)$/i;
+
+// chrome.storage.local key of the secret pseudonyms are derived from, so
+// they stay the same across downloads from this browser
+const PSEUDONYM_SECRET_KEY = 'redactionSecret';
+
+const PSEUDONYM_HEX_DIGITS = 8;
+
+/**
+ * The rules of a profile id, with 'keep' for any rule it doesn't set
+ */
+function redactionRules(profileId, customRules = {}) {
+  const profile = REDACTION_PROFILES[profileId] || REDACTION_PROFILES.none;
+  const rules = profileId === 'custom' ? customRules : (profile.rules || {});
+
+  return Object.fromEntries(REDACTION_RULES.map(rule => [
+    rule.id,
+    rule.actions.includes(rules[rule.id]) ? rules[rule.id] : 'keep'
+  ]));
+}
+
+/**
+ * A redactor for one download, or null if the rules keep everything:
+ * {
+ *   rules,
+ *   redact(claim, record = true) - a redacted copy of a stored claim;
+ *                                  record: false leaves it out of the report
+ *   report()                     - { field: { action, count } }, the fields
+ *                                  transformed so far and in how many claims
+ *   info()                       - { profile, rules, fields } for exportInfo
+ *   zipPath(index, fileIndex, file) - ZIP entry of a stored file that
+ *                                  doesn't give away the claim or file name
+ * }
+ *
+ * @param {string} profileId - key of REDACTION_PROFILES
+ * @param {object} rules - see redactionRules()
+ * @param {object} adapter - the job's platform adapter
+ */
+async function createRedactor(profileId, rules, adapter) {
+  if (Object.values(rules).every(action => action === 'keep')) return null;
+
+  const pseudonymKey = rules.names === 'pseudonymize' ? await loadPseudonymKey() : null;
+  const pseudonyms = new Map();
+  const personalData = (adapter && adapter.personalData) || {};
+  const fields = {};
+
+  const pseudonym = async (name) => {
+    const key = String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!pseudonyms.has(key)) {
+      const mac = await crypto.subtle.sign('HMAC', pseudonymKey, new TextEncoder().encode(key));
+      const hex = [...new Uint8Array(mac)].map(b => b.toString(16).padStart(2, '0')).join('');
+      pseudonyms.set(key, hex.slice(0, PSEUDONYM_HEX_DIGITS));
+    }
+    return pseudonyms.get(key);
+  };
+
+  async function redact(claim, record = true) {
+    const out = structuredClone(claim);
+    const changed = new Map();
+    const note = (field, action) => changed.set(field, action);
+
+    for (const contact of out.contacts || []) {
+      await redactPerson(contact, 'contacts', note);
+    }
+    for (const contact of personalData.contacts ? personalData.contacts(out.fullClaimData || {}) : []) {
+      await redactPerson(contact, personalData.contactsLabel || 'fullClaimData.contacts', note);
+    }
+
+    for (const [label, source] of [['claimDetails', out.claimDetails], ['fullClaimData', out.fullClaimData]]) {
+      if (!source || typeof source !== 'object') continue;
+      for (const key of personalData.names || []) {
+        if (rules.names === 'pseudonymize' && typeof source[key] === 'string' && source[key].trim()) {
+          source[key] = `Person ${await pseudonym(source[key])}`;
+          note(`${label}.${key}`, 'pseudonymized');
+        }
+      }
+      for (const key of personalData.addresses || []) {
+        if (rules.contactDetails !== 'keep' && source[key] != null && source[key] !== '') {
+          redactContactValue(source, key, rules.contactDetails, maskAddress);
+          note(`${label}.${key}`, actionLabel(rules.contactDetails));
+        }
+      }
+
+      // Emails and phones kept on the claim itself rather than a contact
+      for (const key of Object.keys(source)) {
+        const value = source[key];
+        if (rules.contactDetails === 'keep' || value == null || value === '' || typeof value === 'boolean') continue;
+
+        const mask = PERSON_EMAIL_KEY.test(key) ? maskEmail : PERSON_PHONE_KEY.test(key) ? maskPhone : null;
+        if (mask) {
+          redactContactValue(source, key, rules.contactDetails, mask);
+          note(`${label}.${key}`, actionLabel(rules.contactDetails));
+        }
+      }
+    }
+
+    if (out.lookup && out.lookup.key === 'insuredName' && rules.names === 'pseudonymize') {
+      out.lookup.value = `Person ${await pseudonym(out.lookup.value)}`;
+      note('lookup.value', 'pseudonymized');
+    }
+    if (Array.isArray(out.lookupMatches) && rules.names === 'pseudonymize') {
+      out.lookupMatches.forEach(match => delete match.label);
+      note('lookupMatches.label', 'dropped');
+    }
+
+    if (rules.freeText === 'strip') {
+      FREE_TEXT_FIELDS.filter(field => field in out).forEach(field => {
+        delete out[field];
+        note(field, 'stripped');
+      });
+
+      for (const item of Array.isArray(out.actionItems) ? out.actionItems : []) {
+        if (!item || typeof item !== 'object') continue;
+        for (const key of Object.keys(item).filter(key => ACTION_ITEM_TEXT_KEY.test(key))) {
+          delete item[key];
+          note('actionItems.text', 'stripped');
+        }
+      }
+
+      for (const file of Array.isArray(out.files) ? out.files : []) {
+        if (file && file.description) {
+          delete file.description;
+          note('files.description', 'stripped');
+        }
+      }
+    }
+
+    // Named like their ZIP entries (see zipPath), as file names and folders
+    // often carry the homeowner's name or address
+    for (const [fileIndex, file] of (Array.isArray(out.files) ? out.files : []).entries()) {
+      if (!file || typeof file !== 'object') continue;
+      const name = redactedFileName(fileIndex, file);
+      for (const key of ['filename', 'title'].filter(key => file[key])) {
+        file[key] = name;
+        note(`files.${key}`, 'renamed');
+      }
+      if (Array.isArray(file.folderPath) && file.folderPath.length > 0) {
+        file.folderPath = [];
+        note('files.folderPath', 'dropped');
+      }
+    }
+
+    if (rules.downloadUrls === 'scrub' && Array.isArray(out.files)) {
+      out.files.forEach(file => {
+        if (file && file.downloadUrl) {
+          delete file.downloadUrl;
+          note('files.downloadUrl', 'scrubbed');
+        }
+      });
+    }
+
+    if (rules.csvRows === 'drop' && out.csvRow) {
+      delete out.csvRow;
+      note('csvRow', 'dropped');
+    }
+
+    if (record) {
+      for (const [field, action] of changed) {
+        fields[field] = fields[field] || { action, count: 0 };
+        fields[field].count++;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Names, emails, phones and addresses of one person record. Recurses
+   * into nested objects such as { name: { firstName, lastName } }.
+   */
+  async function redactPerson(person, label, note, depth = 0) {
+    if (!person || typeof person !== 'object' || depth > 2) return;
+
+    if (rules.names === 'pseudonymize') {
+      const fullName = [person.firstName, person.lastName].filter(Boolean).join(' ');
+      if (fullName) {
+        // Pseudonym of the whole name, so "Jane Doe" reads "Person 1a2b3c4d"
+        // here and wherever the name appears as one string
+        if ('firstName' in person) person.firstName = 'Person';
+        if ('lastName' in person) person.lastName = await pseudonym(fullName);
+        note(`${label}.name`, 'pseudonymized');
+      }
+      for (const key of PERSON_NAME_KEYS) {
+        if (typeof person[key] === 'string' && person[key].trim()) {
+          person[key] = `Person ${await pseudonym(person[key])}`;
+          note(`${label}.name`, 'pseudonymized');
+        }
+      }
+    }
+
+    for (const key of Object.keys(person)) {
+      const value = person[key];
+      if (value == null || value === '') continue;
+
+      if (rules.contactDetails !== 'keep') {
+        if (PERSON_EMAIL_KEY.test(key)) {
+          redactContactValue(person, key, rules.contactDetails, maskEmail);
+          note(`${label}.email`, actionLabel(rules.contactDetails));
+          continue;
+        }
+        if (PERSON_PHONE_KEY.test(key)) {
+          redactContactValue(person, key, rules.contactDetails, maskPhone);
+          note(`${label}.phone`, actionLabel(rules.contactDetails));
+          continue;
+        }
+        if (PERSON_ADDRESS_KEY.test(key)) {
+          redactContactValue(person, key, rules.contactDetails, maskAddress);
+          note(`${label}.address`, actionLabel(rules.contactDetails));
+          continue;
+        }
+      }
+
+      if (typeof value === 'object' && !Array.isArray(value)) {
+        await redactPerson(value, label, note, depth + 1);
+      }
+    }
+  }
+
+  return {
+    rules,
+    redact,
+    report: () => fields,
+    info: () => ({ profile: profileId, rules, fields }),
+    zipPath: (index, fileIndex, file) => redactedZipPath(index, fileIndex, file)
+  };
+}
+
+/**
+ * claim-00001/files/file-001.pdf: the claim's position in the export and
+ * the file's in the claim
+ */
+function redactedZipPath(index, fileIndex, file) {
+  return zipPath(`claim-${String(index + 1).padStart(5, '0')}`, 'files', redactedFileName(fileIndex, file));
+}
+
+/**
+ * file-001.pdf: the file's position in its claim, keeping only the
+ * extension of its name
+ */
+function redactedFileName(fileIndex, file) {
+  const name = String(file.filename || file.title || '');
+  const extension = /\.[a-z0-9]{1,8}$/i.exec(name);
+  return `file-${String(fileIndex + 1).padStart(3, '0')}${extension ? extension[0].toLowerCase() : ''}`;
+}
+
+/**
+ * Mask or drop source[key]. Objects (e.g. { number: '...' }) have each
+ * string inside masked.
+ */
+function redactContactValue(source, key, action, mask) {
+  if (action === 'drop') {
+    delete source[key];
+    return;
+  }
+  source[key] = maskValue(source[key], mask);
+}
+
+function maskValue(value, mask) {
+  if (typeof value === 'string' || typeof value === 'number') return mask(String(value));
+  if (Array.isArray(value)) return value.map(item => maskValue(item, mask));
+  if (value && typeof value === 'object') {
+    if (mask === maskAddress) return maskAddressObject(value);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskValue(v, mask)]));
+  }
+  return value;
+}
+
+function actionLabel(action) {
+  return action === 'drop' ? 'dropped' : 'masked';
+}
+
+/**
+ * "jane.doe@example.com" -> "j***@example.com"
+ */
+function maskEmail(email) {
+  const at = email.lastIndexOf('@');
+  return at > 0 ? `${email[0]}***${email.slice(at)}` : '***';
+}
+
+/**
+ * Every digit but the last two hidden: "(555) 123-4567" -> "(***) ***-**67"
+ */
+function maskPhone(phone) {
+  let keep = 2;
+  return [...phone].reverse().map(ch => {
+    if (!/\d/.test(ch)) return ch;
+    return keep-- > 0 ? ch : '*';
+  }).reverse().join('');
+}
+
+/**
+ * Addresses given as one string can't be split reliably, so they go entirely
+ */
+function maskAddress() {
+  return '[redacted]';
+}
+
+/**
+ * Keep the city, state and country, and the first 3 digits of the postal code
+ */
+function maskAddressObject(address) {
+  const masked = {};
+  for (const [key, value] of Object.entries(address)) {
+    if (!MASKED_ADDRESS_KEYS.test(key)) continue;
+    masked[key] = /zip|postal/i.test(key) && value != null
+      ? String(value).slice(0, 3) + '**'
+      : value;
+  }
+  return masked;
+}
+
+/**
+ * HMAC key for pseudonyms, created on first use
+ */
+async function loadPseudonymKey() {
+  let { [PSEUDONYM_SECRET_KEY]: secret } = await chrome.storage.local.get([PSEUDONYM_SECRET_KEY]);
+  if (!secret) {
+    secret = bytesToBase64(crypto.getRandomValues(new Uint8Array(32)));
+    await chrome.storage.local.set({ [PSEUDONYM_SECRET_KEY]: secret });
+  }
+  return crypto.subtle.importKey('raw', base64ToBytes(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
@@ -0,0 +1,206 @@
+/**
+ * Claims Data Exporter - Export Report
+ * What a finished job did with its input: claims exported, failed or left
+ * out, how many claims have each section, unique people and file bytes
+ * (summarizeExport), and a reconciliation CSV giving every input row its
+ * outcome (buildReconciliationBlob).
+ *
+ * Both walk the stored claims in batches, so they work for exports of any
+ * size. Loaded by the popup.
+ */
+
+// Outcome column of the reconciliation CSV for input rows that never
+// became part of the job (see parseClaimsCsv and startExportJob)
+const SKIPPED_ROW_OUTCOMES = {
+  duplicate: 'duplicate',
+  blank: 'no value',
+  malformed: 'malformed row',
+  notSelected: 'not selected',
+  testMode: 'not run (test mode)'
+};
+
+/**
+ * Counts for the completion report:
+ * {
+ *   input,                       - job.input: { rows, uniqueClaims, skipped: { reason: count } } (CSV jobs)
+ *   claims, exported, incomplete, failed, unmatched, notFetched,
+ *   sections: { id: claims with data },
+ *   contacts, personnel,         - unique people across all claims
+ *   files, fileBytes, storedFiles
+ * }
+ * exported includes the incomplete claims; failed and unmatched claims
+ * have no data.
+ */
+async function summarizeExport(job) {
+  const sections = jobSections(job);
+  const report = {
+    input: job.input || null,
+    claims: job.total,
+    exported: 0,
+    incomplete: 0,
+    failed: 0,
+    unmatched: 0,
+    notFetched: 0,
+    sections: Object.fromEntries(sections.map(id => [id, 0])),
+    contacts: 0,
+    personnel: 0,
+    files: 0,
+    fileBytes: 0,
+    storedFiles: 0
+  };
+
+  const contacts = new Set();
+  const personnel = new Set();
+  const unmatched = jobUnmatched(job);
+  let stored = 0;
+
+  await forEachClaimBatch(job.id, job.total, (batch) => {
+    for (const { index, claim } of batch) {
+      stored++;
+
+      if (unmatched[index]) {
+        report.unmatched++;
+        continue;
+      }
+      if (claim.error) {
+        report.failed++;
+        continue;
+      }
+
+      report.exported++;
+      if (claimFailure(claim)) report.incomplete++;
+
+      for (const id of sections) {
+        if (hasSectionData(claim[id])) report.sections[id]++;
+      }
+
+      (claim.contacts || []).forEach(contact => {
+        const key = personKey(contact);
+        if (key) contacts.add(key);
+      });
+      normalizeList(claim.personnel).forEach(person => {
+        const key = personKey(person);
+        if (key) personnel.add(key);
+      });
+
+      for (const file of claim.files || []) {
+        report.files++;
+        const size = Number(file.size);
+        if (Number.isFinite(size) && size > 0) report.fileBytes += size;
+        if (file.stored) report.storedFiles++;
+      }
+    }
+  });
+
+  report.notFetched = job.total - stored;
+  report.contacts = contacts.size;
+  report.personnel = personnel.size;
+  return report;
+}
+
+/**
+ * Does a claim have anything in this section? Missing, empty lists and
+ * empty objects don't count.
+ */
+function hasSectionData(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object') return Object.keys(value).length > 0;
+  return false;
+}
+
+/**
+ * The same person across claims: by email, then id, then name
+ */
+function personKey(person) {
+  if (!person || typeof person !== 'object') return null;
+
+  const email = pickValue(person, ['email', 'person.email']);
+  if (email) return `email:${String(email).trim().toLowerCase()}`;
+
+  const id = pickValue(person, ['uuid', 'id', 'person.uuid', 'person.id']);
+  if (id != null) return `id:${id}`;
+
+  const name = [
+    pickValue(person, ['firstName', 'person.firstName']),
+    pickValue(person, ['lastName', 'person.lastName'])
+  ].filter(Boolean).join(' ') || pickValue(person, ['name', 'person.name']);
+  return name ? `name:${String(name).trim().toLowerCase()}` : null;
+}
+
+/**
+ * CSV with one line per input row (or per claim, for jobs that didn't come
+ * from a CSV): the value it named the claim by, its row, the outcome and
+ * the claim it became. Lines are in input order.
+ */
+async function buildReconciliationBlob(job) {
+  const input = await loadJobInput(job.id);
+  const skipped = [...input.skipped].sort((a, b) => a.row - b.row);
+  const parts = [csvLine(['input', 'row', 'outcome', 'fileNumber', 'claimId', 'detail'])];
+  let next = 0;
+
+  // Skipped rows that come before the given row number
+  const skippedBefore = (row) => {
+    while (next < skipped.length && (row == null || skipped[next].row < row)) {
+      const line = skipped[next++];
+      parts.push(csvLine([line.fileNumber, line.row, SKIPPED_ROW_OUTCOMES[line.reason] || line.reason, '', '', '']));
+    }
+  };
+
+  for (let start = 0; start < job.total; start += LOAD_BATCH_SIZE) {
+    const indexes = [];
+    for (let i = start; i < Math.min(start + LOAD_BATCH_SIZE, job.total); i++) indexes.push(i);
+    const stored = await loadRecords(indexes.map(i => claimStorageKey(job.id, i)), job.id);
+
+    for (const i of indexes) {
+      const row = input.rowNumbers[i] ?? null;
+      if (row != null) skippedBefore(row);
+
+      const claim = stored[claimStorageKey(job.id, i)];
+      const outcome = claimOutcome(job, i, claim);
+      parts.push(csvLine([
+        job.fileNumbers[i],
+        row ?? '',
+        outcome.outcome,
+        claim && !claim.error ? claim.fileNumber : '',
+        claim && !claim.error ? claim.claimId ?? '' : '',
+        outcome.detail
+      ]));
+    }
+  }
+
+  skippedBefore(null);
+  return new Blob(['\uFEFF', ...parts], { type: 'text/csv' });
+}
+
+/**
+ * { outcome, detail } of claim i of the job
+ */
+function claimOutcome(job, i, claim) {
+  if (!claim) {
+    return { outcome: 'not fetched', detail: job.state === 'complete' ? '' : 'The export did not finish' };
+  }
+
+  const status = jobUnmatched(job)[i];
+  if (status) {
+    return { outcome: status === 'notFound' ? 'not found' : 'ambiguous', detail: claim.error || '' };
+  }
+
+  if (claim.error) {
+    return { outcome: 'failed', detail: claim.error };
+  }
+
+  const failure = claimFailure(claim);
+  if (failure) {
+    return { outcome: 'incomplete', detail: `Missing: ${failure.failedSections.join(', ')}` };
+  }
+
+  const notes = [claim.changeStatus, claim.matchChosen ? 'match chosen' : null].filter(Boolean);
+  return { outcome: 'exported', detail: notes.join(', ') };
+}
+
+function formatReportBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
@@ -0,0 +1,233 @@
+/**
+ * Claims Data Exporter - Export Stream
+ * Writes a job's claims to a folder on disk while the job runs (File System
+ * Access API), so the backup is on disk as it goes and a large export never
+ * has to be assembled in memory. The folder is picked once in the popup and
+ * its handle kept in IndexedDB (blob-store.js), where the service worker
+ * finds it.
+ *
+ * Each job writes into a subfolder of its own (job.stream.folder):
+ *   claims.ndjson           - layout 'ndjson': a line { index, claim } per
+ *                             claim, appended as claims finish. A claim
+ *                             fetched again (resume, retry) gets another
+ *                             line; the last line for an index counts.
+ *   claims/<n>-<file>.json  - layout 'files': a file per claim, replaced
+ *                             when the claim is fetched again
+ *   export-info.json        - written when the job finishes
+ *
+ * Claims are written as stored, not redacted. Jobs that encrypt at rest
+ * don't stream. Loaded by the service worker (writes) and the popup
+ * (folder choice).
+ */
+
+// Key of the output folder's handle in the handles store
+const OUTPUT_FOLDER_KEY = 'outputFolder';
+
+const STREAM_LAYOUTS = {
+  ndjson: 'One NDJSON file (a line per claim)',
+  files: 'One JSON file per claim'
+};
+
+const STREAM_NDJSON_NAME = 'claims.ndjson';
+const STREAM_CLAIMS_FOLDER = 'claims';
+const STREAM_INFO_NAME = 'export-info.json';
+
+// What's written is committed, and job.stream.committed saved, every this
+// many claims and when the run ends. Reopening the NDJSON file for every
+// claim would copy the whole file each time.
+const STREAM_COMMIT_CLAIMS = 50;
+
+// Characters file and folder names can't have
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|\x00-\x1f]+/g;
+
+/**
+ * Let the user pick the output folder and remember it. Needs a click.
+ */
+async function chooseOutputFolder() {
+  const folder = await showDirectoryPicker({ id: 'claims-export', mode: 'readwrite' });
+  await putHandle(OUTPUT_FOLDER_KEY, folder);
+  return folder;
+}
+
+async function loadOutputFolder() {
+  return (await getHandle(OUTPUT_FOLDER_KEY)) || null;
+}
+
+/**
+ * Can the folder be written to? Only a page can ask, after a click; the
+ * service worker can just check.
+ */
+async function hasFolderPermission(folder, ask = false) {
+  const options = { mode: 'readwrite' };
+  if (await folder.queryPermission(options) === 'granted') return true;
+  return ask && await folder.requestPermission(options) === 'granted';
+}
+
+function safeFilename(name) {
+  return String(name).replace(UNSAFE_FILENAME_CHARS, '-').trim().slice(0, 80) || 'export';
+}
+
+/**
+ * The job's subfolder: its name, and its id so two jobs never share one
+ */
+function streamFolderName(job) {
+  return `${safeFilename(job.name)} (${job.id})`;
+}
+
+/**
+ * A writer for one run of a job:
+ * {
+ *   write(index, claim) - write a claim as it's saved
+ *   finish(job)         - commit, then write export-info.json for the
+ *                         finished job
+ *   close()             - commit what's written, when the run ends
+ * }
+ * Writes go one at a time, as claims finishing together would otherwise
+ * append at once. Claims up to job.stream.committed are known to be on
+ * disk; the ones after it are written again from storage when the stream
+ * opens, as a worker that stopped (or a stream that failed) mid-run may
+ * have lost them. Throws if there is no folder or it can't be written to.
+ *
+ * @param {function} onCommit - called with the new job.stream.committed
+ */
+async function openExportStream(job, onCommit) {
+  const root = await loadOutputFolder();
+  if (!root) {
+    throw new Error('No output folder chosen');
+  }
+  if (!(await hasFolderPermission(root))) {
+    throw new Error(`No permission to write to ${root.name}. Open the job in the extension and resume it to allow it again.`);
+  }
+
+  const folder = await root.getDirectoryHandle(job.stream.folder, { create: true });
+  const stream = job.stream.layout === 'files'
+    ? claimFileWriter(folder, job)
+    : ndjsonWriter(folder);
+
+  let committed = job.stream.committed || 0;
+  // Indexes past `committed` that are on disk, and those written since the last commit
+  const onDisk = new Set();
+  let pending = new Set();
+
+  const commit = async () => {
+    await stream.close();
+    if (pending.size === 0) return;
+
+    pending.forEach(index => onDisk.add(index));
+    pending = new Set();
+    while (onDisk.has(committed)) {
+      onDisk.delete(committed);
+      committed++;
+    }
+    await onCommit(committed);
+  };
+
+  const write = async (index, claim) => {
+    await stream.write(index, claim);
+    pending.add(index);
+    if (pending.size >= STREAM_COMMIT_CLAIMS) await commit();
+  };
+
+  for (let start = committed; start < job.completedCount; start += LOAD_BATCH_SIZE) {
+    const end = Math.min(start + LOAD_BATCH_SIZE, job.completedCount);
+    const keys = [];
+    for (let i = start; i < end; i++) keys.push(claimStorageKey(job.id, i));
+    const stored = await loadRecords(keys, job.id);
+
+    for (let i = start; i < end; i++) {
+      const claim = stored[claimStorageKey(job.id, i)];
+      if (claim) await write(i, claim);
+    }
+  }
+  await commit();
+
+  let queue = Promise.resolve();
+  const serialize = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    write: (index, claim) => serialize(() => write(index, claim)),
+    finish: (finished) => serialize(async () => {
+      await commit();
+      await writeTextFile(folder, STREAM_INFO_NAME, JSON.stringify(streamInfo(finished), null, 2));
+    }),
+    close: () => serialize(commit)
+  };
+}
+
+/**
+ * Appends to claims.ndjson through one writable, which close() commits
+ */
+function ndjsonWriter(folder) {
+  let writable = null;
+
+  return {
+    async write(index, claim) {
+      if (!writable) {
+        const handle = await folder.getFileHandle(STREAM_NDJSON_NAME, { create: true });
+        const { size } = await handle.getFile();
+        writable = await handle.createWritable({ keepExistingData: true });
+        await writable.seek(size);
+      }
+      await writable.write(JSON.stringify({ index, claim }) + '\n');
+    },
+
+    async close() {
+      if (!writable) return;
+      const done = writable;
+      writable = null;
+      await done.close();
+    }
+  };
+}
+
+/**
+ * Writes each claim to claims/, named by its position and the value the
+ * job was given for it, so a claim fetched again replaces its file
+ */
+function claimFileWriter(folder, job) {
+  let claims = null;
+
+  return {
+    async write(index, claim) {
+      claims = claims || await folder.getDirectoryHandle(STREAM_CLAIMS_FOLDER, { create: true });
+      const name = `${String(index + 1).padStart(5, '0')}-${safeFilename(job.fileNumbers[index] ?? claim.fileNumber)}.json`;
+      await writeTextFile(claims, name, JSON.stringify(claim, null, 2));
+    },
+
+    async close() {}
+  };
+}
+
+async function writeTextFile(folder, name, text) {
+  const handle = await folder.getFileHandle(name, { create: true });
+  const writable = await handle.createWritable();
+  try {
+    await writable.write(text);
+    await writable.close();
+  } catch (error) {
+    await writable.abort().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * export-info.json: what the folder holds
+ */
+function streamInfo(job) {
+  return {
+    name: job.name,
+    date: new Date().toISOString(),
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    version: chrome.runtime.getManifest().version,
+    platform: job.platform || 'claimwizard',
+    sections: jobSections(job),
+    layout: job.stream.layout,
+    totalClaims: job.total,
+    failedClaims: Object.keys(job.failures || {}).length,
+    unmatchedClaims: Object.keys(jobUnmatched(job)).length
+  };
+}
@@ -0,0 +1,433 @@
+/**
+ * Claims Data Exporter - Table Export
+ * Flattens the stored claims into one relational table per entity and writes
+ * them out as a ZIP of CSV files or as a multi-sheet XLSX workbook.
+ *
+ * Works in two passes over the exportedClaim_N keys, one batch at a time:
+ *   1. collect the column names every table needs
+ *   2. write each batch's rows as small Blobs per table
+ * so only one batch of claims (plus the column lists) is in memory at once.
+ */
+
+// Every row in every table starts with these, so tables can be joined back
+// to their claim
+const TABLE_KEY_COLUMNS = ['fileNumber', 'claimId'];
+
+// Nested objects deeper than this are written as JSON text in a single cell
+const FLATTEN_MAX_DEPTH = 3;
+
+// Excel's hard limits
+const XLSX_MAX_ROWS = 1048576;
+const XLSX_MAX_CELL_CHARS = 32767;
+
+// Spreadsheet apps run a cell starting with one of these as a formula,
+// unless it's just a signed number (a ledger amount, say)
+const CSV_FORMULA_START = /^[=+\-@]/;
+const CSV_NUMERIC_TEXT = /^[+-]?\d[\d.,]*$/;
+
+// Sections already broken out into their own tables, so they're left off
+// the flattened claim row
+const CLAIM_ROW_EXCLUDED_FIELDS = ['propcontacts', 'personnel', 'phases'];
+
+const EXPORT_TABLES = [
+  { name: 'claims', rows: claim => [claimTableRow(claim)] },
+  { name: 'contacts', rows: claim => asRowArray(claim.contacts) },
+  { name: 'personnel', rows: claim => asRowArray(claim.personnel) },
+  { name: 'externalPersonnel', rows: claim => asRowArray(claim.externalPersonnel) },
+  { name: 'insurance', rows: claim => asRowArray(claim.insurance) },
+  { name: 'mortgages', rows: claim => asRowArray(claim.mortgages) },
+  { name: 'ledger', rows: claim => asRowArray(claim.ledger) },
+  { name: 'ledgerInvoices', rows: claim => asRowArray(claim.ledgerInvoices) },
+  { name: 'notes', rows: claim => asRowArray(claim.notes) },
+  { name: 'actionItems', rows: claim => asRowArray(claim.actionItems) },
+  { name: 'activity', rows: claim => asRowArray(claim.activity) },
+  { name: 'files', rows: claim => asRowArray(claim.files) }
+];
+
+// Download formats, offered on the popup's final step and by scheduled
+// backups. The JSON and ZIP builders are in export-builder.js.
+const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', build: buildJsonBlob },
+  delta: { label: 'JSON delta', extension: 'delta.json', build: buildDeltaJsonBlob },
+  normalized: { label: 'Normalized JSON', extension: 'normalized.json', build: buildNormalizedJsonBlob },
+  zip: { label: 'ZIP', extension: 'zip', build: buildZipBlob },
+  csv: { label: 'CSV tables', extension: 'csv.zip', build: buildCsvTablesBlob },
+  xlsx: { label: 'Excel workbook', extension: 'xlsx', build: buildXlsxBlob }
+};
+
+/**
+ * Build a ZIP containing one CSV per table.
+ *
+ * @param {object} [options]
+ * @param {object} [options.redactor] - see buildJsonBlob
+ */
+async function buildCsvTablesBlob(job, isPartial = false, options = {}) {
+  const tables = await buildTableParts(job, {
+    header: columns => csvLine(columns),
+    row: (values) => csvLine(values)
+  }, options.redactor);
+
+  const zip = createZipWriter();
+  for (const table of tables) {
+    // BOM so Excel opens the CSV as UTF-8
+    const blob = new Blob(['\uFEFF', table.header, ...table.parts], { type: 'text/csv' });
+    await addZipEntry(zip, `${table.name}.csv`, blob);
+  }
+
+  return finishZip(zip);
+}
+
+/**
+ * CSV of the claims in the job's retry queue: one row per failed section or
+ * file, with the error message that was recorded for it. Claims left out
+ * because their search had no single exact match get a 'match' row.
+ */
+async function buildFailureReportBlob(job) {
+  const failures = job.failures || {};
+  const indexes = Object.keys(failures).map(Number).sort((a, b) => a - b);
+  const parts = [csvLine(['fileNumber', 'section', 'error'])];
+
+  for (let start = 0; start < indexes.length; start += LOAD_BATCH_SIZE) {
+    const batch = indexes.slice(start, start + LOAD_BATCH_SIZE);
+    const stored = await loadRecords(batch.map(i => claimStorageKey(job.id, i)), job.id);
+
+    for (const i of batch) {
+      const failure = failures[i];
+      const claim = stored[claimStorageKey(job.id, i)] || {};
+
+      if (failure.error) {
+        parts.push(csvLine([failure.fileNumber, 'claim', failure.error]));
+      }
+      for (const [section, error] of Object.entries(claim.sectionErrors || {})) {
+        parts.push(csvLine([failure.fileNumber, section, error]));
+      }
+      for (const file of claim.files || []) {
+        if (file.downloadError) {
+          parts.push(csvLine([failure.fileNumber, `file: ${file.filename || file.key}`, file.downloadError]));
+        }
+      }
+    }
+  }
+
+  // Searches with no single exact match, and what they did find
+  const issues = Object.entries(await loadLookupIssues(job)).sort(([a], [b]) => Number(a) - Number(b));
+  for (const [, issue] of issues) {
+    const found = issue.candidates.map(candidate => candidate.fileNumber).filter(Boolean).join(', ');
+    parts.push(csvLine([
+      issue.value,
+      'match',
+      issue.status === 'notFound' ? 'No claims found' : `No single exact match; found ${found}`
+    ]));
+  }
+
+  return new Blob(['\uFEFF', ...parts], { type: 'text/csv' });
+}
+
+/**
+ * CSV of the claims that failed schema validation (see validateStoredClaims):
+ * one row per problem.
+ */
+function buildSchemaReportBlob(report) {
+  const parts = [csvLine(['fileNumber', 'problem'])];
+  for (const claim of report.invalid) {
+    for (const error of claim.errors) {
+      parts.push(csvLine([claim.fileNumber, error]));
+    }
+  }
+  return new Blob(['\uFEFF', ...parts], { type: 'text/csv' });
+}
+
+/**
+ * Build an XLSX workbook with one sheet per table.
+ * Uses inline strings, so no shared-string table has to be held in memory.
+ *
+ * @param {object} [options]
+ * @param {object} [options.redactor] - see buildJsonBlob
+ * @param {function} [options.onTruncated] - called with [{ name, rowCount,
+ *   totalRows }] for the sheets cut off at Excel's row limit
+ */
+async function buildXlsxBlob(job, isPartial = false, options = {}) {
+  const tables = await buildTableParts(job, {
+    header: columns => xlsxRow(1, columns),
+    row: (values, rowNumber) => xlsxRow(rowNumber, values),
+    maxRows: XLSX_MAX_ROWS - 1
+  }, options.redactor);
+
+  const truncated = tables.filter(t => t.truncated);
+  if (truncated.length > 0 && options.onTruncated) {
+    options.onTruncated(truncated.map(({ name, rowCount, totalRows }) => ({ name, rowCount, totalRows })));
+  }
+
+  const zip = createZipWriter();
+
+  await addZipEntry(zip, '[Content_Types].xml', xlsxContentTypes(tables));
+  await addZipEntry(zip, '_rels/.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>');
+  await addZipEntry(zip, 'xl/workbook.xml', xlsxWorkbook(tables));
+  await addZipEntry(zip, 'xl/_rels/workbook.xml.rels', xlsxWorkbookRels(tables));
+
+  for (let t = 0; t < tables.length; t++) {
+    const table = tables[t];
+    const sheet = new Blob([
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>',
+      table.header,
+      ...table.parts,
+      '</sheetData></worksheet>'
+    ]);
+    await addZipEntry(zip, `xl/worksheets/sheet${t + 1}.xml`, sheet);
+  }
+
+  return finishZip(zip);
+}
+
+/**
+ * Run both passes over storage and return, per table, its columns and the
+ * Blob parts holding its serialized rows. Rows past writer.maxRows are
+ * counted in totalRows but not written, and the table marked truncated.
+ *
+ * @param {object} job - the saved job
+ * @param {object} writer - { header(columns), row(values, rowNumber), maxRows }
+ * @param {object} [redactor] - applied to each claim (export-redaction.js)
+ */
+async function buildTableParts(job, writer, redactor = null) {
+  const count = job.completedCount;
+
+  // Pass 1: discover columns, in first-seen order
+  const columnSets = EXPORT_TABLES.map(() => new Set(TABLE_KEY_COLUMNS));
+
+  await forEachClaimBatch(job.id, count, async (batch) => {
+    for (const { claim: stored } of batch) {
+      // Counted in the redaction report on the second pass only
+      const claim = redactor ? await redactor.redact(stored, false) : stored;
+      EXPORT_TABLES.forEach((table, t) => {
+        for (const row of tableRowsFor(table, claim)) {
+          Object.keys(row).forEach(col => columnSets[t].add(col));
+        }
+      });
+    }
+  });
+
+  const tables = EXPORT_TABLES.map((table, t) => {
+    const columns = [...columnSets[t]];
+    return {
+      name: table.name,
+      columns,
+      header: writer.header(columns),
+      parts: [],
+      rowCount: 0,
+      totalRows: 0,
+      truncated: false
+    };
+  });
+
+  // Pass 2: write rows batch by batch
+  await forEachClaimBatch(job.id, count, async (batch) => {
+    const batchStrings = tables.map(() => '');
+
+    for (const { claim: stored } of batch) {
+      const claim = redactor ? await redactor.redact(stored) : stored;
+      EXPORT_TABLES.forEach((table, t) => {
+        const out = tables[t];
+        for (const row of tableRowsFor(table, claim)) {
+          out.totalRows++;
+          if (writer.maxRows && out.rowCount >= writer.maxRows) {
+            out.truncated = true;
+            continue;
+          }
+          out.rowCount++;
+          batchStrings[t] += writer.row(out.columns.map(col => row[col]), out.rowCount + 1);
+        }
+      });
+    }
+
+    batchStrings.forEach((str, t) => {
+      if (str.length > 0) tables[t].parts.push(new Blob([str]));
+    });
+  });
+
+  return tables;
+}
+
+/**
+ * Flattened rows of one table for one claim, each prefixed with the claim keys
+ */
+function tableRowsFor(table, claim) {
+  return table.rows(claim).map(record => ({
+    ...flattenRecord(record),
+    fileNumber: claim.fileNumber,
+    claimId: claim.claimId
+  }));
+}
+
+/**
+ * The single row describing a claim in the "claims" table
+ */
+function claimTableRow(claim) {
+  const fullClaimData = { ...(claim.fullClaimData || {}) };
+  CLAIM_ROW_EXCLUDED_FIELDS.forEach(field => delete fullClaimData[field]);
+
+  return {
+    claimUuid: claim.claimUuid,
+    error: claim.error,
+    phases: claim.phases,
+    ...flattenRecord(claim.claimDetails || {}, 'search'),
+    ...flattenRecord(fullClaimData, 'claim')
+  };
+}
+
+/**
+ * Sections are usually arrays, but some endpoints return a single object
+ */
+function asRowArray(value) {
+  if (Array.isArray(value)) return value.filter(v => v && typeof v === 'object');
+  if (value && typeof value === 'object') return [value];
+  return [];
+}
+
+/**
+ * Flatten nested objects into dotted column names:
+ *   { address: { city: 'X' } } -> { 'address.city': 'X' }
+ * Arrays, and anything deeper than FLATTEN_MAX_DEPTH, become JSON text.
+ */
+function flattenRecord(value, prefix = '', out = {}, depth = 0) {
+  if (value === null || value === undefined) {
+    if (prefix) out[prefix] = '';
+    return out;
+  }
+
+  if (typeof value !== 'object') {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+
+  if (Array.isArray(value) || depth >= FLATTEN_MAX_DEPTH) {
+    if (prefix) out[prefix] = JSON.stringify(value);
+    return out;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    flattenRecord(child, prefix ? `${prefix}.${key}` : key, out, depth + 1);
+  }
+  return out;
+}
+
+/**
+ * One CSV line of a download, quoting fields that need it
+ */
+function csvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+/**
+ * One CSV line holding the values exactly as given, for CSV text that is
+ * read back rather than opened in a spreadsheet (see readClaimsReport)
+ */
+function rawCsvLine(values) {
+  return values.map(value => csvQuote(csvText(value))).join(',') + '\r\n';
+}
+
+/**
+ * Text starting like a formula is prefixed with ' so spreadsheet apps show
+ * it instead of running it. Numbers are left alone, negatives included.
+ */
+function csvField(value) {
+  let str = csvText(value);
+  if (typeof value === 'string' && CSV_FORMULA_START.test(str) && !CSV_NUMERIC_TEXT.test(str)) {
+    str = `'${str}`;
+  }
+  return csvQuote(str);
+}
+
+function csvText(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function csvQuote(str) {
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * One <row> of sheet XML. Numbers are written as numeric cells,
+ * everything else as inline strings.
+ */
+function xlsxRow(rowNumber, values) {
+  let xml = `<row r="${rowNumber}">`;
+  values.forEach((value, c) => {
+    if (value === null || value === undefined || value === '') return;
+    const ref = xlsxColumnName(c) + rowNumber;
+
+    if (typeof value === 'number' && isFinite(value)) {
+      xml += `<c r="${ref}"><v>${value}</v></c>`;
+    } else {
+      let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      if (str.length > XLSX_MAX_CELL_CHARS) str = str.slice(0, XLSX_MAX_CELL_CHARS);
+      xml += `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(str)}</t></is></c>`;
+    }
+  });
+  return xml + '</row>';
+}
+
+/**
+ * 0 -> A, 25 -> Z, 26 -> AA, ...
+ */
+function xlsxColumnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+function xmlEscape(str) {
+  return str
+    // Control characters aren't allowed in XML at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xlsxContentTypes(tables) {
+  const sheets = tables.map((_, t) =>
+    `<Override PartName="/xl/worksheets/sheet${t + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    sheets +
+    '</Types>';
+}
+
+function xlsxWorkbook(tables) {
+  const sheets = tables.map((table, t) =>
+    `<sheet name="${xmlEscape(table.name.slice(0, 31))}" sheetId="${t + 1}" r:id="rId${t + 1}"/>`
+  ).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets>${sheets}</sheets></workbook>`;
+}
+
+function xlsxWorkbookRels(tables) {
+  const rels = tables.map((_, t) =>
+    `<Relationship Id="rId${t + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${t + 1}.xml"/>`
+  ).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    rels +
+    '</Relationships>';
+}
@@ -0,0 +1,162 @@
+/**
+ * Claims Data Exporter - Fetch Proxy
+ * The export engine runs in the service worker, but its requests have to
+ * carry the user's session on the platform, so they are sent from a tab on
+ * the platform instead: content-script.js runs the fetch() there and streams
+ * the response back in chunks.
+ *
+ * If that tab navigates, reloads or is closed, the next request looks for it
+ * (or another tab on the platform) again, and opens one in the background as
+ * a last resort. Requests that fail in between are retried by fetchWithRetry.
+ */
+
+// Pings to wait for a tab's content script, one a second. A tab that is
+// just loading gets the longer wait.
+const PROXY_LOADING_ATTEMPTS = 30;
+const PROXY_READY_ATTEMPTS = 3;
+
+const fetchProxy = {
+  adapter: null,
+  tabId: null,
+  openedTabId: null,  // tab the proxy opened itself, closed when the job ends
+  ready: null         // Promise of the tab id, shared by concurrent requests
+};
+
+/**
+ * Send requests for this platform, preferably from the given tab
+ */
+function setProxyPlatform(adapter, tabId = null) {
+  fetchProxy.adapter = adapter;
+  fetchProxy.tabId = tabId;
+  fetchProxy.ready = null;
+}
+
+/**
+ * fetch() from the platform tab. Resolves with a Response like fetch() does,
+ * and rejects if the tab can't be reached.
+ */
+async function proxyFetch(url, init = {}) {
+  const tabId = await proxyTab();
+  const head = await sendToProxy(tabId, { action: 'proxyFetch', url, init });
+  return proxyResponse(tabId, head);
+}
+
+/**
+ * Close the tab the proxy opened, if any, once the job no longer needs it
+ */
+function releaseProxyTab() {
+  if (fetchProxy.openedTabId !== null) {
+    chrome.tabs.remove(fetchProxy.openedTabId, () => void chrome.runtime.lastError);
+  }
+  fetchProxy.openedTabId = null;
+  fetchProxy.ready = null;
+}
+
+function proxyTab() {
+  if (!fetchProxy.ready) {
+    fetchProxy.ready = findProxyTab().catch((error) => {
+      fetchProxy.ready = null;
+      throw error;
+    });
+  }
+  return fetchProxy.ready;
+}
+
+/**
+ * The tab the job was started from if it's still on the platform, then any
+ * other tab on it, then a new background tab
+ */
+async function findProxyTab() {
+  const adapter = fetchProxy.adapter;
+  if (!adapter) {
+    throw new Error('No platform to send requests to');
+  }
+
+  const tabs = await chrome.tabs.query({ url: adapterHostPatterns(adapter) });
+  const candidates = tabs.map(tab => tab.id);
+  if (fetchProxy.tabId !== null) {
+    candidates.sort((a, b) => (b === fetchProxy.tabId) - (a === fetchProxy.tabId));
+  }
+
+  for (const tabId of candidates) {
+    const attempts = tabId === fetchProxy.tabId ? PROXY_LOADING_ATTEMPTS : PROXY_READY_ATTEMPTS;
+    if (await waitForProxy(tabId, attempts)) {
+      fetchProxy.tabId = tabId;
+      return tabId;
+    }
+  }
+
+  console.log(`🌐 Opening ${adapter.name} in a background tab`);
+  const tab = await chrome.tabs.create({ url: adapter.origin, active: false });
+  fetchProxy.openedTabId = tab.id;
+  if (await waitForProxy(tab.id, PROXY_LOADING_ATTEMPTS)) {
+    fetchProxy.tabId = tab.id;
+    return tab.id;
+  }
+
+  throw new Error(`Could not reach ${adapter.name}. Open it in a tab and sign in, then resume the export.`);
+}
+
+/**
+ * Ping the tab's content script until it answers (it isn't there until
+ * the page has loaded)
+ */
+async function waitForProxy(tabId, attempts) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    try {
+      const response = await sendToProxy(tabId, { action: 'ping' });
+      if (response.ready) return true;
+    } catch (error) {
+      // Not loaded yet
+    }
+    await sleep(1000);
+  }
+  return false;
+}
+
+function sendToProxy(tabId, message) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        // The tab went away or navigated; find it again on the next request
+        if (fetchProxy.tabId === tabId) fetchProxy.ready = null;
+        reject(new Error(`Lost the connection to the ${fetchProxy.adapter?.name || 'platform'} tab`));
+      } else if (response.error) {
+        reject(new Error(response.error));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+// Statuses whose Response can't have a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Rebuild a Response from the proxy's reply. The first chunk of the body
+ * comes with the headers; the rest is read from the tab as it's consumed.
+ */
+function proxyResponse(tabId, head) {
+  let pending = head;
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      const chunk = pending || await sendToProxy(tabId, { action: 'proxyRead', streamId: head.streamId });
+      pending = null;
+
+      const bytes = base64ToBytes(chunk.body);
+      if (bytes.length > 0) controller.enqueue(bytes);
+      if (chunk.done) controller.close();
+    },
+    cancel() {
+      sendToProxy(tabId, { action: 'proxyCancel', streamId: head.streamId }).catch(() => {});
+    }
+  });
+
+  return new Response(NULL_BODY_STATUSES.includes(head.status) ? null : body, {
+    status: head.status,
+    statusText: head.statusText,
+    headers: head.headers
+  });
+}
@@ -0,0 +1,116 @@
+/**
+ * Claims Data Exporter - HTTP Client
+ * Every request the export makes goes through fetchWithRetry, which retries
+ * transient failures (network errors, 429, 5xx) with exponential backoff and
+ * honors the server's Retry-After header. Each attempt waits its turn in the
+ * shared rate limiter (rate-limiter.js) and is sent from the platform tab
+ * (fetch-proxy.js).
+ */
+
+const RETRY_MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 60000;
+
+// 408 Request Timeout and 429 Too Many Requests are worth retrying;
+// any other 4xx means the request itself is wrong
+const RETRYABLE_STATUSES = [408, 429];
+
+/**
+ * fetch() with retries. Resolves with the successful Response, or throws an
+ * Error carrying `status` (0 for network errors), `retryable` and `attempts`.
+ *
+ * @param {string} url
+ * @param {object} init - fetch options
+ * @param {string} label - used in error messages, e.g. "API call failed: 500"
+ */
+async function fetchWithRetry(url, init, label = 'Request') {
+  for (let attempt = 1; ; attempt++) {
+    let response;
+
+    try {
+      response = await limitRequest(requestLimiter, () => {
+        // Requests queued in the limiter don't go out once the export is paused
+        throwIfExportStopped();
+        return proxyFetch(url, init);
+      });
+    } catch (error) {
+      if (error.exportStopped) throw error;
+
+      // fetch() only rejects on network-level failures, and the proxy when
+      // it loses the tab
+      if (attempt >= RETRY_MAX_ATTEMPTS) {
+        throw requestError(`${label} failed: network error (${error.message})`, 0, true, attempt);
+      }
+      const wait = backoffDelay(attempt);
+      console.warn(`${label}: network error, retrying in ${Math.round(wait / 1000)}s (attempt ${attempt})`);
+      await sleep(wait);
+      continue;
+    }
+
+    if (response.ok) return response;
+
+    // The body isn't read, so let the tab release it (see fetch-proxy.js)
+    discardBody(response);
+
+    const retryable = isRetryableStatus(response.status);
+    if (!retryable || attempt >= RETRY_MAX_ATTEMPTS) {
+      throw requestError(
+        `${label} failed: ${response.status} ${response.statusText}`.trim(),
+        response.status,
+        retryable,
+        attempt
+      );
+    }
+
+    // Let the shared limiter ease off for every other request too
+    if (response.status === 429 || response.status === 503) {
+      reportThrottled(requestLimiter);
+    }
+
+    const wait = retryAfterDelay(response) ?? backoffDelay(attempt);
+    console.warn(`${label}: ${response.status}, retrying in ${Math.round(wait / 1000)}s (attempt ${attempt})`);
+    await sleep(wait);
+  }
+}
+
+function discardBody(response) {
+  if (response.body) response.body.cancel().catch(() => {});
+}
+
+function isRetryableStatus(status) {
+  return status >= 500 || RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * 1s, 2s, 4s, 8s... capped, with jitter so parallel requests don't retry
+ * in lockstep
+ */
+function backoffDelay(attempt) {
+  const base = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return base / 2 + Math.random() * base / 2;
+}
+
+/**
+ * Milliseconds to wait according to a Retry-After header (seconds or an
+ * HTTP date), or null if there isn't a usable one
+ */
+function retryAfterDelay(response) {
+  const header = response.headers.get('Retry-After');
+  if (!header) return null;
+
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds)
+    ? seconds * 1000
+    : new Date(header).getTime() - Date.now();
+
+  if (!Number.isFinite(ms) || ms < 0) return null;
+  return Math.min(ms, RETRY_MAX_DELAY_MS);
+}
+
+function requestError(message, status, retryable, attempts) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  error.attempts = attempts;
+  return error;
+}
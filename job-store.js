@@ -0,0 +1,136 @@
+/**
+ * Claims Data Exporter - Job Store
+ * The export jobs kept side by side. Each job has an id, a name and its own
+ * claims (see the layout in claim-store.js); one job runs at a time, the
+ * others wait paused or stay finished until they are deleted.
+ *
+ * Storage:
+ *   exportJobs      - ids of every job
+ *   exportJob_<id>  - the job's info: { id, name, csvName, source, state,
+ *                     fileNumbers, total, completedCount, options such as
+ *                     sections and throttle, startedAt, updatedAt,
+ *                     finishedAt, ... } (see startExportJob)
+ *   activeJobId     - the job the popup and the claim browser show
+ *
+ * Loaded by the service worker, the popup and the viewer.
+ */
+
+const JOB_LIST_KEY = 'exportJobs';
+const ACTIVE_JOB_KEY = 'activeJobId';
+
+/**
+ * A new job id: 'j' and base-36 letters and digits, so it can sit inside
+ * storage keys (see JOB_KEY_GROUPS)
+ */
+function newJobId() {
+  return `j${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function jobRecordKey(jobId) {
+  return `exportJob_${jobId}`;
+}
+
+/**
+ * A job's info, or null if there is no such job
+ */
+async function loadExportJob(jobId) {
+  if (!jobId) return null;
+  const key = jobRecordKey(jobId);
+  const stored = await storageGet([key]);
+  return stored[key] || null;
+}
+
+/**
+ * Every job, newest first
+ */
+async function loadExportJobs() {
+  await migrateLegacyJob();
+  const { [JOB_LIST_KEY]: ids = [] } = await storageGet([JOB_LIST_KEY]);
+  const stored = await storageGet(ids.map(jobRecordKey));
+  return ids
+    .map(id => stored[jobRecordKey(id)])
+    .filter(Boolean)
+    .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+}
+
+/**
+ * The job the popup shows, or null
+ */
+async function loadActiveJob() {
+  await migrateLegacyJob();
+  const { [ACTIVE_JOB_KEY]: jobId } = await storageGet([ACTIVE_JOB_KEY]);
+  return loadExportJob(jobId);
+}
+
+function setActiveJob(jobId) {
+  return storageSet({ [ACTIVE_JOB_KEY]: jobId });
+}
+
+/**
+ * The job that is running, or about to be resumed, if any
+ */
+async function runningExportJob() {
+  const jobs = await loadExportJobs();
+  return jobs.find(job => job.state === 'running') || null;
+}
+
+/**
+ * Save a job's info, adding it to the list if it's new
+ */
+async function saveExportJob(job) {
+  job.updatedAt = Date.now();
+  await storageSet({ [jobRecordKey(job.id)]: job });
+
+  const { [JOB_LIST_KEY]: ids = [] } = await storageGet([JOB_LIST_KEY]);
+  if (!ids.includes(job.id)) {
+    await storageSet({ [JOB_LIST_KEY]: [...ids, job.id] });
+  }
+}
+
+/**
+ * Remove a job with its claims and files
+ */
+async function deleteExportJob(job) {
+  await removeJobData(job);
+
+  const { [JOB_LIST_KEY]: ids = [], [ACTIVE_JOB_KEY]: activeJobId } =
+    await storageGet([JOB_LIST_KEY, ACTIVE_JOB_KEY]);
+  await storageSet({ [JOB_LIST_KEY]: ids.filter(id => id !== job.id) });
+  await storageRemove(activeJobId === job.id
+    ? [jobRecordKey(job.id), ACTIVE_JOB_KEY]
+    : [jobRecordKey(job.id)]);
+}
+
+/**
+ * Name for a job that wasn't given one: the file it came from, or what
+ * it exported and when
+ */
+function defaultJobName(job) {
+  if (job.importedFrom) return job.importedFrom.filename;
+  if (job.csvName) return job.csvName;
+
+  const date = new Date(job.startedAt || Date.now()).toLocaleString();
+  return job.source === 'discovery' ? `All claims, ${date}` : `Export, ${date}`;
+}
+
+/**
+ * Older versions kept a single job under exportJob, with exportComplete
+ * set once it finished. Move it into the job list as LEGACY_JOB_ID; its
+ * claims stay where they are.
+ */
+async function migrateLegacyJob() {
+  const { exportJob, exportComplete } = await storageGet(['exportJob', 'exportComplete']);
+  if (!exportJob) return;
+
+  const job = {
+    ...exportJob,
+    id: LEGACY_JOB_ID,
+    name: defaultJobName(exportJob),
+    // Jobs saved before jobs had a state were either done or interrupted
+    state: exportJob.state || (exportComplete ? 'complete' : 'stopped')
+  };
+
+  await saveExportJob(job);
+  await setActiveJob(LEGACY_JOB_ID);
+  await storageRemove(['exportJob', 'exportComplete']);
+}
@@ -0,0 +1,23 @@
+/**
+ * Claims Data Exporter - Offscreen Document
+ * Makes object URLs for Blobs the service worker parked in the blob store,
+ * so it can save them with chrome.downloads. The URLs live as long as this
+ * document; the service worker closes it once the download has finished.
+ */
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return;
+
+  if (request.action === 'createBlobUrl') {
+    getBlob(request.key)
+      .then((blob) => {
+        if (!blob) throw new Error(`Nothing stored under ${request.key}`);
+        sendResponse({ success: true, url: URL.createObjectURL(blob) });
+      })
+      .catch((error) => {
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
+});
@@ -20,8 +20,37 @@ REQUIRED_FILES=(
   "popup.html"
   "popup.js"
   "content-script.js"
+  "export-engine.js"
+  "csv-parser.js"
+  "xlsx-reader.js"
+  "fetch-proxy.js"
+  "claim-discovery.js"
+  "http-client.js"
+  "rate-limiter.js"
+  "claim-store.js"
+  "job-store.js"
+  "export-crypto.js"
+  "export-builder.js"
+  "export-tables.js"
+  "export-redaction.js"
+  "export-import.js"
+  "export-report.js"
+  "viewer.html"
+  "viewer.js"
+  "zip-writer.js"
   "background.js"
+  "backup-schedule.js"
+  "blob-store.js"
+  "export-stream.js"
+  "offscreen.html"
+  "offscreen.js"
   "injected.js"
+  "schema-validator.js"
+  "claim-model.js"
+  "search-index.js"
+  "schema/export.schema.json"
+  "adapters/registry.js"
+  "adapters/claimwizard.js"
   "icons/icon16.png"
   "icons/icon48.png"
   "icons/icon128.png"
@@ -51,8 +80,36 @@ zip -r "$OUTPUT_FILE" \
   popup.html \
   popup.js \
   content-script.js \
+  export-engine.js \
+  csv-parser.js \
+  xlsx-reader.js \
+  fetch-proxy.js \
+  claim-discovery.js \
+  http-client.js \
+  rate-limiter.js \
+  claim-store.js \
+  job-store.js \
+  export-crypto.js \
+  export-builder.js \
+  export-tables.js \
+  export-redaction.js \
+  export-import.js \
+  export-report.js \
+  viewer.html \
+  viewer.js \
+  zip-writer.js \
   background.js \
+  backup-schedule.js \
+  blob-store.js \
+  export-stream.js \
+  offscreen.html \
+  offscreen.js \
   injected.js \
+  schema-validator.js \
+  claim-model.js \
+  search-index.js \
+  schema/ \
+  adapters/ \
   icons/ \
   README.md \
   -x "*.DS_Store" "*.git*" "*.sh" "test-*" "claimwizard-export-*"
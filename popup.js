@@ -2,69 +2,124 @@
 let uploadedFile = null;
 let currentStep = 1;
 
-// How long before we consider progress "stale" (page probably crashed)
-const STALE_THRESHOLD_MS = 30000; // 30 seconds
+// Where the claim list comes from: 'csv' (uploaded report) or 'discovery' (search)
+let exportSource = 'csv';
 
-// How many claims to load from storage at once during download
-const LOAD_BATCH_SIZE = 100;
+// The job the popup shows (see job-store.js); progress of other jobs is ignored
+let activeJobId = null;
+
+// Checkbox settings remembered between popup openings (element id = storage key)
+const SETTING_CHECKBOXES = ['testMode', 'includeFiles', 'incremental', 'encryptAtRest', 'streamToFolder', 'includeRawPayloads'];
+
+// Discovery filter inputs (element id -> filter name)
+const DISCOVERY_FILTER_INPUTS = {
+  discoveryQuery: 'query',
+  discoveryStatus: 'status',
+  discoveryType: 'type',
+  discoveryDateField: 'dateField',
+  discoveryDateFrom: 'dateFrom',
+  discoveryDateTo: 'dateTo'
+};
+
+// Result of the last schema validation, for the report download
+let lastSchemaReport = null;
+
+// Custom throttle inputs (element id = setting name)
+const THROTTLE_CUSTOM_INPUTS = ['claimsInFlight', 'maxConcurrentRequests', 'requestsPerMinute'];
+
+// CSV picked for scheduled backups ({ name, text }), kept until the schedule is saved
+let scheduleCsv = null;
+
+// The uploaded CSV as shown on the preview step ({ file, text, columns,
+// keyColumn, keyType, claims }), and the key values unticked there
+let csvPreview = null;
+let previewExcluded = new Set();
+
+// Rows drawn in the preview table; filtering narrows down the rest
+const PREVIEW_ROW_LIMIT = 200;
+
+// Values of the key column shown under the column picker
+const KEY_SAMPLE_COUNT = 3;
 
 document.addEventListener('DOMContentLoaded', async () => {
   // Load saved settings
-  const settings = await chrome.storage.local.get(['testMode']);
-  if (settings.testMode) document.getElementById('testMode').checked = true;
-
-  // Check current state: completed, in-progress, crashed, or error
-  const stored = await chrome.storage.local.get([
-    'exportComplete', 'exportProgress', 'exportError', 'exportJob'
+  const settings = await chrome.storage.local.get([
+    ...SETTING_CHECKBOXES, 'exportFormat', 'discoveryFilters', 'throttleProfile', 'throttleCustom',
+    'exportSections', 'redactionProfile', 'redactionCustom', 'streamLayout'
   ]);
-  
-  if (stored.exportComplete && stored.exportJob) {
-    // Export finished — show download step
-    goToStep(4);
-    showFinalStats({ claimCount: stored.exportJob.completedCount || stored.exportJob.total });
-  } else if (stored.exportProgress && stored.exportProgress.current != null) {
-    const timeSinceUpdate = Date.now() - (stored.exportProgress.timestamp || 0);
-    
-    if (timeSinceUpdate > STALE_THRESHOLD_MS && stored.exportJob) {
-      // Progress is stale — page probably crashed
-      goToStep(3);
-      updateProgress(
-        stored.exportProgress.current,
-        stored.exportProgress.total,
-        stored.exportProgress.status
-      );
-      showCrashRecovery(stored.exportJob);
-    } else {
-      // Export is actively running
-      goToStep(3);
-      updateProgress(
-        stored.exportProgress.current,
-        stored.exportProgress.total,
-        stored.exportProgress.status
-      );
-    }
-  } else if (stored.exportJob && stored.exportJob.completedCount > 0 && !stored.exportComplete) {
-    // Have a job with saved claims but not complete — crashed
+  SETTING_CHECKBOXES.forEach(id => {
+    if (settings[id]) document.getElementById(id).checked = true;
+  });
+  if (settings.discoveryFilters) {
+    for (const [id, name] of Object.entries(DISCOVERY_FILTER_INPUTS)) {
+      if (settings.discoveryFilters[name]) document.getElementById(id).value = settings.discoveryFilters[name];
+    }
+  }
+  if (settings.exportFormat) document.getElementById('exportFormat').value = settings.exportFormat;
+  if (settings.throttleProfile) document.getElementById('throttleProfile').value = settings.throttleProfile;
+  if (settings.throttleCustom) {
+    THROTTLE_CUSTOM_INPUTS.forEach(id => {
+      if (settings.throttleCustom[id] != null) document.getElementById(id).value = settings.throttleCustom[id];
+    });
+  }
+  updateThrottleCustomVisibility();
+  renderStreamOptions(settings.streamLayout);
+  renderSectionPicker(settings.exportSections);
+  renderRedactionOptions(settings.redactionProfile, settings.redactionCustom);
+
+  // Check current state: a new export being set up, the active job, or an error
+  const job = await loadActiveJob();
+  activeJobId = job ? job.id : null;
+  const stored = await chrome.storage.local.get(['exportProgress', 'exportError']);
+
+  if (stored.exportProgress && stored.exportProgress.current != null && !stored.exportProgress.jobId) {
+    // Discovery is building the claim list; the job doesn't exist yet
     goToStep(3);
     updateProgress(
-      stored.exportJob.completedCount,
-      stored.exportJob.total,
-      'Interrupted'
+      stored.exportProgress.current,
+      stored.exportProgress.total,
+      stored.exportProgress.status
     );
-    showCrashRecovery(stored.exportJob);
+  } else if (job && (job.state !== 'stopped' || job.completedCount > 0)) {
+    await showJob(job);
   } else if (stored.exportError) {
     goToStep(3);
     showProcessingError(stored.exportError);
     chrome.storage.local.remove(['exportError']);
   }
 
-  // Check if user is on ClaimWizard
-  checkClaimWizardStatus();
+  // Check if user is on a supported platform
+  checkPlatformStatus();
 
   // Step navigation
-  document.getElementById('nextToUpload').addEventListener('click', () => goToStep(2));
+  document.getElementById('nextToUpload').addEventListener('click', () => {
+    setExportSource('csv');
+    goToStep(2);
+  });
+  document.getElementById('useDiscovery').addEventListener('click', () => {
+    setExportSource('discovery');
+    goToStep(2);
+  });
   document.getElementById('backToPrepare').addEventListener('click', () => goToStep(1));
-  document.getElementById('startOver').addEventListener('click', startOver);
+
+  // Import a previously downloaded export
+  const importUpload = document.getElementById('importUpload');
+  document.getElementById('loadExport').addEventListener('click', () => importUpload.click());
+  importUpload.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) importPreviousExport(file);
+    importUpload.value = '';
+  });
+
+  // Decrypt a passphrase-protected download back to the original file
+  const decryptUpload = document.getElementById('decryptUpload');
+  document.getElementById('decryptFile').addEventListener('click', () => decryptUpload.click());
+  decryptUpload.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) decryptFile(file);
+    decryptUpload.value = '';
+  });
+  document.getElementById('startOver').addEventListener('click', exportAnother);
 
   // File upload
   const uploadArea = document.getElementById('uploadArea');
@@ -93,21 +148,142 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (file) handleFile(file);
   });
 
-  // Processing button
-  document.getElementById('startProcessing').addEventListener('click', startProcessing);
+  // Processing button: a CSV goes through the preview step first
+  document.getElementById('startProcessing').addEventListener('click', () => {
+    if (exportSource === 'csv') {
+      openPreview();
+    } else {
+      startProcessing();
+    }
+  });
+
+  // CSV preview
+  document.getElementById('keyColumn').addEventListener('change', (e) => {
+    applyKeyMapping({ column: e.target.value, keyType: keyTypeForHeader(e.target.value) });
+  });
+  document.getElementById('keyType').addEventListener('change', (e) => {
+    applyKeyMapping({ column: csvPreview.keyColumn, keyType: e.target.value });
+  });
+  document.getElementById('previewColumn').addEventListener('change', renderPreview);
+  document.getElementById('previewQuery').addEventListener('input', renderPreview);
+  document.getElementById('previewSelectAll').addEventListener('click', () => setPreviewMatchesSelected(true));
+  document.getElementById('previewClearAll').addEventListener('click', () => setPreviewMatchesSelected(false));
+  document.getElementById('previewRows').addEventListener('change', (e) => {
+    const fileNumber = e.target.dataset.fileNumber;
+    if (e.target.checked) {
+      previewExcluded.delete(fileNumber);
+    } else {
+      previewExcluded.add(fileNumber);
+    }
+    updatePreviewCount();
+  });
+  document.getElementById('previewBack').addEventListener('click', () => goToStep(2));
+  document.getElementById('startSelected').addEventListener('click', startProcessing);
 
   // Download button
-  document.getElementById('downloadJson').addEventListener('click', downloadJson);
+  document.getElementById('downloadExport').addEventListener('click', downloadExport);
+  document.getElementById('exportFormat').addEventListener('change', updateRawPayloadOption);
+  document.getElementById('redactionProfile').addEventListener('change', (e) => {
+    chrome.storage.local.set({ redactionProfile: e.target.value });
+    updateRedactionCustomVisibility();
+  });
+  document.getElementById('redactionCustom').addEventListener('change', () => {
+    chrome.storage.local.set({ redactionCustom: readRedactionRules() });
+  });
+  document.getElementById('encryptDownload').addEventListener('change', (e) => {
+    document.getElementById('encryptFields').classList.toggle('hidden', !e.target.checked);
+  });
+  document.getElementById('browseClaims').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL(`viewer.html?job=${activeJobId}`) });
+  });
+
+  // Option checkboxes (test mode, include files, incremental, encryption at rest, output folder, raw payloads)
+  SETTING_CHECKBOXES.forEach(id => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      chrome.storage.local.set({ [id]: e.target.checked });
+    });
+  });
+
+  // Output folder
+  document.getElementById('streamToFolder').addEventListener('change', updateStreamOptionsVisibility);
+  document.getElementById('streamLayout').addEventListener('change', (e) => {
+    chrome.storage.local.set({ streamLayout: e.target.value });
+  });
+  document.getElementById('chooseOutputFolder').addEventListener('click', async () => {
+    try {
+      showOutputFolder(await chooseOutputFolder());
+    } catch (error) {
+      // Closing the picker leaves the folder as it was
+      if (error.name !== 'AbortError') alert(error.message);
+    }
+  });
+
+  // Section picker
+  document.getElementById('sectionPicker').addEventListener('change', () => {
+    chrome.storage.local.set({ exportSections: readSections() });
+    updateIncludeFilesAvailable();
+  });
+
+  // Speed profile
+  document.getElementById('throttleProfile').addEventListener('change', (e) => {
+    chrome.storage.local.set({ throttleProfile: e.target.value });
+    updateThrottleCustomVisibility();
+  });
+  THROTTLE_CUSTOM_INPUTS.forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      chrome.storage.local.set({ throttleCustom: readThrottleChoice().custom });
+    });
+  });
 
-  // Test mode checkbox
-  document.getElementById('testMode').addEventListener('change', (e) => {
-    chrome.storage.local.set({ testMode: e.target.checked });
+  // Scheduled backups
+  document.getElementById('openSchedule').addEventListener('click', openSchedule);
+  document.getElementById('scheduleBack').addEventListener('click', () => goToStep(1));
+  document.getElementById('saveSchedule').addEventListener('click', saveSchedule);
+  document.getElementById('runBackupNow').addEventListener('click', runBackupNow);
+  document.getElementById('scheduleFrequency').addEventListener('change', updateScheduleFields);
+  document.getElementById('scheduleSource').addEventListener('change', updateScheduleFields);
+  document.getElementById('scheduleCsv').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    try {
+      scheduleCsv = file ? { name: file.name, text: await readClaimsReport(file) } : null;
+    } catch (error) {
+      scheduleCsv = null;
+      alert(error.message);
+    }
+  });
+
+  // Job list
+  document.getElementById('openJobs').addEventListener('click', openJobs);
+  document.getElementById('jobsBack').addEventListener('click', () => goToStep(1));
+  document.getElementById('jobList').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-job-action]');
+    if (button) handleJobAction(button.dataset.jobAction, button.dataset.jobId);
   });
 
+  // Storage panel
+  document.getElementById('openStorage').addEventListener('click', openStorage);
+  document.getElementById('storageBack').addEventListener('click', () => goToStep(1));
+  document.getElementById('cleanOrphans').addEventListener('click', cleanOrphanedData);
+
+  // Pause/cancel while the export runs
+  document.getElementById('pauseExport').addEventListener('click', pauseExport);
+  document.getElementById('cancelExport').addEventListener('click', cancelExport);
+
   // Crash recovery buttons
   document.getElementById('resumeExport').addEventListener('click', resumeExport);
-  document.getElementById('downloadPartial').addEventListener('click', () => downloadFromStorage(true));
-  document.getElementById('crashStartOver').addEventListener('click', startOver);
+  document.getElementById('downloadPartial').addEventListener('click', downloadPartial);
+  document.getElementById('crashStartOver').addEventListener('click', discardActiveJob);
+
+  document.getElementById('downloadSchemaReport').addEventListener('click', downloadSchemaReport);
+
+  // Retry queue buttons
+  document.getElementById('retryFailed').addEventListener('click', retryFailed);
+  document.getElementById('downloadFailureReport').addEventListener('click', downloadFailureReport);
+  document.getElementById('downloadReconciliation').addEventListener('click', downloadReconciliation);
+  document.getElementById('openMatches').addEventListener('click', openMatches);
+  document.getElementById('downloadMatchReport').addEventListener('click', downloadFailureReport);
+  document.getElementById('matchesBack').addEventListener('click', () => goToStep(4));
+  document.getElementById('applyMatches').addEventListener('click', applyMatches);
 
   // Listen for progress updates via messages (when popup stays open)
   chrome.runtime.onMessage.addListener(handleExportProgress);
@@ -116,20 +292,26 @@ document.addEventListener('DOMContentLoaded', async () => {
   chrome.storage.onChanged.addListener((changes, area) => {
     if (area !== 'local') return;
     
+    if (changes[ACTIVE_JOB_KEY]) {
+      activeJobId = changes[ACTIVE_JOB_KEY].newValue || null;
+    }
+
     if (changes.exportProgress && changes.exportProgress.newValue) {
       const p = changes.exportProgress.newValue;
-      if (currentStep === 3 && p.current != null) {
+      if (currentStep === 3 && p.current != null && isShownJob(p.jobId)) {
         hideCrashRecovery();
         updateProgress(p.current, p.total, p.status);
       }
     }
     
-    if (changes.exportComplete && changes.exportComplete.newValue === true) {
-      chrome.storage.local.get(['exportJob'], (result) => {
-        const job = result.exportJob;
+    // exportComplete holds the id of the job that finished
+    const finishedJobId = changes.exportComplete && changes.exportComplete.newValue;
+    if (finishedJobId && isShownJob(finishedJobId)) {
+      loadExportJob(finishedJobId).then((job) => {
         if (job) {
           goToStep(4);
           showFinalStats({ claimCount: job.completedCount || job.total });
+          updateDownloadOptions(job);
         }
       });
     }
@@ -138,22 +320,45 @@ document.addEventListener('DOMContentLoaded', async () => {
       showProcessingError(changes.exportError.newValue);
       chrome.storage.local.remove(['exportError']);
     }
+
+    if (changes.backupHistory) {
+      showBackupHistory(changes.backupHistory.newValue);
+    }
   });
 });
 
-async function checkClaimWizardStatus() {
+async function checkPlatformStatus() {
   try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    const statusBadge = document.getElementById('claimwizard-status');
+    const adapter = await activeTabAdapter();
+    const statusBadge = document.getElementById('platform-status');
     
-    if (tab.url && tab.url.includes('claimwizard.com')) {
+    if (adapter && statusBadge) {
+      statusBadge.textContent = `✓ Connected to ${adapter.name}`;
       statusBadge.classList.remove('hidden');
     }
   } catch (error) {
-    console.error('Error checking ClaimWizard status:', error);
+    console.error('Error checking platform status:', error);
   }
 }
 
+/**
+ * The platform adapter for the active tab, or null if it isn't a
+ * supported claims platform (see adapters/registry.js)
+ */
+async function activeTabAdapter() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab && tab.url ? adapterForUrl(tab.url) : null;
+}
+
+/**
+ * The active tab, if it's on a claims platform, for the export engine to
+ * send requests from. Without one it finds or opens a tab itself.
+ */
+async function platformTabId() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab && tab.url && adapterForUrl(tab.url) ? tab.id : null;
+}
+
 function goToStep(step) {
   currentStep = step;
   
@@ -180,9 +385,192 @@ function goToStep(step) {
   document.querySelector(`.step-content[data-step="${step}"]`).classList.add('active');
 }
 
+/**
+ * Switch step 2 between uploading a CSV and discovery filters
+ */
+function setExportSource(source) {
+  exportSource = source;
+  const isDiscovery = source === 'discovery';
+
+  document.getElementById('csvSource').classList.toggle('hidden', isDiscovery);
+  document.getElementById('discoverySource').classList.toggle('hidden', !isDiscovery);
+  document.getElementById('sourceTitle').textContent = isDiscovery
+    ? 'Step 2: Choose Claims'
+    : 'Step 2: Upload Your CSV';
+  document.getElementById('sourceDesc').textContent = isDiscovery
+    ? 'Claims are found through search. Leave filters blank to export everything.'
+    : 'Select the CSV (or Excel workbook) you just downloaded.';
+  document.getElementById('startProcessing').disabled = !isDiscovery && !uploadedFile;
+  document.getElementById('startProcessing').textContent = isDiscovery ? 'Start Processing' : 'Review Claims';
+}
+
+function readDiscoveryFilters() {
+  const filters = {};
+  for (const [id, name] of Object.entries(DISCOVERY_FILTER_INPUTS)) {
+    const value = document.getElementById(id).value.trim();
+    if (value) filters[name] = value;
+  }
+  return filters;
+}
+
+/**
+ * The selected speed profile, plus the custom values when it is 'custom'.
+ * The export engine clamps custom values to safe limits.
+ */
+function readThrottleChoice() {
+  const custom = {};
+  THROTTLE_CUSTOM_INPUTS.forEach(id => {
+    custom[id] = Number(document.getElementById(id).value);
+  });
+  return { profile: document.getElementById('throttleProfile').value, custom };
+}
+
+/**
+ * One checkbox per EXPORT_SECTIONS entry, checked if it was picked last
+ * time (all of them the first time)
+ */
+function renderSectionPicker(saved) {
+  const picker = document.getElementById('sectionPicker');
+  const checked = Array.isArray(saved) ? saved : jobSections({});
+
+  EXPORT_SECTIONS.forEach(section => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = section.id;
+    input.checked = checked.includes(section.id);
+    label.append(input, section.label);
+    picker.appendChild(label);
+  });
+
+  updateIncludeFilesAvailable();
+}
+
+function readSections() {
+  return [...document.querySelectorAll('#sectionPicker input:checked')].map(input => input.value);
+}
+
+/**
+ * File contents need the file list, so "Include claim files" goes with the Files section
+ */
+function updateIncludeFilesAvailable() {
+  document.getElementById('includeFiles').disabled = !readSections().includes('files');
+}
+
+/**
+ * Fill the redaction profile picker, plus one select per rule for the
+ * custom profile, with what was picked last time
+ */
+function renderRedactionOptions(savedProfile, savedRules = {}) {
+  const select = document.getElementById('redactionProfile');
+  for (const [id, profile] of Object.entries(REDACTION_PROFILES)) {
+    select.add(new Option(profile.label, id));
+  }
+  select.value = REDACTION_PROFILES[savedProfile] ? savedProfile : 'none';
+
+  const rules = redactionRules('custom', savedRules);
+  const custom = document.getElementById('redactionCustom');
+  REDACTION_RULES.forEach(rule => {
+    const group = document.createElement('div');
+    group.className = 'field-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = `redaction-${rule.id}`;
+    label.textContent = rule.label;
+
+    const input = document.createElement('select');
+    input.id = `redaction-${rule.id}`;
+    input.dataset.rule = rule.id;
+    rule.actions.forEach(action => input.add(new Option(REDACTION_ACTION_LABELS[action], action)));
+    input.value = rules[rule.id];
+
+    group.append(label, input);
+    custom.appendChild(group);
+  });
+
+  updateRedactionCustomVisibility();
+}
+
+/**
+ * The rules of the picked profile (see redactionRules)
+ */
+function readRedactionRules() {
+  const custom = {};
+  document.querySelectorAll('#redactionCustom select').forEach(input => {
+    custom[input.dataset.rule] = input.value;
+  });
+  return redactionRules(document.getElementById('redactionProfile').value, custom);
+}
+
+function updateRedactionCustomVisibility() {
+  const isCustom = document.getElementById('redactionProfile').value === 'custom';
+  document.getElementById('redactionCustom').classList.toggle('hidden', !isCustom);
+}
+
+function updateThrottleCustomVisibility() {
+  const isCustom = document.getElementById('throttleProfile').value === 'custom';
+  document.getElementById('throttleCustom').classList.toggle('hidden', !isCustom);
+}
+
+/**
+ * The layouts of STREAM_LAYOUTS, and the output folder if one was chosen
+ */
+async function renderStreamOptions(savedLayout) {
+  const select = document.getElementById('streamLayout');
+  for (const [id, label] of Object.entries(STREAM_LAYOUTS)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  if (STREAM_LAYOUTS[savedLayout]) select.value = savedLayout;
+  updateStreamOptionsVisibility();
+
+  const folder = await loadOutputFolder().catch(() => null);
+  if (folder) showOutputFolder(folder);
+}
+
+function updateStreamOptionsVisibility() {
+  const streaming = document.getElementById('streamToFolder').checked;
+  document.getElementById('streamOptions').classList.toggle('hidden', !streaming);
+}
+
+function showOutputFolder(folder) {
+  document.getElementById('outputFolderName').textContent = folder.name;
+}
+
+/**
+ * Make sure a job can write to the output folder: pick one if none was
+ * chosen and ask for permission to write there. Browsers only ask after a
+ * click, so call this first thing in a click handler.
+ */
+async function ensureOutputFolder() {
+  let folder = await loadOutputFolder();
+  if (!folder) {
+    try {
+      folder = await chooseOutputFolder();
+    } catch (error) {
+      return false;
+    }
+    showOutputFolder(folder);
+  }
+  return hasFolderPermission(folder, true).catch(() => false);
+}
+
+/**
+ * Before a job that writes to the output folder runs again, ask for
+ * permission to write there if the browser has dropped it. The job runs
+ * either way; the claims it can't write are written on a later run.
+ */
+async function allowJobStream(job) {
+  if (!job.stream) return;
+  const folder = await loadOutputFolder().catch(() => null);
+  if (folder) await hasFolderPermission(folder, true).catch(() => false);
+}
+
 function handleFile(file) {
-  if (!file.name.endsWith('.csv')) {
-    alert('Please upload a CSV file');
+  if (!/\.(csv|tsv|txt|xlsx)$/i.test(file.name)) {
+    alert('Please upload a CSV or Excel (.xlsx) file');
     return;
   }
 
@@ -199,34 +587,249 @@ function handleFile(file) {
   startButton.disabled = false;
 }
 
-async function startProcessing() {
+/**
+ * Show the uploaded CSV's claims so the user can filter and pick them.
+ * Going back and forth keeps the selection as long as the file is the same.
+ */
+async function openPreview() {
   if (!uploadedFile) {
     alert('Please select a CSV file first');
     return;
   }
 
+  if (!csvPreview || csvPreview.file !== uploadedFile) {
+    try {
+      const text = await readClaimsReport(uploadedFile);
+      csvPreview = { file: uploadedFile, text, ...parseClaimsCsv(text) };
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    showPreviewColumns();
+  }
+
+  renderPreview();
+  goToStep('preview');
+}
+
+/**
+ * Parse the CSV again with the key column / key type the user picked.
+ * Ticks start over, since they are kept by key value.
+ */
+function applyKeyMapping(mapping) {
+  try {
+    Object.assign(csvPreview, parseClaimsCsv(csvPreview.text, mapping));
+  } catch (error) {
+    alert(error.message);
+  }
+  showPreviewColumns();
+  renderPreview();
+}
+
+/**
+ * Fill the key pickers and table header for csvPreview
+ */
+function showPreviewColumns() {
+  previewExcluded = new Set();
+
+  // Key column first, then the rest in CSV order
+  csvPreview.displayColumns = [
+    csvPreview.keyColumn,
+    ...csvPreview.columns.filter(column => column !== csvPreview.keyColumn)
+  ];
+
+  const keyColumn = document.getElementById('keyColumn');
+  keyColumn.replaceChildren(...csvPreview.columns.map(column => new Option(column, column)));
+  keyColumn.value = csvPreview.keyColumn;
+
+  const keyType = document.getElementById('keyType');
+  keyType.replaceChildren(...LOOKUP_KEYS.map(key => new Option(key.label, key.id)));
+  keyType.value = csvPreview.keyType;
+
+  const samples = csvPreview.claims.slice(0, KEY_SAMPLE_COUNT).map(claim => claim.fileNumber);
+  document.getElementById('keySamples').textContent = samples.length > 0
+    ? `${csvPreview.claims.length} claims, e.g. ${samples.join(', ')}`
+    : 'No values in this column';
+
+  const columnSelect = document.getElementById('previewColumn');
+  columnSelect.replaceChildren(
+    new Option('Any column', ''),
+    ...csvPreview.displayColumns.map(column => new Option(column, column))
+  );
+  document.getElementById('previewQuery').value = '';
+
+  const head = document.getElementById('previewHead');
+  head.replaceChildren(document.createElement('th'));
+  csvPreview.displayColumns.forEach(column => {
+    const th = document.createElement('th');
+    th.textContent = column;
+    head.appendChild(th);
+  });
+}
+
+/**
+ * Claims whose CSV row matches the preview filter
+ */
+function previewMatches() {
+  const column = document.getElementById('previewColumn').value;
+  const query = document.getElementById('previewQuery').value.trim().toLowerCase();
+  if (!query) return csvPreview.claims;
+
+  return csvPreview.claims.filter(claim => {
+    const values = column ? [claim.csvRow[column]] : Object.values(claim.csvRow);
+    return values.some(value => String(value ?? '').toLowerCase().includes(query));
+  });
+}
+
+/**
+ * What the export will include: the matching claims that are still ticked
+ */
+function selectedPreviewClaims() {
+  return previewMatches().filter(claim => !previewExcluded.has(claim.fileNumber));
+}
+
+function renderPreview() {
+  const matches = previewMatches();
+  const rows = document.getElementById('previewRows');
+
+  rows.replaceChildren(...matches.slice(0, PREVIEW_ROW_LIMIT).map(claim => {
+    const tr = document.createElement('tr');
+
+    const checkCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !previewExcluded.has(claim.fileNumber);
+    checkbox.dataset.fileNumber = claim.fileNumber;
+    checkCell.appendChild(checkbox);
+    tr.appendChild(checkCell);
+
+    csvPreview.displayColumns.forEach(column => {
+      const td = document.createElement('td');
+      td.textContent = claim.csvRow[column];
+      td.title = claim.csvRow[column];
+      tr.appendChild(td);
+    });
+    return tr;
+  }));
+
+  const more = document.getElementById('previewMore');
+  more.classList.toggle('hidden', matches.length <= PREVIEW_ROW_LIMIT);
+  more.textContent = `Showing the first ${PREVIEW_ROW_LIMIT} of ${matches.length} matching claims. Filter to see the rest.`;
+
+  updatePreviewCount();
+}
+
+function setPreviewMatchesSelected(selected) {
+  previewMatches().forEach(claim => {
+    if (selected) {
+      previewExcluded.delete(claim.fileNumber);
+    } else {
+      previewExcluded.add(claim.fileNumber);
+    }
+  });
+  renderPreview();
+}
+
+function updatePreviewCount() {
+  const count = selectedPreviewClaims().length;
+  document.getElementById('previewCount').textContent =
+    `${count} of ${csvPreview.claims.length} claims selected`;
+
+  const start = document.getElementById('startSelected');
+  start.textContent = `Start Export (${count} ${count === 1 ? 'claim' : 'claims'})`;
+  start.disabled = count === 0;
+}
+
+async function startProcessing() {
+  if (exportSource === 'csv' && !uploadedFile) {
+    alert('Please select a CSV file first');
+    return;
+  }
+
+  // Claims written to the output folder as they're fetched
+  let stream;
+  if (document.getElementById('streamToFolder').checked) {
+    if (document.getElementById('encryptAtRest').checked) {
+      alert('Claims written to a folder aren\'t encrypted, so they can\'t be combined with encrypting claims in browser storage. Turn one of them off.');
+      return;
+    }
+    if (!(await ensureOutputFolder())) {
+      alert('Choose a folder the extension may write to, or turn off writing claims to a folder.');
+      return;
+    }
+    stream = { layout: document.getElementById('streamLayout').value };
+  }
+
+  // Claims stored during the job are sealed with a passphrase chosen now.
+  // A lookup job's info names its claims by the CSV's values, which would
+  // stay readable (see startExportJob).
+  let storagePassphrase;
+  if (document.getElementById('encryptAtRest').checked) {
+    if (exportSource === 'csv' && csvPreview && csvPreview.keyType !== 'fileNumber') {
+      alert('Claims looked up by something other than their file number can\'t be encrypted in browser storage. Turn off the encryption, or use a CSV with file numbers.');
+      return;
+    }
+    storagePassphrase = await askPassphrase(
+      'Choose a passphrase to encrypt the claims in browser storage. You\'ll need it to resume or download this export after the browser restarts.',
+      { confirm: true }
+    );
+    if (storagePassphrase === null) return;
+  }
+
   goToStep(3);
   hideCrashRecovery();
 
   try {
-    const csvText = await uploadedFile.text();
-    
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
-    if (!tab.url.includes('claimwizard.com')) {
-      showProcessingError('Please open ClaimWizard in this tab first!');
+    if (!adapterForUrl(tab.url)) {
+      showProcessingError('Please open your claims platform in this tab first!');
       return;
     }
 
     const testMode = document.getElementById('testMode').checked;
+    const includeFiles = document.getElementById('includeFiles').checked;
+    const incremental = document.getElementById('incremental').checked;
+
+    let message;
+    if (exportSource === 'discovery') {
+      const filters = readDiscoveryFilters();
+      chrome.storage.local.set({ discoveryFilters: filters });
+      message = { action: 'discoverClaims', filters };
+    } else {
+      message = csvPreview
+        ? {
+            action: 'processCsv',
+            csvText: csvPreview.text,
+            mapping: { column: csvPreview.keyColumn, keyType: csvPreview.keyType }
+          }
+        : { action: 'processCsv', csvText: await readClaimsReport(uploadedFile) };
+
+      // Only send a selection if the preview left some claims out
+      const selected = csvPreview ? selectedPreviewClaims() : [];
+      if (csvPreview && selected.length < csvPreview.claims.length) {
+        message.selectedFileNumbers = selected.map(claim => claim.fileNumber);
+      }
+    }
 
-    chrome.tabs.sendMessage(tab.id, {
-      action: 'processCsv',
-      csvText: csvText,
-      testMode: testMode
+    // The export runs in the service worker and sends its requests from
+    // this tab, so the popup can be closed
+    chrome.runtime.sendMessage({
+      ...message,
+      testMode: testMode,
+      includeFiles: includeFiles,
+      incremental: incremental,
+      throttle: readThrottleChoice(),
+      sections: readSections(),
+      storagePassphrase: storagePassphrase,
+      stream: stream,
+      name: document.getElementById('jobName').value.trim(),
+      csvName: exportSource === 'csv' && uploadedFile ? uploadedFile.name : undefined,
+      platform: adapterForUrl(tab.url).id,
+      tabId: tab.id
     }, (response) => {
       if (chrome.runtime.lastError) {
-        showProcessingError('Error: Please refresh the ClaimWizard page and try again');
+        showProcessingError('Error: The exporter could not be reached. Please try again.');
         return;
       }
       
@@ -242,143 +845,1027 @@ async function startProcessing() {
 }
 
 /**
- * Resume an interrupted export
+ * Show the scheduled backup settings and run history
  */
-async function resumeExport() {
-  try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    
-    if (!tab.url || !tab.url.includes('claimwizard.com')) {
-      showProcessingError('Please open ClaimWizard in this tab first, then resume.');
-      return;
-    }
+async function openSchedule() {
+  const { backupSchedule, backupHistory } = await chrome.storage.local.get(['backupSchedule', 'backupHistory']);
+  const schedule = { ...DEFAULT_BACKUP_SCHEDULE, ...backupSchedule };
 
-    hideCrashRecovery();
-    document.getElementById('processingTitle').textContent = 'Resuming Export...';
-    document.getElementById('processingDesc').textContent = 'Picking up where we left off.';
-    document.getElementById('processingStatus').className = 'status-badge info';
-    document.getElementById('processingStatus').textContent = 'Resuming...';
+  const weekday = document.getElementById('scheduleWeekday');
+  if (weekday.options.length === 0) {
+    BACKUP_WEEKDAYS.forEach((name, i) => weekday.add(new Option(name, i)));
+  }
 
-    chrome.tabs.sendMessage(tab.id, { action: 'resumeExport' }, (response) => {
-      if (chrome.runtime.lastError) {
-        showProcessingError('Error: Please refresh the ClaimWizard page and try again');
-        return;
-      }
-      
-      if (!response || !response.success) {
-        showProcessingError(response?.error || 'Failed to resume');
-      }
-    });
+  document.getElementById('scheduleEnabled').checked = schedule.enabled;
+  document.getElementById('scheduleFrequency').value = schedule.frequency;
+  weekday.value = schedule.weekday;
+  document.getElementById('scheduleTime').value = schedule.time;
+  document.getElementById('scheduleSource').value = schedule.source;
+  document.getElementById('scheduleCsvName').textContent = schedule.csvName ? `(saved: ${schedule.csvName})` : '';
+  document.getElementById('scheduleFormat').value = schedule.format;
+  document.getElementById('scheduleSpeed').value = schedule.throttle.profile;
+  document.getElementById('scheduleIncludeFiles').checked = schedule.includeFiles;
+  document.getElementById('scheduleIncremental').checked = schedule.incremental;
 
-  } catch (error) {
-    console.error('Resume error:', error);
-    showProcessingError(error.message);
-  }
+  updateScheduleFields();
+  showNextBackup(schedule);
+  showBackupHistory(backupHistory);
+  goToStep('schedule');
+}
+
+function updateScheduleFields() {
+  const weekly = document.getElementById('scheduleFrequency').value === 'weekly';
+  const csv = document.getElementById('scheduleSource').value === 'csv';
+  document.getElementById('scheduleWeekdayGroup').classList.toggle('hidden', !weekly);
+  document.getElementById('scheduleCsvGroup').classList.toggle('hidden', !csv);
 }
 
 /**
- * Load claims from storage in batches and build the download file.
- * 
- * Memory-safe approach: each batch of claims is stringified, turned into a
- * small Blob, then the strings are released for garbage collection. The final
- * Blob is assembled from sub-Blobs, which the browser handles by reference
- * (no copying). Peak JS heap usage: ~1 batch worth of strings (~5-10MB).
- * 
- * @param {boolean} isPartial - true if this is a partial/interrupted export
+ * Save the schedule form. The service worker picks up the change and sets
+ * its alarm. Returns false if the form isn't complete.
  */
-async function downloadFromStorage(isPartial = false) {
-  try {
-    const stored = await new Promise(resolve => chrome.storage.local.get(['exportJob'], resolve));
-    const job = stored.exportJob;
+async function saveSchedule() {
+  const { backupSchedule } = await chrome.storage.local.get(['backupSchedule']);
+  const saved = { ...DEFAULT_BACKUP_SCHEDULE, ...backupSchedule };
 
-    if (!job || job.completedCount === 0) {
-      alert('No saved claims found.');
-      return;
-    }
+  const schedule = {
+    ...saved,
+    enabled: document.getElementById('scheduleEnabled').checked,
+    frequency: document.getElementById('scheduleFrequency').value,
+    weekday: Number(document.getElementById('scheduleWeekday').value),
+    time: document.getElementById('scheduleTime').value || DEFAULT_BACKUP_SCHEDULE.time,
+    source: document.getElementById('scheduleSource').value,
+    format: document.getElementById('scheduleFormat').value,
+    includeFiles: document.getElementById('scheduleIncludeFiles').checked,
+    incremental: document.getElementById('scheduleIncremental').checked,
+    throttle: { profile: document.getElementById('scheduleSpeed').value }
+  };
 
-    const count = job.completedCount;
-    const total = job.total;
+  if (scheduleCsv) {
+    schedule.csvText = scheduleCsv.text;
+    schedule.csvName = scheduleCsv.name;
+  }
 
-    // Array of Blobs — each batch becomes one small Blob, then the source strings
-    // can be garbage collected. The final Blob references these without copying.
-    const blobParts = [];
+  if (schedule.source === 'csv' && !schedule.csvText) {
+    alert('Choose the CSV to back up first');
+    return false;
+  }
 
-    // Opening JSON structure
-    blobParts.push(new Blob(['{\n  "claimWizardData": {\n    "claims": [\n'], { type: 'text/plain' }));
+  // Remember which platform to open, if the popup is on one right now
+  const adapter = await activeTabAdapter();
+  if (adapter) schedule.platform = adapter.id;
 
-    let isFirstClaim = true;
+  await chrome.storage.local.set({ backupSchedule: schedule });
+  scheduleCsv = null;
+  document.getElementById('scheduleCsvName').textContent = schedule.csvName ? `(saved: ${schedule.csvName})` : '';
+  showNextBackup(schedule);
+  return true;
+}
 
-    for (let batchStart = 0; batchStart < count; batchStart += LOAD_BATCH_SIZE) {
-      const batchEnd = Math.min(batchStart + LOAD_BATCH_SIZE, count);
-      const keys = [];
-      for (let i = batchStart; i < batchEnd; i++) {
-        keys.push(`exportedClaim_${i}`);
-      }
+function showNextBackup(schedule) {
+  document.getElementById('scheduleNextRun').textContent = schedule.enabled
+    ? `${describeSchedule(schedule)}. Next backup: ${new Date(nextScheduledRun(schedule)).toLocaleString()}`
+    : 'Automatic backups are off.';
+}
 
-      // Load this batch from storage
-      const batchData = await new Promise(resolve => chrome.storage.local.get(keys, resolve));
-
-      // Stringify this batch's claims into a temporary string
-      let batchStr = '';
-      for (let i = batchStart; i < batchEnd; i++) {
-        const claim = batchData[`exportedClaim_${i}`];
-        if (claim) {
-          if (!isFirstClaim) batchStr += ',\n';
-          batchStr += '      ' + JSON.stringify(claim);
-          isFirstClaim = false;
-        }
+/**
+ * Save the form, then start a backup right away with it
+ */
+async function runBackupNow() {
+  if (!(await saveSchedule())) return;
+
+  const button = document.getElementById('runBackupNow');
+  button.disabled = true;
+
+  chrome.runtime.sendMessage({ action: 'runBackupNow' }, (response) => {
+    button.disabled = false;
+    if (chrome.runtime.lastError || !response || !response.success) {
+      alert('Backup not started: ' + (response?.error || chrome.runtime.lastError?.message || 'Unknown error'));
+      return;
+    }
+
+    goToStep(3);
+    hideCrashRecovery();
+    document.getElementById('processingTitle').textContent = 'Running Backup...';
+    document.getElementById('processingDesc').textContent = 'The backup is saved to Downloads when it finishes, even if you close this popup.';
+    updateProgress(0, 0, 'Starting...');
+  });
+}
+
+function showBackupHistory(history) {
+  const list = document.getElementById('backupHistory');
+  list.replaceChildren();
+
+  if (!history || history.length === 0) {
+    list.textContent = 'No backups yet.';
+    return;
+  }
+
+  const icons = { success: '✓', failed: '✗', skipped: '–' };
+  history.slice(0, 10).forEach(run => {
+    let text = `${icons[run.status]} ${new Date(run.startedAt).toLocaleString()}${run.manual ? ' (manual)' : ''} - `;
+    if (run.status === 'success') {
+      text += `${run.claimCount} claims`;
+      if (run.failedCount > 0) text += `, ${run.failedCount} with errors`;
+    } else {
+      text += `${run.status}: ${run.error}`;
+    }
+
+    const line = document.createElement('div');
+    line.textContent = text;
+    if (run.filename) line.title = run.filename;
+    list.appendChild(line);
+  });
+}
+
+/**
+ * Show every export job with what can be done with it
+ */
+async function openJobs() {
+  goToStep('jobs');
+  await renderJobList();
+}
+
+async function renderJobList() {
+  const jobs = await loadExportJobs();
+  const list = document.getElementById('jobList');
+
+  if (jobs.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'step-description';
+    empty.textContent = 'No export jobs yet.';
+    list.replaceChildren(empty);
+    return;
+  }
+
+  const running = jobs.some(job => job.state === 'running');
+  list.replaceChildren(...jobs.map(job => jobListItem(job, running)));
+}
+
+const JOB_STATE_LABELS = {
+  running: 'Running',
+  paused: 'Paused',
+  stopped: 'Interrupted',
+  complete: 'Complete'
+};
+
+function jobListItem(job, running) {
+  const item = document.createElement('div');
+  item.className = 'job-item';
+  item.classList.toggle('active', job.id === activeJobId);
+
+  const name = document.createElement('div');
+  name.className = 'job-name';
+  name.textContent = job.name;
+  name.title = job.name;
+
+  const meta = document.createElement('div');
+  meta.className = 'job-meta';
+  meta.textContent = [
+    JOB_STATE_LABELS[job.state] || job.state,
+    `${job.completedCount} of ${job.total} claims`,
+    new Date(job.startedAt).toLocaleString(),
+    job.scheduled ? 'backup' : null,
+    job.atRest ? 'encrypted' : null
+  ].filter(Boolean).join(' · ');
+
+  const actions = document.createElement('div');
+  actions.className = 'job-actions';
+  const action = (id, label, disabled = false) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.dataset.jobAction = id;
+    button.dataset.jobId = job.id;
+    button.disabled = disabled;
+    actions.appendChild(button);
+  };
+  action('open', 'Open');
+  // Imported jobs have no options to run again with
+  if (job.source !== 'import') action('duplicate', 'Duplicate', running);
+  action('delete', 'Delete', job.state === 'running');
+
+  item.append(name, meta, actions);
+  return item;
+}
+
+async function handleJobAction(action, jobId) {
+  const job = await loadExportJob(jobId);
+  if (!job) {
+    await renderJobList();
+    return;
+  }
+
+  if (action === 'open') {
+    await setActiveJob(job.id);
+    activeJobId = job.id;
+    await showJob(job);
+  } else if (action === 'duplicate') {
+    await duplicateJob(job);
+  } else if (action === 'delete') {
+    if (!confirm(`Delete "${job.name}"? Its ${job.completedCount} stored claims will be removed.`)) return;
+    await deleteExportJob(job);
+    await renderJobList();
+  }
+}
+
+/**
+ * Show a job on the step that fits its state: downloads once it's finished,
+ * progress while it runs, Resume once it stopped
+ */
+async function showJob(job) {
+  hideCrashRecovery();
+
+  if (job.state === 'complete') {
+    goToStep(4);
+    showFinalStats({ claimCount: job.completedCount || job.total });
+    updateDownloadOptions(job);
+  } else if (job.state === 'paused') {
+    goToStep(3);
+    updateProgress(job.completedCount, job.total, 'Paused');
+    showPausedExport(job);
+  } else if (job.state === 'running') {
+    // The service worker is running it, or picks it up again when it restarts
+    const { exportProgress } = await chrome.storage.local.get(['exportProgress']);
+    const progress = exportProgress && exportProgress.jobId === job.id ? exportProgress : {};
+    goToStep(3);
+    updateProgress(
+      progress.current ?? job.completedCount,
+      progress.total ?? job.total,
+      progress.status || 'Resuming...'
+    );
+  } else {
+    // Stopped by an error or a crash, with its claims so far saved
+    goToStep(3);
+    updateProgress(job.completedCount, job.total, 'Interrupted');
+    showCrashRecovery(job);
+  }
+}
+
+/**
+ * Run a job's claims again as a new job with the same options. Encrypted
+ * jobs are unlocked first, and the copy gets a passphrase of its own.
+ */
+async function duplicateJob(job) {
+  if (!(await ensureNoOtherJobRunning(job))) return;
+
+  const name = prompt('Name of the new job', `${job.name} (copy)`);
+  if (name === null) return;
+  if (!(await ensureExportUnlocked(job))) return;
+
+  let storagePassphrase;
+  if (job.atRest) {
+    storagePassphrase = await askPassphrase(
+      'Choose a passphrase to encrypt the new job\'s claims in browser storage.',
+      { confirm: true }
+    );
+    if (storagePassphrase === null) return;
+  }
+  await allowJobStream(job);
+
+  goToStep(3);
+  hideCrashRecovery();
+  document.getElementById('progressFill').style.width = '0%';
+  updateProgress(0, job.total, 'Starting...');
+
+  chrome.runtime.sendMessage({
+    action: 'duplicateJob',
+    jobId: job.id,
+    name: name.trim(),
+    storagePassphrase: storagePassphrase,
+    tabId: await platformTabId()
+  }, (response) => {
+    if (chrome.runtime.lastError) {
+      showProcessingError('Error: The exporter could not be reached. Please try again.');
+      return;
+    }
+
+    if (!response || !response.success) {
+      showProcessingError(response?.error || 'Failed to duplicate the job');
+    }
+  });
+}
+
+/**
+ * One job runs at a time. Returns false, after saying so, if a job other
+ * than this one is running.
+ */
+async function ensureNoOtherJobRunning(job) {
+  const running = await runningExportJob();
+  if (!running || running.id === job.id) return true;
+
+  alert(`"${running.name}" is running. Pause it or wait for it to finish first.`);
+  return false;
+}
+
+/**
+ * Show how much storage each export job and everything else uses
+ */
+async function openStorage() {
+  goToStep('storage');
+  await showStorageUsage();
+}
+
+async function showStorageUsage() {
+  const jobs = await loadExportJobs();
+  const usage = await summarizeStorage(jobs);
+  const running = jobs.some(job => job.state === 'running');
+
+  const rows = jobs.map(job => {
+    const jobUsage = usage.jobs[job.id];
+    const files = jobUsage.files.keys > 0 ? `, ${formatReportBytes(jobUsage.files.bytes)} files` : '';
+    return [`${job.name} (${job.total} claims)`, `${formatReportBytes(jobUsage.bytes)}${files}`];
+  });
+  if (usage.baseline.keys > 0) {
+    rows.push(['Incremental baseline', formatReportBytes(usage.baseline.bytes)]);
+  }
+  rows.push(['Left over from earlier exports', usage.orphaned.keys > 0
+    ? `${formatReportBytes(usage.orphaned.bytes)} (${usage.orphaned.keys} entries)`
+    : 'none']);
+  rows.push(['Settings and schedules', formatReportBytes(usage.other.bytes)]);
+  rows.push(['Total', formatReportBytes(usage.total)]);
+  fillReportTable('storageRows', rows);
+
+  document.getElementById('storageNote').textContent = running && usage.orphaned.keys > 0
+    ? 'Leftovers can be removed once the running export is paused or finished.'
+    : '';
+  document.getElementById('cleanOrphans').disabled = running || usage.orphaned.keys === 0;
+}
+
+/**
+ * Delete the claims, files and baseline records no export uses any more
+ */
+async function cleanOrphanedData() {
+  const jobs = await loadExportJobs();
+  if (jobs.some(job => job.state === 'running')) return;
+
+  const button = document.getElementById('cleanOrphans');
+  button.disabled = true;
+  try {
+    const removed = await removeOrphanedData(jobs);
+    await showStorageUsage();
+    document.getElementById('storageNote').textContent = `Removed ${removed} leftover entries.`;
+  } catch (error) {
+    console.error('Cleanup error:', error);
+    alert('Error removing leftovers: ' + error.message);
+    button.disabled = false;
+  }
+}
+
+/**
+ * Load a previous JSON export into storage. Complete exports go straight to
+ * the download step; resumable partial ones to the Resume screen.
+ */
+async function importPreviousExport(file) {
+  if (await isEncryptedExport(file)) {
+    const passphrase = await askPassphrase(`${file.name} is encrypted. Enter its passphrase to open it.`);
+    if (passphrase === null) return;
+    try {
+      file = await decryptExportFile(file, passphrase);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+  }
+
+  goToStep(3);
+  hideCrashRecovery();
+  document.getElementById('processingTitle').textContent = 'Opening Export...';
+  document.getElementById('processingDesc').textContent = file.name;
+  document.getElementById('progressFill').style.width = '0%';
+  updateProgress(0, 0, 'Reading file...');
+
+  try {
+    const job = await importExportFile(file, (count) => {
+      updateProgress(count, 0, `${count} claims loaded...`);
+    });
+
+    if (job.completedCount < job.total) {
+      updateProgress(job.completedCount, job.total, 'Imported partial export');
+      showCrashRecovery(job);
+      return;
+    }
+
+    goToStep(4);
+    showFinalStats({ claimCount: job.completedCount });
+    updateDownloadOptions(job);
+
+  } catch (error) {
+    console.error('Import error:', error);
+    showProcessingError(error.message);
+  }
+}
+
+/**
+ * Save a decrypted copy of an encrypted download
+ */
+async function decryptFile(file) {
+  const passphrase = await askPassphrase(`Enter the passphrase ${file.name} was encrypted with.`);
+  if (passphrase === null) return;
+
+  try {
+    const decrypted = await decryptExportFile(file, passphrase);
+    triggerDownload(decrypted, decrypted.name);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+/**
+ * Ask for the passphrase of a job that encrypts its claims at rest, if the
+ * browser has restarted since it was entered. Returns false if the claims
+ * are still locked.
+ */
+async function ensureExportUnlocked(job) {
+  if (!(await isExportLocked(job))) return true;
+
+  const passphrase = await askPassphrase('This export is encrypted in browser storage. Enter its passphrase to continue.');
+  if (passphrase === null) return false;
+
+  try {
+    await unlockAtRest(job, passphrase);
+  } catch (error) {
+    alert(error.message);
+    return false;
+  }
+
+  if (currentStep === 4) showExportReport(job);
+  return true;
+}
+
+/**
+ * Resume an interrupted export
+ */
+async function resumeExport() {
+  const job = await loadActiveJob();
+  if (!job || !(await ensureNoOtherJobRunning(job)) || !(await ensureExportUnlocked(job))) return;
+  await allowJobStream(job);
+
+  try {
+    hideCrashRecovery();
+    document.getElementById('processingTitle').textContent = 'Resuming Export...';
+    document.getElementById('processingDesc').textContent = 'Picking up where we left off.';
+    document.getElementById('processingStatus').className = 'status-badge info';
+    document.getElementById('processingStatus').textContent = 'Resuming...';
+
+    chrome.runtime.sendMessage({ action: 'resumeExport', jobId: job.id, tabId: await platformTabId() }, (response) => {
+      if (chrome.runtime.lastError) {
+        showProcessingError('Error: The exporter could not be reached. Please try again.');
+        return;
       }
+      
+      if (!response || !response.success) {
+        showProcessingError(response?.error || 'Failed to resume');
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume error:', error);
+    showProcessingError(error.message);
+  }
+}
 
-      // Convert this batch to a Blob and push it — the batchStr string
-      // will be eligible for GC after this iteration
-      if (batchStr.length > 0) {
-        blobParts.push(new Blob([batchStr], { type: 'text/plain' }));
+/**
+ * Re-run the claims that failed or came back incomplete
+ */
+async function retryFailed() {
+  const job = await loadActiveJob();
+  if (!job || !(await ensureNoOtherJobRunning(job)) || !(await ensureExportUnlocked(job))) return;
+  await allowJobStream(job);
+
+  try {
+    goToStep(3);
+    hideCrashRecovery();
+    document.getElementById('processingTitle').textContent = 'Retrying Failed Claims...';
+    document.getElementById('processingDesc').textContent = 'Fetching the claims that failed last time.';
+    document.getElementById('progressFill').style.width = '0%';
+
+    chrome.runtime.sendMessage({ action: 'retryFailed', jobId: job.id, tabId: await platformTabId() }, (response) => {
+      if (chrome.runtime.lastError) {
+        showProcessingError('Error: The exporter could not be reached. Please try again.');
+        return;
+      }
+      
+      if (!response || !response.success) {
+        showProcessingError(response?.error || 'Failed to retry');
       }
+    });
 
-      // Let the browser breathe between batches
-      await new Promise(resolve => setTimeout(resolve, 0));
+  } catch (error) {
+    console.error('Retry error:', error);
+    showProcessingError(error.message);
+  }
+}
+
+/**
+ * Ask the export engine to stop after the claims in flight. The job keeps
+ * everything fetched so far and can be resumed later.
+ */
+function pauseExport() {
+  document.getElementById('pauseExport').disabled = true;
+  document.getElementById('processingStatus').textContent = 'Pausing after the current claim...';
+
+  chrome.runtime.sendMessage({ action: 'pauseExport', jobId: activeJobId }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      document.getElementById('pauseExport').disabled = false;
+      document.getElementById('processingStatus').textContent = 'Processing...';
+      alert(response?.error || 'The exporter could not be reached. Please try again.');
     }
+  });
+}
+
+/**
+ * Stop the export and discard what it saved
+ */
+function cancelExport() {
+  if (!confirm('Cancel this export? The claims fetched so far will be discarded.')) return;
 
-    // Closing JSON structure + metadata
-    const now = new Date().toISOString();
-    let footer = '\n    ],\n';
-    footer += `    "exportDate": "${now}",\n`;
-    footer += `    "exportMethod": "chrome-extension"\n`;
-    footer += '  },\n';
-    footer += '  "exportInfo": {\n';
-    footer += `    "date": "${now}",\n`;
-    footer += `    "version": "1.0.2",\n`;
-    footer += `    "source": "chrome-extension",\n`;
-    footer += `    "totalClaims": ${count}`;
+  document.getElementById('pauseExport').disabled = true;
+  document.getElementById('cancelExport').disabled = true;
+  document.getElementById('processingStatus').textContent = 'Cancelling...';
 
-    if (isPartial) {
-      footer += `,\n    "partial": true`;
-      footer += `,\n    "originalTotal": ${total}`;
-      footer += `,\n    "note": "Partial export: ${count} of ${total} claims (interrupted)"`;
+  chrome.runtime.sendMessage({ action: 'cancelExport', jobId: activeJobId }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      document.getElementById('pauseExport').disabled = false;
+      document.getElementById('cancelExport').disabled = false;
+      document.getElementById('processingStatus').textContent = 'Processing...';
+      alert(response?.error || 'The exporter could not be reached. Please try again.');
     }
+  });
+}
 
-    footer += '\n  }\n}';
-    blobParts.push(new Blob([footer], { type: 'text/plain' }));
+/**
+ * CSV listing every failed claim and section with its error
+ */
+async function downloadFailureReport() {
+  const job = await loadActiveJob();
+  if (!job || !(await ensureExportUnlocked(job))) return;
 
-    // Final Blob — assembled from sub-Blobs by reference, no giant copy
-    const blob = new Blob(blobParts, { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-    const filename = isPartial 
-      ? `claims-export-partial-${count}of${total}-${timestamp}.json`
-      : `claims-export-${timestamp}.json`;
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.click();
-    
-    URL.revokeObjectURL(url);
+  try {
+    const passphrase = downloadPassphrase();
+    const blob = await buildFailureReportBlob(job);
+    await saveExportFile(blob, exportFilename(job, false, 'failures.csv'), passphrase);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+/**
+ * Load claims from storage in batches and build the download file.
+ * See export-builder.js / export-tables.js for how each format is assembled
+ * without holding the whole export in memory.
+ * 
+ * @param {string} format - key of EXPORT_FORMATS
+ * @param {boolean} isPartial - true if this is a partial/interrupted export
+ * @param {HTMLButtonElement} [button] - disabled while the file is built
+ */
+async function downloadFromStorage(format = 'json', isPartial = false, button = null) {
+  const exportFormat = EXPORT_FORMATS[format];
+  const originalLabel = button ? button.textContent : '';
+
+  // Partial downloads come from the recovery screen, which has no
+  // encryption option
+  let passphrase = null;
+  try {
+    if (!isPartial) passphrase = downloadPassphrase();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  try {
+    const job = await loadActiveJob();
+
+    if (!job || job.completedCount === 0) {
+      alert('No saved claims found.');
+      return;
+    }
+    if (!(await ensureExportUnlocked(job))) return;
+
+    if (button) {
+      button.disabled = true;
+      button.textContent = `Building ${exportFormat.label}...`;
+    }
+
+    // Like encryption, redaction is only offered on the final step
+    const redactor = isPartial ? null : await createRedactor(
+      document.getElementById('redactionProfile').value,
+      readRedactionRules(),
+      adapterById(job.platform || 'claimwizard')
+    );
+
+    let truncated = [];
+    const blob = await exportFormat.build(job, isPartial, {
+      includeRaw: document.getElementById('includeRawPayloads').checked,
+      redactor: redactor,
+      onTruncated: tables => { truncated = tables; }
+    });
+    if (!isPartial) showRedactionReport(redactor);
+    showTruncationReport(truncated);
+    if (button && passphrase) button.textContent = 'Encrypting...';
+    await saveExportFile(blob, exportFilename(job, isPartial, exportFormat.extension), passphrase);
+
+    if (button) button.textContent = 'Checking schema...';
+    showSchemaReport(await validateStoredClaims(job));
 
   } catch (error) {
     console.error('Download error:', error);
     alert('Error building download: ' + error.message);
+  } finally {
+    if (button) {
+      button.disabled = false;
+      button.textContent = originalLabel;
+    }
+  }
+}
+
+/**
+ * Partial download from the crash-recovery screen: ZIP if the job
+ * was collecting files, plain JSON otherwise.
+ */
+async function downloadPartial() {
+  const job = await loadActiveJob();
+  const format = job && job.includeFiles ? 'zip' : 'json';
+  downloadFromStorage(format, true, document.getElementById('downloadPartial'));
+}
+
+/**
+ * What the last download's redaction did, field by field
+ */
+function showRedactionReport(redactor) {
+  const container = document.getElementById('redactionReport');
+  container.classList.toggle('hidden', !redactor);
+  if (!redactor) return;
+
+  const fields = Object.entries(redactor.report());
+  const rows = fields.length > 0
+    ? fields.map(([field, { action, count }]) => [field, `${action} in ${count} claim(s)`])
+    : [['Nothing matched the redaction rules', '']];
+  if (redactor.rules.fileContents === 'omit') {
+    rows.push(['Stored files', 'left out of ZIP downloads']);
+  }
+
+  fillReportTable('redactionReportRows', rows);
+}
+
+/**
+ * Sheets the last Excel download cut off at Excel's row limit
+ */
+function showTruncationReport(tables) {
+  document.getElementById('truncationReport').classList.toggle('hidden', tables.length === 0);
+  fillReportTable('truncationReportRows', tables.map(({ name, rowCount, totalRows }) =>
+    [name, `${rowCount.toLocaleString()} of ${totalRows.toLocaleString()} rows`]));
+}
+
+/**
+ * Fill a .report-table body with [label, value] rows
+ */
+function fillReportTable(id, rows) {
+  document.getElementById(id).replaceChildren(...rows.map(([label, value]) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = label;
+    const td = document.createElement('td');
+    td.textContent = value;
+    tr.append(th, td);
+    return tr;
+  }));
+}
+
+/**
+ * Save a Blob to the user's Downloads folder
+ */
+function triggerDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * The passphrase to encrypt step 4's downloads with, or null if the option
+ * is off. Throws if it's too short or wasn't repeated correctly.
+ */
+function downloadPassphrase() {
+  if (!document.getElementById('encryptDownload').checked) return null;
+
+  const passphrase = document.getElementById('downloadPassphrase').value;
+  checkNewPassphrase(passphrase);
+  if (passphrase !== document.getElementById('downloadPassphraseRepeat').value) {
+    throw new Error('The passphrases don\'t match');
+  }
+  return passphrase;
+}
+
+/**
+ * Download a file, encrypted (see export-crypto.js) if a passphrase is given
+ */
+async function saveExportFile(blob, filename, passphrase) {
+  if (passphrase) {
+    triggerDownload(await encryptExport(blob, passphrase), filename + ENCRYPTED_FILE_EXTENSION);
+  } else {
+    triggerDownload(blob, filename);
+  }
+}
+
+/**
+ * Only offer the formats that make sense for this job: ZIP when it collected
+ * files, delta when it was an incremental run. Also shows the change and
+ * failure summaries.
+ */
+function updateDownloadOptions(job) {
+  setFormatAvailable('zip', !!(job && job.includeFiles));
+  setFormatAvailable('delta', !!(job && job.incremental));
+  showChangeSummary(job);
+  showFailureSummary(job);
+  showMatchSummary(job);
+  showImportSummary(job);
+  showStreamStatus(job);
+  showExportReport(job);
+  updateRawPayloadOption();
+}
+
+/**
+ * Where a job that streams wrote its claims, or why it couldn't
+ */
+function showStreamStatus(job) {
+  const status = document.getElementById('streamStatus');
+  const stream = job && job.stream;
+  status.classList.toggle('hidden', !stream);
+  if (!stream) return;
+
+  status.textContent = stream.error
+    ? `Not every claim could be written to the output folder: ${stream.error}`
+    : `Claims were written to "${stream.folder}" in the output folder as they were fetched.`;
+}
+
+/**
+ * Say where an imported export came from
+ */
+function showImportSummary(job) {
+  const desc = document.getElementById('finalDesc');
+  const imported = job && job.importedFrom;
+
+  if (!imported) {
+    desc.textContent = 'Your data is ready to download.';
+    return;
+  }
+
+  const date = imported.exportDate ? new Date(imported.exportDate).toLocaleDateString() : 'unknown date';
+  let text = `Opened ${imported.filename} (exported ${date}).`;
+  if (imported.partial && !imported.resumable) {
+    text += ' This partial export doesn\'t list its remaining claims, so it can\'t be resumed.';
+  }
+  desc.textContent = text;
+}
+
+/**
+ * "Include raw payloads" only applies to the normalized format
+ */
+function updateRawPayloadOption() {
+  const normalized = document.getElementById('exportFormat').value === 'normalized';
+  document.getElementById('rawPayloadOption').classList.toggle('hidden', !normalized);
+}
+
+function setFormatAvailable(format, available) {
+  const select = document.getElementById('exportFormat');
+  const option = select.querySelector(`option[value="${format}"]`);
+
+  option.disabled = !available;
+  option.hidden = !available;
+  if (!available && select.value === format) {
+    select.value = 'json';
+  }
+}
+
+/**
+ * New / changed / unchanged / removed counts for an incremental run
+ */
+function showChangeSummary(job) {
+  const summary = document.getElementById('changeSummary');
+  const counts = job && job.incremental && job.changeCounts;
+
+  summary.classList.toggle('hidden', !counts);
+  if (!counts) return;
+
+  document.getElementById('newCount').textContent = counts.new || 0;
+  document.getElementById('changedCount').textContent = counts.changed || 0;
+  document.getElementById('unchangedCount').textContent = counts.unchanged || 0;
+  document.getElementById('removedCount').textContent = counts.removed || 0;
+}
+
+/**
+ * Number of claims in the retry queue, with Retry / report buttons
+ */
+function showFailureSummary(job) {
+  const failed = job && job.failures ? Object.keys(job.failures).length : 0;
+
+  document.getElementById('failureSummary').classList.toggle('hidden', failed === 0);
+  document.getElementById('failedCount').textContent = failed;
+}
+
+/**
+ * The completion report: what became of the input, how many claims have
+ * each section, unique people and files. Also fills the Claims/Personnel
+ * stats, with the claims that were actually exported.
+ */
+async function showExportReport(job) {
+  const container = document.getElementById('exportReport');
+  // Claims sealed at rest are reported once the export is unlocked
+  const locked = await isExportLocked(job);
+  container.classList.toggle('hidden', !job || locked);
+  if (!job || locked) return;
+
+  const report = await summarizeExport(job);
+  showFinalStats({ claimCount: report.exported, personnelCount: report.personnel });
+
+  const rows = [];
+  if (report.input) {
+    rows.push(['Rows in the CSV', report.input.rows]);
+    rows.push(['Unique claims', report.input.uniqueClaims]);
+    for (const [reason, count] of Object.entries(report.input.skipped)) {
+      rows.push([`Skipped: ${SKIPPED_ROW_OUTCOMES[reason] || reason}`, count]);
+    }
+  }
+
+  rows.push(['Claims in the export', report.claims]);
+  rows.push(['Exported', report.exported]);
+  if (report.incomplete > 0) rows.push(['Exported with gaps', report.incomplete]);
+  if (report.failed > 0) rows.push(['Failed', report.failed]);
+  if (report.unmatched > 0) rows.push(['No exact match', report.unmatched]);
+  if (report.notFetched > 0) rows.push(['Not fetched yet', report.notFetched]);
+
+  EXPORT_SECTIONS.filter(section => section.id in report.sections).forEach(section => {
+    rows.push([`With ${section.label.toLowerCase()}`, `${report.sections[section.id]} of ${report.exported}`]);
+  });
+
+  rows.push(['Unique contacts', report.contacts]);
+  rows.push(['Unique personnel', report.personnel]);
+  if (report.files > 0) {
+    rows.push(['Files referenced', `${report.files} (${formatReportBytes(report.fileBytes)})`]);
+  }
+  if (job.includeFiles) {
+    rows.push(['Files downloaded', report.storedFiles]);
+  }
+
+  fillReportTable('exportReportRows', rows);
+}
+
+/**
+ * CSV giving every input row (or claim) its outcome
+ */
+async function downloadReconciliation() {
+  const job = await loadActiveJob();
+  if (!job || !(await ensureExportUnlocked(job))) return;
+
+  try {
+    const passphrase = downloadPassphrase();
+    const blob = await buildReconciliationBlob(job);
+    await saveExportFile(blob, exportFilename(job, false, 'reconciliation.csv'), passphrase);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+/**
+ * Number of claims left out because their search had no single exact match
+ */
+function showMatchSummary(job) {
+  const unmatched = job ? Object.keys(jobUnmatched(job)).length : 0;
+
+  document.getElementById('matchSummary').classList.toggle('hidden', unmatched === 0);
+  document.getElementById('unmatchedCount').textContent = unmatched;
+}
+
+/**
+ * List the unclear matches with their candidate claims
+ */
+async function openMatches() {
+  const job = await loadActiveJob();
+  if (!job || !(await ensureExportUnlocked(job))) return;
+
+  const issues = Object.entries(await loadLookupIssues(job))
+    .sort(([a], [b]) => Number(a) - Number(b));
+
+  document.getElementById('matchList').replaceChildren(
+    ...issues.map(([index, issue]) => matchIssueElement(index, issue))
+  );
+  document.getElementById('applyMatches').disabled =
+    !issues.some(([, issue]) => issue.candidates.length > 0);
+  goToStep('matches');
+}
+
+function matchIssueElement(index, issue) {
+  const item = document.createElement('div');
+  item.className = 'match-item';
+
+  const value = document.createElement('div');
+  value.className = 'match-value';
+  value.textContent = issue.status === 'notFound'
+    ? `${issue.value}: no claims found`
+    : `${issue.value}: ${issue.candidates.length} possible claims`;
+  item.appendChild(value);
+  if (issue.candidates.length === 0) return item;
+
+  const options = [
+    { value: '', text: 'Leave out' },
+    ...issue.candidates.map((candidate, c) => ({
+      value: String(c),
+      text: [candidate.fileNumber || '(no file number)', candidate.label].filter(Boolean).join(' · ')
+    }))
+  ];
+
+  options.forEach((option, o) => {
+    const label = document.createElement('label');
+    label.className = 'match-option';
+
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = `match_${index}`;
+    radio.value = option.value;
+    radio.dataset.index = index;
+    radio.checked = o === 0;
+
+    const text = document.createElement('span');
+    text.textContent = option.text;
+
+    label.append(radio, text);
+    item.appendChild(label);
+  });
+
+  return item;
+}
+
+/**
+ * Fetch the claims picked on the matches screen
+ */
+async function applyMatches() {
+  const choices = {};
+  document.querySelectorAll('#matchList input[type="radio"]:checked').forEach(radio => {
+    if (radio.value !== '') choices[radio.dataset.index] = Number(radio.value);
+  });
+
+  if (Object.keys(choices).length === 0) {
+    alert('Pick a claim for at least one of them first');
+    return;
+  }
+
+  const job = await loadActiveJob();
+  if (!job || !(await ensureNoOtherJobRunning(job)) || !(await ensureExportUnlocked(job))) return;
+  await allowJobStream(job);
+
+  try {
+    goToStep(3);
+    hideCrashRecovery();
+    document.getElementById('processingTitle').textContent = 'Fetching Chosen Claims...';
+    document.getElementById('processingDesc').textContent = 'Fetching the claims you picked.';
+    document.getElementById('progressFill').style.width = '0%';
+
+    chrome.runtime.sendMessage({ action: 'resolveMatches', jobId: job.id, choices, tabId: await platformTabId() }, (response) => {
+      if (chrome.runtime.lastError) {
+        showProcessingError('Error: The exporter could not be reached. Please try again.');
+        return;
+      }
+
+      if (!response || !response.success) {
+        showProcessingError(response?.error || 'Failed to fetch the chosen claims');
+      }
+    });
+
+  } catch (error) {
+    console.error('Match error:', error);
+    showProcessingError(error.message);
+  }
+}
+
+/**
+ * Warn when stored claims don't match the published export schema
+ */
+function showSchemaReport(report) {
+  lastSchemaReport = report;
+
+  const invalid = report.invalid.length;
+  document.getElementById('schemaReport').classList.toggle('hidden', invalid === 0);
+  document.getElementById('schemaInvalidCount').textContent = invalid;
+  document.getElementById('schemaVersion').textContent = report.schemaVersion;
+
+  if (invalid > 0) {
+    console.warn(`${invalid} of ${report.checked} claims don't match export schema ${report.schemaVersion}`, report.invalid);
+  }
+}
+
+async function downloadSchemaReport() {
+  if (!lastSchemaReport) return;
+  const timestamp = new Date().toISOString().split('T')[0];
+
+  try {
+    const passphrase = downloadPassphrase();
+    await saveExportFile(buildSchemaReportBlob(lastSchemaReport), `claims-export-schema-report-${timestamp}.csv`, passphrase);
+  } catch (error) {
+    alert(error.message);
   }
 }
 
@@ -388,13 +1875,37 @@ async function downloadFromStorage(isPartial = false) {
 function showCrashRecovery(job) {
   document.getElementById('crashRecovery').classList.remove('hidden');
   document.getElementById('processingStatus').classList.add('hidden');
+  document.getElementById('exportControls').classList.add('hidden');
+  document.getElementById('crashRecoveryBadge').className = 'status-badge error';
+  document.getElementById('crashRecoveryBadge').textContent = '⚠ Export was interrupted';
+  document.getElementById('crashRecoveryText').textContent =
+    'The page crashed or was closed. Your progress has been saved. ' +
+    'You can resume where you left off, or download what was collected so far.';
   document.getElementById('processingTitle').textContent = 'Export Interrupted';
   document.getElementById('processingDesc').textContent = 
     `${job.completedCount} of ${job.total} claims were saved before the interruption.`;
 }
 
+/**
+ * The same choices as after a crash, for a job the user paused
+ */
+function showPausedExport(job) {
+  showCrashRecovery(job);
+  document.getElementById('crashRecoveryBadge').className = 'status-badge info';
+  document.getElementById('crashRecoveryBadge').textContent = '⏸ Export paused';
+  document.getElementById('crashRecoveryText').textContent =
+    'Resume picks up where it stopped, even after the browser was closed. ' +
+    'You can also download what was collected so far.';
+  document.getElementById('processingTitle').textContent = 'Export Paused';
+  document.getElementById('processingDesc').textContent =
+    `${job.completedCount} of ${job.total} claims saved.`;
+}
+
 function hideCrashRecovery() {
   document.getElementById('crashRecovery').classList.add('hidden');
+  document.getElementById('exportControls').classList.remove('hidden');
+  document.getElementById('pauseExport').disabled = false;
+  document.getElementById('cancelExport').disabled = false;
   document.getElementById('processingStatus').classList.remove('hidden');
   document.getElementById('processingStatus').className = 'status-badge info';
   document.getElementById('processingStatus').textContent = 'Processing...';
@@ -402,14 +1913,31 @@ function hideCrashRecovery() {
   document.getElementById('processingDesc').textContent = 'Fetching detailed data for each claim.';
 }
 
+/**
+ * Is this the job the popup shows? Messages sent before a job exists
+ * (discovery) have no job id and are always shown.
+ */
+function isShownJob(jobId) {
+  return !jobId || !activeJobId || jobId === activeJobId;
+}
+
 function handleExportProgress(message) {
+  if (!isShownJob(message.jobId)) return;
+
   if (message.action === 'exportProgress') {
     updateProgress(message.current, message.total, message.status);
   } else if (message.action === 'exportComplete') {
     goToStep(4);
     showFinalStats(message.stats);
+    loadExportJob(message.jobId).then(updateDownloadOptions);
   } else if (message.action === 'exportError') {
     showProcessingError(message.error);
+  } else if (message.action === 'exportPaused') {
+    loadExportJob(message.jobId).then((job) => {
+      if (job) showPausedExport(job);
+    });
+  } else if (message.action === 'exportCancelled') {
+    resetPopup();
   }
 }
 
@@ -419,9 +1947,10 @@ function updateProgress(current, total, status) {
   const stats = document.getElementById('stats');
   const claimCount = document.getElementById('claimCount');
   
-  const percentage = (current / total) * 100;
+  // total is 0 while discovery is still building the claim list
+  const percentage = total > 0 ? (current / total) * 100 : 0;
   fill.style.width = `${percentage}%`;
-  text.textContent = `${current} / ${total} claims - ${status}`;
+  text.textContent = total > 0 ? `${current} / ${total} claims - ${status}` : status;
   
   if (current > 0) {
     stats.classList.remove('hidden');
@@ -435,6 +1964,7 @@ function showFinalStats(stats) {
 }
 
 function showProcessingError(message) {
+  document.getElementById('exportControls').classList.add('hidden');
   const statusEl = document.getElementById('processingStatus');
   statusEl.className = 'status-badge error';
   statusEl.textContent = `✗ Error: ${message}`;
@@ -445,29 +1975,51 @@ function showProcessingError(message) {
 }
 
 /**
- * Download the final completed export JSON.
+ * Download the final completed export in the selected format.
  * Assembles from individual claim keys at download time — never holds
  * the entire dataset in storage as one blob.
  */
-function downloadJson() {
-  downloadFromStorage(false);
+function downloadExport() {
+  const format = document.getElementById('exportFormat').value;
+  chrome.storage.local.set({ exportFormat: format });
+  downloadFromStorage(format, false, document.getElementById('downloadExport'));
 }
 
-function startOver() {
-  // Clean up all incremental claims + job data
-  chrome.storage.local.get(['exportJob'], (result) => {
-    const keysToRemove = ['exportComplete', 'exportProgress', 'exportError', 'exportJob'];
-    
-    if (result.exportJob) {
-      for (let i = 0; i < result.exportJob.total; i++) {
-        keysToRemove.push(`exportedClaim_${i}`);
-      }
-    }
-    
-    chrome.storage.local.remove(keysToRemove);
-  });
-  
+/**
+ * Back to step 1 for a new export. The finished job stays in the job list.
+ */
+function exportAnother() {
+  storageRemove([ACTIVE_JOB_KEY, 'exportComplete', 'exportError']);
+  resetPopup();
+}
+
+/**
+ * Start Over on the recovery screen: delete the interrupted job with its
+ * claims and stored files
+ */
+async function discardActiveJob() {
+  const job = await loadActiveJob();
+  if (job) {
+    await deleteExportJob(job);
+  }
+  await storageRemove(['exportComplete', 'exportProgress', 'exportError']);
+
+  // Also whatever earlier jobs left behind, unless a job is still writing
+  const jobs = await loadExportJobs();
+  if (!jobs.some(other => other.state === 'running')) {
+    await removeOrphanedData(jobs);
+  }
+
+  resetPopup();
+}
+
+/**
+ * Back to step 1 with nothing selected
+ */
+function resetPopup() {
   uploadedFile = null;
+  csvPreview = null;
+  setExportSource('csv');
   
   const uploadArea = document.getElementById('uploadArea');
   const fileInfo = document.getElementById('fileInfo');
@@ -0,0 +1,164 @@
+/**
+ * Claims Data Exporter - Rate Limiter
+ * Throttling profiles and the shared limiter every request goes through.
+ *
+ * A profile sets how many claims are worked on at once, how many requests may
+ * be open at once, and how many requests may start per minute. The limiter
+ * slows down on its own when the server answers 429/503 or starts responding
+ * slowly, and speeds back up to the profile's pace once things recover.
+ */
+
+const THROTTLE_PROFILES = {
+  gentle: {
+    label: 'Gentle',
+    claimsInFlight: 1,
+    maxConcurrentRequests: 2,
+    requestsPerMinute: 40,
+    claimDelayMs: [2000, 4000]
+  },
+  normal: {
+    label: 'Normal',
+    claimsInFlight: 1,
+    maxConcurrentRequests: 8,
+    requestsPerMinute: 120,
+    claimDelayMs: [1000, 2500]
+  },
+  fast: {
+    label: 'Fast',
+    claimsInFlight: 3,
+    maxConcurrentRequests: 8,
+    requestsPerMinute: 300,
+    claimDelayMs: [0, 500]
+  }
+};
+
+const DEFAULT_THROTTLE_PROFILE = 'normal';
+
+// Limits for custom settings
+const THROTTLE_LIMITS = {
+  claimsInFlight: [1, 10],
+  maxConcurrentRequests: [1, 16],
+  requestsPerMinute: [10, 600]
+};
+
+// A response slower than this counts as the server struggling
+const SLOW_RESPONSE_MS = 5000;
+
+// Never slow down more than 8x the profile's pace
+const MAX_SLOWDOWN = 8;
+
+/**
+ * Turn a profile name plus optional custom values into concrete settings.
+ * Unknown profiles fall back to normal; custom values are clamped.
+ *
+ * @param {string} profile - 'gentle', 'normal', 'fast' or 'custom'
+ * @param {object} [custom] - { claimsInFlight, maxConcurrentRequests, requestsPerMinute }
+ */
+function resolveThrottleSettings(profile, custom = {}) {
+  if (profile !== 'custom') {
+    const name = THROTTLE_PROFILES[profile] ? profile : DEFAULT_THROTTLE_PROFILE;
+    const { label, ...settings } = THROTTLE_PROFILES[name];
+    return { profile: name, ...settings };
+  }
+
+  const base = THROTTLE_PROFILES[DEFAULT_THROTTLE_PROFILE];
+  const settings = { profile: 'custom', claimDelayMs: base.claimDelayMs };
+
+  for (const [key, [min, max]] of Object.entries(THROTTLE_LIMITS)) {
+    const value = Math.round(Number(custom[key]));
+    settings[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : base[key];
+  }
+
+  return settings;
+}
+
+/**
+ * A limiter for one set of throttle settings.
+ * Use with limitRequest() and reportThrottled().
+ */
+function createRateLimiter(settings) {
+  return {
+    settings: settings,
+    active: 0,
+    waiting: [],
+    nextStart: 0,
+    slowdown: 1
+  };
+}
+
+// Shared by every request the export engine makes; replaced by configureThrottle()
+let requestLimiter = createRateLimiter(resolveThrottleSettings(DEFAULT_THROTTLE_PROFILE));
+
+function configureThrottle(settings) {
+  requestLimiter = createRateLimiter(settings);
+}
+
+/**
+ * Run fn() once the limiter allows another request to start.
+ * Resolves/rejects with fn's result.
+ */
+async function limitRequest(limiter, fn) {
+  await acquireRequestSlot(limiter);
+  const started = Date.now();
+
+  try {
+    const result = await fn();
+    noteResponseTime(limiter, Date.now() - started);
+    return result;
+  } finally {
+    limiter.active--;
+    const next = limiter.waiting.shift();
+    if (next) next();
+  }
+}
+
+/**
+ * The server pushed back (429/503): halve the pace
+ */
+function reportThrottled(limiter) {
+  limiter.slowdown = Math.min(MAX_SLOWDOWN, limiter.slowdown * 2);
+  console.warn(`Server is throttling requests; slowing down to 1/${limiter.slowdown} speed`);
+}
+
+/**
+ * Wait for a free concurrency slot, then for this request's turn under the
+ * requests-per-minute limit
+ */
+async function acquireRequestSlot(limiter) {
+  while (limiter.active >= currentConcurrency(limiter)) {
+    await new Promise(resolve => limiter.waiting.push(resolve));
+  }
+  limiter.active++;
+
+  const interval = 60000 / limiter.settings.requestsPerMinute * limiter.slowdown;
+  const now = Date.now();
+  const start = Math.max(now, limiter.nextStart);
+  limiter.nextStart = start + interval;
+
+  if (start > now) {
+    await sleep(start - now);
+  }
+}
+
+function currentConcurrency(limiter) {
+  return Math.max(1, Math.floor(limiter.settings.maxConcurrentRequests / limiter.slowdown));
+}
+
+/**
+ * Slow responses slow us down; quick ones gradually restore the profile's pace
+ */
+function noteResponseTime(limiter, ms) {
+  if (ms > SLOW_RESPONSE_MS) {
+    limiter.slowdown = Math.min(MAX_SLOWDOWN, limiter.slowdown * 1.5);
+  } else if (limiter.slowdown > 1) {
+    limiter.slowdown = Math.max(1, limiter.slowdown * 0.95);
+  }
+}
+
+/**
+ * Random pause between claims for the given settings
+ */
+function claimDelay(settings) {
+  const [min, max] = settings.claimDelayMs;
+  return min + Math.random() * (max - min);
+}
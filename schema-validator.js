@@ -0,0 +1,138 @@
+/**
+ * Claims Data Exporter - Schema Validator
+ * Checks stored claims against schema/export.schema.json before they are
+ * handed to downstream importers.
+ *
+ * Implements the subset of JSON Schema the claim definitions use: type, enum,
+ * required, properties, additionalProperties, items, minLength, minimum,
+ * pattern and local $refs. Formats are descriptive only and not checked.
+ */
+
+// Bump the minor version when adding optional fields, the major version when
+// removing or changing existing ones. Independent of the extension version.
+const EXPORT_SCHEMA_VERSION = '1.7.0';
+
+const EXPORT_SCHEMA_PATH = 'schema/export.schema.json';
+
+// Problems reported per claim before the rest are dropped
+const MAX_SCHEMA_ERRORS_PER_CLAIM = 20;
+
+let exportSchemaCache = null;
+
+async function loadExportSchema() {
+  if (!exportSchemaCache) {
+    const response = await fetch(chrome.runtime.getURL(EXPORT_SCHEMA_PATH));
+    exportSchemaCache = await response.json();
+  }
+  return exportSchemaCache;
+}
+
+/**
+ * Validate every stored claim of a job.
+ * Returns { schemaVersion, checked, invalid: [{ index, fileNumber, errors }] }
+ * where errors are "path: problem" strings.
+ */
+async function validateStoredClaims(job) {
+  const schema = await loadExportSchema();
+  const claimSchema = schema.definitions.claim;
+  const invalid = [];
+  let checked = 0;
+
+  await forEachClaimBatch(job.id, job.completedCount, (batch) => {
+    for (const { index, claim } of batch) {
+      checked++;
+      const errors = validateAgainstSchema(claim, claimSchema, schema);
+      if (errors.length > 0) {
+        invalid.push({ index, fileNumber: claim.fileNumber, errors });
+      }
+    }
+  });
+
+  return { schemaVersion: EXPORT_SCHEMA_VERSION, checked, invalid };
+}
+
+/**
+ * Validate a value against a schema node.
+ *
+ * @param {*} value
+ * @param {object} schema - the node to check against
+ * @param {object} root - the whole schema document, for resolving $ref
+ * @param {string} [path] - location of value, used in messages
+ * @returns {string[]} problems found (empty if the value conforms)
+ */
+function validateAgainstSchema(value, schema, root, path = '$', errors = []) {
+  if (errors.length >= MAX_SCHEMA_ERRORS_PER_CLAIM) return errors;
+
+  if (schema.$ref) {
+    return validateAgainstSchema(value, resolveSchemaRef(schema.$ref, root), root, path, errors);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesSchemaType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${schemaTypeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum != null && value < schema.minimum) {
+    errors.push(`${path}: must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateAgainstSchema(item, schema.items, root, `${path}[${i}]`, errors));
+  }
+
+  if (schemaTypeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing ${key}`);
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateAgainstSchema(child, properties[key], root, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property ${key}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateAgainstSchema(child, schema.additionalProperties, root, `${path}.${key}`, errors);
+      }
+    }
+  }
+
+  return errors.slice(0, MAX_SCHEMA_ERRORS_PER_CLAIM);
+}
+
+/**
+ * Look up a local reference such as #/definitions/claim
+ */
+function resolveSchemaRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+function matchesSchemaType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return schemaTypeOf(value) === type;
+}
+
+function schemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
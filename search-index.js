@@ -0,0 +1,284 @@
+/**
+ * Claims Data Exporter - Search Index
+ * Full-text search across the stored claims of an export job.
+ *
+ * Each claim gets a search document, written next to its record by
+ * saveClaimToStorage (export engine), so the index grows as the export
+ * runs; an imported export is indexed once it has been read. A document holds the searchable text
+ * by field plus the claim's distinct words, which let a query skip claims
+ * that can't match before looking at any text.
+ *
+ * Query syntax (all parts must match):
+ *   smith                 word, or the start of one ("adjust" finds "adjuster")
+ *   "roof leak"           exact phrase
+ *   notes:smith           only in one field (see SEARCH_FIELDS)
+ *   personnel:"jo ann"    phrase in one field
+ *   after:2024-01-01      only dated entries on/after the date
+ *   before:2024-06-30     only dated entries on/before the date
+ *
+ * Loaded by the service worker (indexing) and the popup/viewer (import, search).
+ */
+
+// Bump when the search document's shape changes
+const SEARCH_INDEX_VERSION = 1;
+
+const SEARCH_FIELDS = ['notes', 'activity', 'ledger', 'contacts', 'personnel', 'insurance', 'files'];
+
+// Claims returned by one search at most
+const SEARCH_MAX_RESULTS = 200;
+
+// Matching entries shown per claim
+const SEARCH_SNIPPETS_PER_CLAIM = 3;
+
+// Characters of context either side of a match
+const SEARCH_SNIPPET_CONTEXT = 60;
+
+/**
+ * The search document for a stored claim:
+ * { version, fileNumber, terms: [word], entries: [{ field, date, text }] }
+ */
+function buildSearchDocument(claim, adapter) {
+  const model = normalizeClaimRecord(claim, adapter);
+  const entries = [];
+
+  const add = (field, date, parts) => {
+    const text = parts.filter(Boolean).join(' · ');
+    if (text) entries.push({ field, date: date || null, text });
+  };
+
+  for (const item of model.timeline) {
+    add(item.kind === 'note' ? 'notes' : 'activity', item.date, [item.author, item.text]);
+  }
+
+  for (const note of normalizeList(claim.ledgerNotes)) {
+    add('ledger',
+      normalizeDate(pickValue(note, ['date', 'createdAt', 'created'])),
+      [normalizeText(pickValue(note, ['author', 'user', 'createdBy'])), normalizeText(pickValue(note, ['note', 'text', 'body', 'description']))]);
+  }
+
+  for (const party of model.parties) {
+    const field = party.role === 'staff' || party.role === 'external' ? 'personnel' : 'contacts';
+    const name = [party.firstName, party.lastName].filter(Boolean).join(' ');
+    add(field, null, [name, party.company, party.title, party.email, party.phone, party.loanNumber]);
+  }
+
+  for (const policy of model.policies) {
+    add('insurance', null, [policy.carrier, policy.policyNumber, policy.claimNumber]);
+  }
+
+  for (const doc of model.documents) {
+    add('files', doc.date, [doc.title, doc.name !== doc.title ? doc.name : null, doc.description]);
+  }
+
+  const terms = new Set();
+  for (const entry of entries) {
+    for (const word of searchWords(entry.text)) terms.add(word);
+  }
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    fileNumber: claim.fileNumber,
+    terms: [...terms],
+    entries
+  };
+}
+
+/**
+ * Write the search documents for every stored claim of a job
+ */
+async function indexStoredClaims(job) {
+  const adapter = adapterById(job.platform || 'claimwizard');
+  if (!adapter) return;
+
+  await forEachClaimBatch(job.id, job.completedCount, async (batch) => {
+    const documents = {};
+    for (const { index, claim } of batch) {
+      documents[searchDocumentKey(job.id, index)] = buildSearchDocument(claim, adapter);
+    }
+    await saveRecords(documents, job.id);
+  });
+}
+
+/**
+ * Lowercase words, punctuation dropped: "HO-123 Smith" -> ['ho', '123', 'smith']
+ */
+function searchWords(text) {
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Parse a query string into { clauses: [{ field, words, phrase }], after, before }.
+ * Throws on a malformed date. An unknown prefix (e.g. "10:30") is just text.
+ */
+function parseSearchQuery(query) {
+  const parsed = { clauses: [], after: null, before: null };
+  const pattern = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    let prefix = match[1] ? match[1].toLowerCase() : null;
+    const quoted = match[2] !== undefined;
+    let value = quoted ? match[2] : match[3];
+
+    if (prefix && prefix !== 'after' && prefix !== 'before' && !SEARCH_FIELDS.includes(prefix)) {
+      prefix = null;
+      value = match[0];
+    }
+
+    if (prefix === 'after' || prefix === 'before') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new Error(`${prefix}: needs a date like 2024-01-31`);
+      }
+      parsed[prefix] = value;
+      continue;
+    }
+
+    const words = searchWords(value || '');
+    if (words.length === 0) continue;
+
+    // Several words in one unquoted part (e.g. a policy number with dashes)
+    // are matched as a phrase too
+    parsed.clauses.push({ field: prefix, words, phrase: quoted || words.length > 1 });
+  }
+
+  return parsed;
+}
+
+/**
+ * Search the stored claims of a job.
+ * Returns { results: [{ index, fileNumber, snippets: [{ field, date, text, start, length }] }], truncated }
+ * where start/length mark the match inside the snippet text.
+ *
+ * @param {object} job - the saved job
+ * @param {string} query - see the syntax at the top of this file
+ * @param {function} [onProgress] - called with the number of claims searched
+ */
+async function searchStoredClaims(job, query, onProgress = () => {}) {
+  const parsed = parseSearchQuery(query);
+  if (parsed.clauses.length === 0 && !parsed.after && !parsed.before) {
+    return { results: [], truncated: false };
+  }
+
+  const adapter = adapterById(job.platform || 'claimwizard');
+  const results = [];
+
+  for (let batchStart = 0; batchStart < job.completedCount; batchStart += LOAD_BATCH_SIZE) {
+    const batchEnd = Math.min(batchStart + LOAD_BATCH_SIZE, job.completedCount);
+    const keys = [];
+    for (let i = batchStart; i < batchEnd; i++) {
+      keys.push(searchDocumentKey(job.id, i));
+    }
+    const stored = await loadRecords(keys, job.id);
+
+    for (let i = batchStart; i < batchEnd; i++) {
+      let doc = stored[searchDocumentKey(job.id, i)];
+      if (!doc || doc.version !== SEARCH_INDEX_VERSION) {
+        doc = await indexMissingClaim(job.id, i, adapter);
+      }
+      const snippets = doc ? matchSearchDocument(doc, parsed) : null;
+
+      if (snippets) {
+        results.push({ index: i, fileNumber: doc.fileNumber, snippets });
+        if (results.length >= SEARCH_MAX_RESULTS) {
+          onProgress(i + 1);
+          return { results, truncated: true };
+        }
+      }
+    }
+
+    onProgress(batchEnd);
+  }
+
+  return { results, truncated: false };
+}
+
+/**
+ * Jobs exported before the index existed (or by an older version of it)
+ * have no usable search documents; build them on the fly. They aren't
+ * saved, so searching stays read-only.
+ */
+async function indexMissingClaim(jobId, index, adapter) {
+  const key = claimStorageKey(jobId, index);
+  const stored = await loadRecords([key], jobId);
+  return stored[key] && adapter ? buildSearchDocument(stored[key], adapter) : null;
+}
+
+/**
+ * The snippets of the entries matching a parsed query, or null if the
+ * claim doesn't match every clause
+ */
+function matchSearchDocument(doc, parsed) {
+  // Cheap check first: every word must start some word of the claim
+  for (const clause of parsed.clauses) {
+    for (const word of clause.words) {
+      if (!doc.terms.some(term => term.startsWith(word))) return null;
+    }
+  }
+
+  const entries = doc.entries.filter(entry => {
+    if (!parsed.after && !parsed.before) return true;
+    const date = entry.date ? entry.date.slice(0, 10) : null;
+    if (!date) return false;
+    return (!parsed.after || date >= parsed.after) && (!parsed.before || date <= parsed.before);
+  });
+
+  const snippets = [];
+  for (const clause of parsed.clauses) {
+    let found = false;
+    for (const entry of entries) {
+      if (clause.field && entry.field !== clause.field) continue;
+
+      const position = findInEntry(entry.text, clause);
+      if (position) {
+        found = true;
+        if (snippets.length < SEARCH_SNIPPETS_PER_CLAIM) {
+          snippets.push(searchSnippet(entry, position));
+        }
+      }
+    }
+    if (!found) return null;
+  }
+
+  // A date-only query matches any dated entry
+  if (parsed.clauses.length === 0) {
+    if (entries.length === 0) return null;
+    return entries.slice(0, SEARCH_SNIPPETS_PER_CLAIM).map(entry => searchSnippet(entry, null));
+  }
+
+  return snippets;
+}
+
+/**
+ * Where a clause matches inside an entry's original text, as
+ * { start, length }, or null. Words match at word starts; phrases need
+ * their words in order with only punctuation/whitespace between them.
+ */
+function findInEntry(text, clause) {
+  const escaped = clause.words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = clause.phrase
+    ? `(?<![\\p{L}\\p{N}])${escaped.join('[^\\p{L}\\p{N}]+')}`
+    : `(?<![\\p{L}\\p{N}])${escaped[0]}`;
+
+  const match = new RegExp(pattern, 'iu').exec(text);
+  return match ? { start: match.index, length: match[0].length } : null;
+}
+
+function searchSnippet(entry, position) {
+  if (!position) {
+    const text = entry.text.slice(0, SEARCH_SNIPPET_CONTEXT * 2);
+    return { field: entry.field, date: entry.date, text: text + (entry.text.length > text.length ? '…' : ''), start: 0, length: 0 };
+  }
+
+  const from = Math.max(0, position.start - SEARCH_SNIPPET_CONTEXT);
+  const to = Math.min(entry.text.length, position.start + position.length + SEARCH_SNIPPET_CONTEXT);
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < entry.text.length ? '…' : '';
+
+  return {
+    field: entry.field,
+    date: entry.date,
+    text: prefix + entry.text.slice(from, to).replace(/\s+/g, ' ') + suffix,
+    start: prefix.length + entry.text.slice(from, position.start).replace(/\s+/g, ' ').length,
+    length: entry.text.slice(position.start, position.start + position.length).replace(/\s+/g, ' ').length
+  };
+}
@@ -0,0 +1,646 @@
+/**
+ * Claims Data Exporter - Claim Browser
+ * Extension page for looking through an export job's claims (exported or
+ * opened from a previous export file) without opening the JSON by hand.
+ * Shows the job named by ?job=<id>, or the popup's active job.
+ *
+ * The list is built from a small summary per claim, read from storage a
+ * batch at a time; a full claim record is only loaded when it's selected.
+ */
+
+// Rows per page of the claim list
+const VIEWER_PAGE_SIZE = LOAD_BATCH_SIZE;
+
+const viewer = {
+  // Job named in the URL; without one the page follows the active job
+  jobId: new URLSearchParams(location.search).get('job'),
+  job: null,
+  adapter: null,
+  summaries: [],
+  filtered: [],
+  sortKey: 'fileNumber',
+  sortDir: 1,
+  page: 0,
+  selectedIndex: null,
+  importing: false,
+  // Last full-text search, so a claim opened from it can go back
+  search: null
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('search').addEventListener('input', () => {
+    viewer.page = 0;
+    applyFilter();
+  });
+
+  document.querySelectorAll('#claimTable th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => setSort(th.dataset.sort));
+  });
+
+  document.getElementById('contentSearch').addEventListener('submit', (e) => {
+    e.preventDefault();
+    runContentSearch(document.getElementById('contentQuery').value);
+  });
+
+  document.getElementById('prevPage').addEventListener('click', () => showPage(viewer.page - 1));
+  document.getElementById('nextPage').addEventListener('click', () => showPage(viewer.page + 1));
+
+  const fileInput = document.getElementById('fileInput');
+  document.getElementById('openFile').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) openExportFile(file);
+    fileInput.value = '';
+  });
+
+  // Reload when the job is deleted, or another job becomes the active one
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || viewer.importing) return;
+    const removed = viewer.job && changes[jobRecordKey(viewer.job.id)] &&
+      !changes[jobRecordKey(viewer.job.id)].newValue;
+    if (removed || (!viewer.jobId && changes[ACTIVE_JOB_KEY])) {
+      loadJob();
+    }
+  });
+
+  await loadJob();
+});
+
+/**
+ * Build the claim summaries for the job
+ */
+async function loadJob() {
+  const job = viewer.jobId ? await loadExportJob(viewer.jobId) : await loadActiveJob();
+
+  viewer.job = job || null;
+  viewer.summaries = [];
+  viewer.selectedIndex = null;
+  viewer.page = 0;
+  viewer.search = null;
+  showEmptyDetail('Select a claim to see its details.');
+
+  if (!job || job.completedCount === 0) {
+    document.getElementById('jobInfo').textContent = 'No exported claims yet';
+    setListStatus('Run an export from the extension popup, or open a previous export file.');
+    renderRows([]);
+    return;
+  }
+
+  viewer.adapter = adapterById(job.platform || 'claimwizard');
+  if (!viewer.adapter) {
+    document.getElementById('jobInfo').textContent = `Unsupported platform: ${job.platform}`;
+    setListStatus('This export was made for a platform this version doesn\'t support.');
+    renderRows([]);
+    return;
+  }
+
+  document.getElementById('jobInfo').textContent = describeJob(job);
+
+  // Claims sealed at rest need the job's passphrase once per browser session
+  if (await isExportLocked(job)) {
+    try {
+      const passphrase = await askPassphrase('These claims are encrypted in browser storage. Enter the export\'s passphrase to browse them.');
+      if (passphrase === null) throw new Error('The claims are encrypted in browser storage');
+      await unlockAtRest(job, passphrase);
+    } catch (error) {
+      setListStatus(`${error.message}. Reload the page to try again.`);
+      renderRows([]);
+      return;
+    }
+  }
+
+  setListStatus(`Loading claims... 0 of ${job.completedCount}`);
+
+  const summaries = [];
+  await forEachClaimBatch(job.id, job.completedCount, async (batch) => {
+    for (const { index, claim } of batch) {
+      summaries.push(claimSummary(index, claim));
+    }
+    setListStatus(`Loading claims... ${summaries.length} of ${job.completedCount}`);
+  });
+
+  // A newer load may have started while this one was reading
+  if (viewer.job !== job) return;
+
+  viewer.summaries = summaries;
+  applyFilter();
+}
+
+function describeJob(job) {
+  const claims = `${job.name}: ${job.completedCount} of ${job.total} claims`;
+  if (job.importedFrom) {
+    return `${claims} from ${job.importedFrom.filename}`;
+  }
+  return `${claims} from the export started ${new Date(job.startedAt).toLocaleString()}`;
+}
+
+/**
+ * The list row for one stored claim, plus the lowercase text it's searched by
+ */
+function claimSummary(index, claim) {
+  const model = normalizeClaimRecord(claim, viewer.adapter);
+  const insured = model.parties.find(party => party.role === 'insured') || model.parties[0];
+
+  const searchParts = [
+    model.fileNumber,
+    model.status,
+    model.loss.type,
+    formatAddress(model.loss.address),
+    ...model.parties.map(party => `${partyName(party)} ${party.company || ''} ${party.email || ''}`),
+    ...model.policies.map(policy => `${policy.carrier || ''} ${policy.policyNumber || ''} ${policy.claimNumber || ''}`)
+  ];
+
+  return {
+    index: index,
+    fileNumber: String(model.fileNumber ?? ''),
+    insured: insured ? partyName(insured) : '',
+    status: model.status || '',
+    lossType: model.loss.type || '',
+    lossDate: model.loss.date || '',
+    hasError: claimFailure(claim) !== null,
+    searchText: searchParts.filter(Boolean).join(' ').toLowerCase()
+  };
+}
+
+function applyFilter() {
+  const terms = document.getElementById('search').value.toLowerCase().split(/\s+/).filter(Boolean);
+
+  viewer.filtered = viewer.summaries.filter(summary =>
+    terms.every(term => summary.searchText.includes(term))
+  );
+  sortSummaries();
+  showPage(viewer.page);
+}
+
+function setSort(key) {
+  if (viewer.sortKey === key) {
+    viewer.sortDir = -viewer.sortDir;
+  } else {
+    viewer.sortKey = key;
+    viewer.sortDir = 1;
+  }
+
+  document.querySelectorAll('#claimTable th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted-asc', th.dataset.sort === key && viewer.sortDir === 1);
+    th.classList.toggle('sorted-desc', th.dataset.sort === key && viewer.sortDir === -1);
+  });
+
+  sortSummaries();
+  showPage(0);
+}
+
+/**
+ * Numeric-aware, so file number 10 sorts after 9; blanks always go last
+ */
+function sortSummaries() {
+  const key = viewer.sortKey;
+  viewer.filtered.sort((a, b) => {
+    if (!a[key] !== !b[key]) return a[key] ? -1 : 1;
+    return viewer.sortDir * a[key].localeCompare(b[key], undefined, { numeric: true, sensitivity: 'base' });
+  });
+}
+
+function showPage(page) {
+  const pageCount = Math.max(1, Math.ceil(viewer.filtered.length / VIEWER_PAGE_SIZE));
+  viewer.page = Math.min(Math.max(page, 0), pageCount - 1);
+
+  const start = viewer.page * VIEWER_PAGE_SIZE;
+  renderRows(viewer.filtered.slice(start, start + VIEWER_PAGE_SIZE));
+
+  document.getElementById('pageInfo').textContent = viewer.filtered.length === 0
+    ? ''
+    : `${start + 1}-${Math.min(start + VIEWER_PAGE_SIZE, viewer.filtered.length)} of ${viewer.filtered.length}`;
+  document.getElementById('prevPage').disabled = viewer.page === 0;
+  document.getElementById('nextPage').disabled = viewer.page >= pageCount - 1;
+
+  if (viewer.summaries.length > 0) {
+    setListStatus(viewer.filtered.length === 0 ? 'No claims match your search.' : '');
+  }
+}
+
+function renderRows(summaries) {
+  const tbody = document.getElementById('claimRows');
+  tbody.replaceChildren();
+  document.getElementById('claimTable').classList.toggle('hidden', summaries.length === 0);
+
+  for (const summary of summaries) {
+    const row = document.createElement('tr');
+    row.classList.toggle('has-error', summary.hasError);
+    row.classList.toggle('selected', summary.index === viewer.selectedIndex);
+    row.dataset.index = summary.index;
+
+    for (const value of [summary.fileNumber, summary.insured, summary.status, summary.lossType, formatDate(summary.lossDate)]) {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      cell.title = value;
+      row.appendChild(cell);
+    }
+
+    row.addEventListener('click', () => selectClaim(summary.index));
+    tbody.appendChild(row);
+  }
+}
+
+function setListStatus(text) {
+  const status = document.getElementById('listStatus');
+  status.textContent = text;
+  status.classList.toggle('hidden', !text);
+}
+
+/**
+ * Load one claim from storage and show its details
+ */
+async function selectClaim(index) {
+  viewer.selectedIndex = index;
+  document.querySelectorAll('#claimRows tr').forEach(row => {
+    row.classList.toggle('selected', Number(row.dataset.index) === index);
+  });
+
+  const key = claimStorageKey(viewer.job.id, index);
+  const stored = await loadRecords([key], viewer.job.id);
+  const claim = stored[key];
+
+  // Another claim was clicked while this one loaded
+  if (viewer.selectedIndex !== index) return;
+
+  if (!claim) {
+    showEmptyDetail('This claim is no longer in storage.');
+    return;
+  }
+
+  renderClaimDetail(index, claim, normalizeClaimRecord(claim, viewer.adapter));
+}
+
+function showEmptyDetail(text) {
+  const empty = element('div', 'empty', text);
+  document.getElementById('detail').replaceChildren(empty);
+}
+
+function renderClaimDetail(index, claim, model) {
+  const detail = document.getElementById('detail');
+  detail.replaceChildren();
+
+  if (viewer.search && viewer.search.results) {
+    const back = element('button', 'button', '← Search results');
+    back.style.marginBottom = '12px';
+    back.addEventListener('click', () => renderSearchResults(viewer.search));
+    detail.appendChild(back);
+  }
+
+  detail.appendChild(element('div', 'detail-title', `File #${model.fileNumber}`));
+
+  const subtitle = element('div', 'detail-subtitle');
+  if (model.status) subtitle.appendChild(element('span', 'badge', model.status));
+  if (claim.changeStatus) subtitle.appendChild(element('span', 'badge', claim.changeStatus));
+
+  const failure = claimFailure(claim);
+  if (failure) {
+    const problem = failure.error || `Missing: ${failure.failedSections.join(', ')}`;
+    subtitle.appendChild(element('span', 'badge error', problem));
+  }
+  detail.appendChild(subtitle);
+
+  detail.appendChild(fieldsCard('Loss', [
+    ['Date of loss', formatDate(model.loss.date)],
+    ['Type', model.loss.type],
+    ['Cause', model.loss.cause],
+    ['Address', formatAddress(model.loss.address)],
+    ['Description', model.loss.description]
+  ]));
+
+  const byRole = roles => model.parties.filter(party => roles.includes(party.role));
+
+  detail.appendChild(tableCard('Contacts', byRole(['insured', 'contact']), [
+    ['Name', party => partyName(party) + (party.isPrimary ? ' (primary)' : '')],
+    ['Email', party => party.email],
+    ['Phone', party => party.phone],
+    ['Address', party => formatAddress(party.address)]
+  ]));
+
+  detail.appendChild(tableCard('Personnel', byRole(['staff', 'external']), [
+    ['Name', party => partyName(party) || party.company],
+    ['Role', party => party.title],
+    ['Type', party => party.role === 'staff' ? 'Internal' : 'External'],
+    ['Email', party => party.email],
+    ['Phone', party => party.phone]
+  ]));
+
+  detail.appendChild(tableCard('Insurance', model.policies, [
+    ['Carrier', policy => policy.carrier],
+    ['Policy #', policy => policy.policyNumber],
+    ['Claim #', policy => policy.claimNumber],
+    ['Effective', policy => formatDate(policy.effectiveDate)],
+    ['Expires', policy => formatDate(policy.expirationDate)]
+  ]));
+
+  detail.appendChild(tableCard('Mortgages', byRole(['mortgagee']), [
+    ['Company', party => party.company],
+    ['Loan #', party => party.loanNumber],
+    ['Phone', party => party.phone]
+  ]));
+
+  detail.appendChild(tableCard('Ledger totals', ledgerTotals(model.transactions), [
+    ['Type', total => total.kind],
+    ['Category', total => total.category],
+    ['Entries', total => String(total.count)],
+    ['Total', total => formatAmount(total.amount)]
+  ]));
+
+  detail.appendChild(tableCard('Action items', model.tasks, [
+    ['Task', task => task.title],
+    ['Due', task => formatDate(task.dueDate)],
+    ['Assigned to', task => task.assignedTo],
+    ['Done', task => task.completed == null ? '' : (task.completed ? 'Yes' : 'No')]
+  ]));
+
+  detail.appendChild(timelineCard('Notes', model.timeline.filter(item => item.kind === 'note')));
+  detail.appendChild(timelineCard('Activity', model.timeline.filter(item => item.kind === 'activity')));
+  detail.appendChild(filesCard(index, model.documents));
+}
+
+/**
+ * Full-text search over the job's search index (search-index.js);
+ * results are shown in the detail pane
+ */
+async function runContentSearch(query) {
+  if (!viewer.job || !query.trim()) return;
+
+  const search = { query, results: null };
+  viewer.search = search;
+  showEmptyDetail('Searching...');
+
+  try {
+    const found = await searchStoredClaims(viewer.job, query, (count) => {
+      if (viewer.search === search) showEmptyDetail(`Searching... ${count} of ${viewer.job.completedCount} claims`);
+    });
+    if (viewer.search !== search) return;
+
+    Object.assign(search, found);
+    renderSearchResults(search);
+  } catch (error) {
+    if (viewer.search === search) showEmptyDetail(error.message);
+  }
+}
+
+function renderSearchResults(search) {
+  const detail = document.getElementById('detail');
+  detail.replaceChildren();
+
+  let title = `${search.results.length} claim${search.results.length === 1 ? '' : 's'} match "${search.query}"`;
+  if (search.truncated) title = `First ${search.results.length} claims matching "${search.query}"`;
+  detail.appendChild(element('div', 'detail-title', title));
+  detail.appendChild(element('div', 'detail-subtitle', search.truncated ? 'Narrow the search to see the rest.' : ''));
+
+  for (const result of search.results) {
+    const section = card(`File #${result.fileNumber}`);
+    section.classList.add('search-result');
+    section.addEventListener('click', () => selectClaim(result.index));
+
+    for (const snippet of result.snippets) {
+      const row = element('div', 'snippet');
+      const meta = element('div', 'timeline-meta');
+      meta.appendChild(element('span', 'badge', snippet.field));
+      meta.appendChild(document.createTextNode(formatDateTime(snippet.date)));
+      row.appendChild(meta);
+      row.appendChild(highlighted(snippet));
+      section.appendChild(row);
+    }
+
+    detail.appendChild(section);
+  }
+}
+
+/**
+ * Snippet text with the match wrapped in <mark>
+ */
+function highlighted(snippet) {
+  const text = element('div', 'timeline-text');
+  const end = snippet.start + snippet.length;
+
+  text.appendChild(document.createTextNode(snippet.text.slice(0, snippet.start)));
+  if (snippet.length > 0) {
+    text.appendChild(element('mark', null, snippet.text.slice(snippet.start, end)));
+  }
+  text.appendChild(document.createTextNode(snippet.text.slice(end)));
+  return text;
+}
+
+/**
+ * Ledger entries and invoices summed per type and category
+ */
+function ledgerTotals(transactions) {
+  const totals = new Map();
+
+  for (const transaction of transactions) {
+    const key = `${transaction.kind}\u0000${transaction.category || ''}`;
+    if (!totals.has(key)) {
+      totals.set(key, { kind: transaction.kind, category: transaction.category || 'Uncategorized', count: 0, amount: 0 });
+    }
+    const total = totals.get(key);
+    total.count++;
+    total.amount += transaction.amount || 0;
+  }
+
+  return [...totals.values()];
+}
+
+function card(title, count) {
+  const section = element('div', 'card');
+  const heading = element('h2', null, title);
+  if (count != null) heading.appendChild(element('span', 'count', ` (${count})`));
+  section.appendChild(heading);
+  return section;
+}
+
+function fieldsCard(title, fields) {
+  const section = card(title);
+  const list = element('dl', 'fields');
+
+  for (const [label, value] of fields) {
+    if (!value) continue;
+    list.appendChild(element('dt', null, label));
+    list.appendChild(element('dd', null, value));
+  }
+
+  section.appendChild(list.childElementCount > 0 ? list : element('div', 'timeline-meta', 'No details recorded'));
+  return section;
+}
+
+/**
+ * A card with one table row per item; columns are [heading, item => text]
+ */
+function tableCard(title, items, columns) {
+  const section = card(title, items.length);
+  if (items.length === 0) {
+    section.appendChild(element('div', 'timeline-meta', 'None'));
+    return section;
+  }
+
+  const table = document.createElement('table');
+  const headRow = document.createElement('tr');
+  for (const [heading] of columns) {
+    headRow.appendChild(element('th', null, heading));
+  }
+  table.appendChild(document.createElement('thead')).appendChild(headRow);
+
+  const body = table.appendChild(document.createElement('tbody'));
+  for (const item of items) {
+    const row = document.createElement('tr');
+    for (const [, value] of columns) {
+      row.appendChild(element('td', null, value(item) || ''));
+    }
+    body.appendChild(row);
+  }
+
+  section.appendChild(table);
+  return section;
+}
+
+/**
+ * Newest first, which is how people read a claim's history
+ */
+function timelineCard(title, items) {
+  const section = card(title, items.length);
+  if (items.length === 0) {
+    section.appendChild(element('div', 'timeline-meta', 'None'));
+    return section;
+  }
+
+  for (const item of [...items].reverse()) {
+    const entry = element('div', 'timeline-item');
+    const meta = [formatDateTime(item.date), item.author].filter(Boolean).join(' · ');
+    entry.appendChild(element('div', 'timeline-meta', meta || 'Undated'));
+    entry.appendChild(element('div', 'timeline-text', item.text || ''));
+    section.appendChild(entry);
+  }
+
+  return section;
+}
+
+/**
+ * File list; files whose bytes were stored by the export can be saved
+ */
+function filesCard(index, documents) {
+  const section = tableCard('Files', documents, [
+    ['Name', doc => doc.title || doc.name],
+    ['Folder', doc => doc.folderPath.join(' / ')],
+    ['Date', doc => formatDate(doc.date)],
+    ['Size', doc => formatSize(doc.size)]
+  ]);
+
+  const rows = section.querySelectorAll('tbody tr');
+  documents.forEach((doc, i) => {
+    const cell = document.createElement('td');
+    if (doc.stored) {
+      const button = element('button', 'button', 'Save');
+      button.addEventListener('click', () => saveStoredFile(index, doc, button));
+      cell.appendChild(button);
+    }
+    rows[i].appendChild(cell);
+  });
+
+  return section;
+}
+
+async function saveStoredFile(index, doc, button) {
+  button.disabled = true;
+
+  try {
+    const jobId = viewer.job.id;
+    const file = await readStoredFile(jobId, index, doc.key, await getStoredFileProgress(jobId, index));
+    if (!file) {
+      alert('This file is no longer in storage.');
+      return;
+    }
+
+    const url = URL.createObjectURL(file.blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = doc.name || doc.title || doc.key;
+    a.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('File read error:', error);
+    alert('Error reading file: ' + error.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Load a previous export file as a new job and show it (see export-import.js)
+ */
+async function openExportFile(file) {
+  if (await isEncryptedExport(file)) {
+    const passphrase = await askPassphrase(`${file.name} is encrypted. Enter its passphrase to open it.`);
+    if (passphrase === null) return;
+    try {
+      file = await decryptExportFile(file, passphrase);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+  }
+
+  const button = document.getElementById('openFile');
+  button.disabled = true;
+  viewer.importing = true;
+  viewer.job = null;
+  renderRows([]);
+
+  try {
+    const job = await importExportFile(file, (count) => setListStatus(`Reading ${file.name}... ${count} claims`));
+    viewer.jobId = job.id;
+    history.replaceState(null, '', `?job=${job.id}`);
+    await loadJob();
+  } catch (error) {
+    console.error('Import error:', error);
+    setListStatus('Could not open the file: ' + error.message);
+  } finally {
+    viewer.importing = false;
+    button.disabled = false;
+  }
+}
+
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text != null) el.textContent = text;
+  return el;
+}
+
+function partyName(party) {
+  return [party.firstName, party.lastName].filter(Boolean).join(' ');
+}
+
+function formatAddress(address) {
+  if (!address) return '';
+  const cityLine = [address.city, [address.state, address.postalCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  return [address.line1, address.line2, cityLine].filter(Boolean).join(', ');
+}
+
+/**
+ * Date-only values are shown as-is so they don't shift with the time zone
+ */
+function formatDate(value) {
+  if (!value) return '';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  return new Date(value).toLocaleDateString();
+}
+
+function formatDateTime(value) {
+  if (!value) return '';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  return new Date(value).toLocaleString();
+}
+
+function formatAmount(amount) {
+  return amount.toLocaleString(undefined, { style: 'currency', currency: 'USD' });
+}
+
+function formatSize(size) {
+  if (size == null) return '';
+  if (size < 1024) return `${size} B`;
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,289 @@
+/**
+ * Claims Data Exporter - XLSX Reader
+ * Reads the first worksheet of an .xlsx report into rows of strings, so a
+ * report saved from Excel can be uploaded without converting it to CSV.
+ *
+ * Only what a claims report needs is supported: shared and inline strings,
+ * numbers, booleans and dates. Excel keeps dates as day counts formatted
+ * as dates, so those are read as ISO dates (2025-11-17, 2025-11-17 09:30:00)
+ * like a CSV would hold them. Formulas are read as their cached values.
+ * Uses DOMParser, so it's loaded by the popup only.
+ */
+
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP_CENTRAL_DIR_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+const XLSX_MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const XLSX_REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Built-in number formats that show dates and times, by numFmtId
+const XLSX_DATE_FORMATS = {
+  14: 'date', 15: 'date', 16: 'date', 17: 'date', 18: 'time', 19: 'time',
+  20: 'time', 21: 'time', 22: 'datetime', 45: 'time', 46: 'time', 47: 'time'
+};
+// Locale-specific built-in date formats (East Asian calendars)
+const XLSX_LOCALE_DATE_FORMAT_IDS = [[27, 36], [50, 58]];
+
+// Day 0 of the two date systems, in milliseconds
+const XLSX_EPOCH_1900 = Date.UTC(1899, 11, 30);
+const XLSX_EPOCH_1904 = Date.UTC(1904, 0, 1);
+const MS_PER_DAY = 86400000;
+
+/**
+ * True if the bytes start like a ZIP archive (every .xlsx does)
+ */
+function isZipArchive(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b &&
+    bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+/**
+ * Rows of the workbook's first sheet, each an array of cell strings.
+ * Empty cells in the middle of a row are kept as '', and empty rows as [],
+ * so rows keep their spreadsheet row numbers.
+ */
+async function readXlsxRows(buffer) {
+  const entries = readZipDirectory(buffer);
+  const text = async (path) => {
+    const entry = entries.get(path);
+    return entry ? new TextDecoder().decode(await readZipEntry(buffer, entry)) : null;
+  };
+
+  const sharedXml = await text('xl/sharedStrings.xml');
+  const sharedStrings = sharedXml ? xlsxSharedStrings(parseXml(sharedXml)) : [];
+
+  const stylesXml = await text('xl/styles.xml');
+  const dateStyles = stylesXml ? xlsxDateStyles(parseXml(stylesXml)) : [];
+  const workbookXml = await text('xl/workbook.xml');
+  const epoch = workbookXml && xlsxUses1904Dates(parseXml(workbookXml)) ? XLSX_EPOCH_1904 : XLSX_EPOCH_1900;
+
+  const sheetPath = await xlsxFirstSheetPath(text);
+  const sheetXml = await text(sheetPath);
+  if (!sheetXml) {
+    throw new Error('The workbook has no worksheets');
+  }
+
+  const rows = [];
+  for (const row of parseXml(sheetXml).getElementsByTagNameNS(XLSX_MAIN_NS, 'row')) {
+    // Rows without cells are left out of the sheet
+    const rowNumber = Number(row.getAttribute('r'));
+    while (rowNumber > 0 && rows.length < rowNumber - 1) rows.push([]);
+
+    const values = [];
+    let next = 0;
+    for (const cell of row.getElementsByTagNameNS(XLSX_MAIN_NS, 'c')) {
+      const ref = cell.getAttribute('r');
+      const column = ref ? xlsxColumnIndex(ref) : next;
+      while (values.length < column) values.push('');
+      values[column] = xlsxCellValue(cell, sharedStrings, dateStyles, epoch);
+      next = column + 1;
+    }
+    rows.push(values);
+  }
+
+  return rows;
+}
+
+/**
+ * The first sheet in workbook order, falling back to sheet1.xml
+ */
+async function xlsxFirstSheetPath(text) {
+  const fallback = 'xl/worksheets/sheet1.xml';
+  const workbookXml = await text('xl/workbook.xml');
+  const relsXml = await text('xl/_rels/workbook.xml.rels');
+  if (!workbookXml || !relsXml) return fallback;
+
+  const sheet = parseXml(workbookXml).getElementsByTagNameNS(XLSX_MAIN_NS, 'sheet')[0];
+  const relId = sheet && sheet.getAttributeNS(XLSX_REL_NS, 'id');
+  if (!relId) return fallback;
+
+  const rel = [...parseXml(relsXml).getElementsByTagName('Relationship')]
+    .find(r => r.getAttribute('Id') === relId);
+  const target = rel && rel.getAttribute('Target');
+  if (!target) return fallback;
+
+  // Targets are relative to xl/, or absolute from the package root
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+function xlsxSharedStrings(doc) {
+  return [...doc.getElementsByTagNameNS(XLSX_MAIN_NS, 'si')].map(xlsxText);
+}
+
+/**
+ * All text runs of a string item, without phonetic hints
+ */
+function xlsxText(node) {
+  return [...node.getElementsByTagNameNS(XLSX_MAIN_NS, 't')]
+    .filter(t => t.parentNode.localName !== 'rPh')
+    .map(t => t.textContent)
+    .join('');
+}
+
+/**
+ * Per cell style (a cell's s attribute), 'date', 'time' or 'datetime' if
+ * its number format shows a date or time, null otherwise
+ */
+function xlsxDateStyles(doc) {
+  const customFormats = new Map();
+  for (const numFmt of doc.getElementsByTagNameNS(XLSX_MAIN_NS, 'numFmt')) {
+    customFormats.set(Number(numFmt.getAttribute('numFmtId')), numFmt.getAttribute('formatCode') || '');
+  }
+
+  const cellXfs = doc.getElementsByTagNameNS(XLSX_MAIN_NS, 'cellXfs')[0];
+  if (!cellXfs) return [];
+
+  return [...cellXfs.getElementsByTagNameNS(XLSX_MAIN_NS, 'xf')].map(xf => {
+    const id = Number(xf.getAttribute('numFmtId') || 0);
+    if (customFormats.has(id)) return xlsxFormatCodeKind(customFormats.get(id));
+    if (XLSX_DATE_FORMATS[id]) return XLSX_DATE_FORMATS[id];
+    return XLSX_LOCALE_DATE_FORMAT_IDS.some(([from, to]) => id >= from && id <= to) ? 'date' : null;
+  });
+}
+
+/**
+ * Whether a custom format code like "dd/mm/yyyy hh:mm" shows a date, a
+ * time or both. Quoted text, escaped characters and [bracketed] parts
+ * (colours, elapsed time, locales) don't count; only the first section,
+ * the one for positive numbers, is looked at.
+ */
+function xlsxFormatCodeKind(code) {
+  const tokens = code.split(';')[0]
+    .replace(/"[^"]*"/g, '')
+    .replace(/\\./g, '')
+    .replace(/\[[^\]]*\]/g, '')
+    .toLowerCase();
+
+  const time = /[hs]/.test(tokens);
+  // "m" is minutes next to hours or seconds, months otherwise
+  const date = /[dy]/.test(tokens) || (/m/.test(tokens) && !time);
+  if (date && time) return 'datetime';
+  return date ? 'date' : time ? 'time' : null;
+}
+
+function xlsxUses1904Dates(doc) {
+  const workbookPr = doc.getElementsByTagNameNS(XLSX_MAIN_NS, 'workbookPr')[0];
+  const value = workbookPr && workbookPr.getAttribute('date1904');
+  return value === '1' || value === 'true';
+}
+
+/**
+ * A date cell's day count as an ISO date, time, or both
+ */
+function xlsxDateText(serial, kind, epoch) {
+  // Whole seconds, so 0.999999 of a day doesn't read 23:59:59
+  const ms = Math.round(serial * MS_PER_DAY / 1000) * 1000;
+  const iso = new Date(epoch + ms).toISOString();
+  const date = iso.slice(0, 10);
+  const time = iso.slice(11, 19);
+
+  if (kind === 'time') return time;
+  if (kind === 'date' && time === '00:00:00') return date;
+  return `${date} ${time}`;
+}
+
+function xlsxCellValue(cell, sharedStrings, dateStyles = [], epoch = XLSX_EPOCH_1900) {
+  const type = cell.getAttribute('t');
+  if (type === 'inlineStr') {
+    const is = cell.getElementsByTagNameNS(XLSX_MAIN_NS, 'is')[0];
+    return is ? xlsxText(is).trim() : '';
+  }
+
+  const v = cell.getElementsByTagNameNS(XLSX_MAIN_NS, 'v')[0];
+  const raw = v ? v.textContent : '';
+  if (type === 's') return (sharedStrings[Number(raw)] ?? '').trim();
+  if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+
+  const dateKind = dateStyles[Number(cell.getAttribute('s') || 0)];
+  const serial = Number(raw);
+  if (dateKind && (!type || type === 'n') && raw.trim() !== '' && isFinite(serial)) {
+    return xlsxDateText(serial, dateKind, epoch);
+  }
+  return raw.trim();
+}
+
+/**
+ * "C12" -> 2
+ */
+function xlsxColumnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/i)?.[0].toUpperCase() || 'A';
+  let index = 0;
+  for (const ch of letters) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+function parseXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The workbook could not be read');
+  }
+  return doc;
+}
+
+/**
+ * Map of entry path -> { method, compressedSize, offset } from the ZIP's
+ * central directory
+ */
+function readZipDirectory(buffer) {
+  const view = new DataView(buffer);
+
+  // The end record sits at the very end, before an optional comment
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIR) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('The file is not a valid XLSX workbook');
+  }
+
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pos, true) !== ZIP_CENTRAL_DIR_ENTRY) break;
+
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const name = new TextDecoder().decode(new Uint8Array(buffer, pos + 46, nameLength));
+
+    entries.set(name, {
+      method: view.getUint16(pos + 10, true),
+      compressedSize: view.getUint32(pos + 20, true),
+      offset: view.getUint32(pos + 42, true)
+    });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * An entry's bytes, inflated if it was deflated
+ */
+async function readZipEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_HEADER) {
+    throw new Error('The workbook is damaged');
+  }
+
+  const nameLength = view.getUint16(entry.offset + 26, true);
+  const extraLength = view.getUint16(entry.offset + 28, true);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) {
+    throw new Error('The workbook uses an unsupported compression method');
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
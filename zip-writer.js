@@ -0,0 +1,264 @@
+/**
+ * Claims Data Exporter - ZIP Writer
+ * Builds uncompressed ("stored") ZIP archives out of Blob parts.
+ *
+ * Each entry's header and data are pushed as separate Blob parts, so the
+ * archive is assembled by reference the same way the JSON export is — file
+ * bytes never need to sit in one big string or ArrayBuffer. ZIP64 records are
+ * written automatically once the archive grows past 4GB or 65535 entries.
+ */
+
+const ZIP_MAX_32 = 0xFFFFFFFF;
+const ZIP_MAX_16 = 0xFFFF;
+const ZIP_UTF8_FLAG = 0x0800;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Update a running CRC-32 with more bytes.
+ * Start with crc = 0 and feed chunks in order; the return value is final.
+ */
+function crc32(bytes, crc = 0) {
+  let c = (crc ^ ZIP_MAX_32) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ ZIP_MAX_32) >>> 0;
+}
+
+/**
+ * Start a new archive. Pass the returned object to addZipEntry / finishZip.
+ */
+function createZipWriter() {
+  return {
+    parts: [],
+    entries: [],
+    offset: 0,
+    usedPaths: new Set()
+  };
+}
+
+/**
+ * Make a single path segment safe for every OS the archive may be opened on.
+ */
+function sanitizeZipSegment(segment) {
+  const cleaned = String(segment || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001F]/g, '_')
+    .replace(/^\.+$/, '_')
+    .trim();
+  return cleaned || '_';
+}
+
+/**
+ * Join path segments into a sanitized archive path.
+ */
+function zipPath(...segments) {
+  return segments
+    .filter(s => s !== null && s !== undefined && s !== '')
+    .map(sanitizeZipSegment)
+    .join('/');
+}
+
+/**
+ * Return a path that hasn't been used in this archive yet.
+ * "report.pdf" becomes "report (2).pdf", "report (3).pdf", ...
+ */
+function uniqueZipPath(zip, path) {
+  if (!zip.usedPaths.has(path)) return path;
+
+  const slash = path.lastIndexOf('/');
+  const dot = path.lastIndexOf('.');
+  const hasExt = dot > slash + 1;
+  const base = hasExt ? path.slice(0, dot) : path;
+  const ext = hasExt ? path.slice(dot) : '';
+
+  let n = 2;
+  while (zip.usedPaths.has(`${base} (${n})${ext}`)) n++;
+  return `${base} (${n})${ext}`;
+}
+
+/**
+ * Add a file to the archive.
+ *
+ * @param {object} zip - writer from createZipWriter()
+ * @param {string} path - archive path, '/'-separated
+ * @param {string|Uint8Array|Blob} data - entry contents
+ * @param {object} [options]
+ * @param {Date} [options.modified] - entry timestamp (defaults to now)
+ * @param {number} [options.crc] - precomputed CRC-32, skips re-reading a Blob
+ * @returns {Promise<string>} the path actually used (after de-duplication)
+ */
+async function addZipEntry(zip, path, data, options = {}) {
+  let blob;
+  let crc = options.crc;
+
+  if (typeof data === 'string') {
+    const bytes = new TextEncoder().encode(data);
+    if (crc == null) crc = crc32(bytes);
+    blob = new Blob([bytes]);
+  } else if (data instanceof Uint8Array) {
+    if (crc == null) crc = crc32(data);
+    blob = new Blob([data]);
+  } else {
+    blob = data;
+    if (crc == null) crc = await crc32Blob(blob);
+  }
+
+  if (blob.size >= ZIP_MAX_32) {
+    throw new Error(`File too large for archive: ${path}`);
+  }
+
+  const finalPath = uniqueZipPath(zip, path);
+  zip.usedPaths.add(finalPath);
+
+  const nameBytes = new TextEncoder().encode(finalPath);
+  const { time, date } = toDosDateTime(options.modified || new Date());
+
+  const header = new DataView(new ArrayBuffer(30));
+  header.setUint32(0, 0x04034b50, true);
+  header.setUint16(4, 20, true);
+  header.setUint16(6, ZIP_UTF8_FLAG, true);
+  header.setUint16(8, 0, true);
+  header.setUint16(10, time, true);
+  header.setUint16(12, date, true);
+  header.setUint32(14, crc, true);
+  header.setUint32(18, blob.size, true);
+  header.setUint32(22, blob.size, true);
+  header.setUint16(26, nameBytes.length, true);
+  header.setUint16(28, 0, true);
+
+  zip.entries.push({
+    nameBytes,
+    crc,
+    size: blob.size,
+    time,
+    date,
+    offset: zip.offset
+  });
+
+  zip.parts.push(new Blob([header, nameBytes]), blob);
+  zip.offset += 30 + nameBytes.length + blob.size;
+
+  return finalPath;
+}
+
+/**
+ * Write the central directory and return the finished archive.
+ */
+function finishZip(zip) {
+  const cdStart = zip.offset;
+  let cdSize = 0;
+
+  for (const entry of zip.entries) {
+    const needsZip64 = entry.offset >= ZIP_MAX_32;
+    const extraLength = needsZip64 ? 12 : 0;
+
+    const record = new DataView(new ArrayBuffer(46 + extraLength));
+    record.setUint32(0, 0x02014b50, true);
+    record.setUint16(4, needsZip64 ? 45 : 20, true);
+    record.setUint16(6, needsZip64 ? 45 : 20, true);
+    record.setUint16(8, ZIP_UTF8_FLAG, true);
+    record.setUint16(10, 0, true);
+    record.setUint16(12, entry.time, true);
+    record.setUint16(14, entry.date, true);
+    record.setUint32(16, entry.crc, true);
+    record.setUint32(20, entry.size, true);
+    record.setUint32(24, entry.size, true);
+    record.setUint16(28, entry.nameBytes.length, true);
+    record.setUint16(30, extraLength, true);
+    record.setUint16(32, 0, true);
+    record.setUint16(34, 0, true);
+    record.setUint16(36, 0, true);
+    record.setUint32(38, 0, true);
+    record.setUint32(42, needsZip64 ? ZIP_MAX_32 : entry.offset, true);
+
+    if (needsZip64) {
+      record.setUint16(46, 0x0001, true);
+      record.setUint16(48, 8, true);
+      record.setBigUint64(50, BigInt(entry.offset), true);
+    }
+
+    // Header and name must be separate parts: the name sits between the
+    // fixed fields and the extra field
+    const fixed = new Uint8Array(record.buffer, 0, 46);
+    const extra = new Uint8Array(record.buffer, 46, extraLength);
+    zip.parts.push(new Blob([fixed, entry.nameBytes, extra]));
+    cdSize += 46 + entry.nameBytes.length + extraLength;
+  }
+
+  const count = zip.entries.length;
+  const needsZip64 = count >= ZIP_MAX_16 || cdStart >= ZIP_MAX_32 || cdSize >= ZIP_MAX_32;
+
+  if (needsZip64) {
+    const zip64EndOffset = cdStart + cdSize;
+
+    const end64 = new DataView(new ArrayBuffer(56));
+    end64.setUint32(0, 0x06064b50, true);
+    end64.setBigUint64(4, 44n, true);
+    end64.setUint16(12, 45, true);
+    end64.setUint16(14, 45, true);
+    end64.setUint32(16, 0, true);
+    end64.setUint32(20, 0, true);
+    end64.setBigUint64(24, BigInt(count), true);
+    end64.setBigUint64(32, BigInt(count), true);
+    end64.setBigUint64(40, BigInt(cdSize), true);
+    end64.setBigUint64(48, BigInt(cdStart), true);
+
+    const locator = new DataView(new ArrayBuffer(20));
+    locator.setUint32(0, 0x07064b50, true);
+    locator.setUint32(4, 0, true);
+    locator.setBigUint64(8, BigInt(zip64EndOffset), true);
+    locator.setUint32(16, 1, true);
+
+    zip.parts.push(new Blob([end64, locator]));
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(4, 0, true);
+  end.setUint16(6, 0, true);
+  end.setUint16(8, Math.min(count, ZIP_MAX_16), true);
+  end.setUint16(10, Math.min(count, ZIP_MAX_16), true);
+  end.setUint32(12, Math.min(cdSize, ZIP_MAX_32), true);
+  end.setUint32(16, Math.min(cdStart, ZIP_MAX_32), true);
+  end.setUint16(20, 0, true);
+  zip.parts.push(new Blob([end]));
+
+  return new Blob(zip.parts, { type: 'application/zip' });
+}
+
+/**
+ * CRC-32 of a Blob, read as a stream so it's never fully in memory.
+ */
+async function crc32Blob(blob) {
+  const reader = blob.stream().getReader();
+  let crc = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    crc = crc32(value, crc);
+  }
+  return crc;
+}
+
+/**
+ * Convert a Date to the MS-DOS time/date pair ZIP headers use.
+ */
+function toDosDateTime(d) {
+  if (isNaN(d.getTime())) d = new Date();
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}